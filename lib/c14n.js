@@ -0,0 +1,506 @@
+/**
+ * @typedef {import('./index.js').AttributeInfo} AttributeInfo
+ * @typedef {import('./index.js').XmlParser} XmlParser
+ */
+
+/**
+ * Algorithm identifiers for canonicalization, as used in the Algorithm
+ * attribute of XML-DSig's CanonicalizationMethod and Transform elements.
+ */
+export const C14N = Object.freeze({
+  C14N_10: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+  C14N_10_COMMENTS:
+    'http://www.w3.org/TR/2001/REC-xml-c14n-20010315#WithComments',
+  C14N_11: 'http://www.w3.org/2006/12/xml-c14n11',
+  C14N_11_COMMENTS: 'http://www.w3.org/2006/12/xml-c14n11#WithComments',
+  EXC_C14N: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+  EXC_C14N_COMMENTS: 'http://www.w3.org/2001/10/xml-exc-c14n#WithComments',
+});
+
+/**
+ * Decide whether an element is included, from the same parameters as the
+ * startElement event.
+ *
+ * @callback ElementFilter
+ * @param {string} name
+ * @param {Record<string, string>|AttributeInfo[]} attribs
+ * @returns {boolean}
+ */
+
+/**
+ * @typedef {object} C14nOptions
+ * @prop {string} [algorithm=C14N.C14N_10] One of the URIs from
+ *   {@link C14N}.
+ * @prop {boolean} [withComments] Include comments.  Defaults to true for
+ *   the #WithComments algorithms.
+ * @prop {string|string[]} [inclusiveNamespaces=[]] For exclusive
+ *   canonicalization, the prefixes to treat as in inclusive
+ *   canonicalization, as in the PrefixList of XML-DSig's
+ *   InclusiveNamespaces.  "#default" is the default namespace.  A string is
+ *   split on whitespace.
+ * @prop {ElementFilter} [select] Only output the first element for which
+ *   this returns true, with its descendants, such as the element referenced
+ *   by a signature.  Namespaces (and, for inclusive canonicalization, xml:*
+ *   attributes) from its ancestors are rendered as the algorithm requires.
+ * @prop {ElementFilter} [exclude] Leave out elements for which this returns
+ *   true, with their descendants, such as for the enveloped signature
+ *   transform.
+ */
+
+/**
+ * @typedef {object} C14nFrame
+ * @prop {string} name Qualified name.
+ * @prop {boolean} output Is the element being written?
+ * @prop {Map<string, string>} scope Namespaces in scope, by prefix.
+ * @prop {Map<string, string>} rendered Namespaces that have been written
+ *   by this element or its output ancestors.
+ * @prop {Map<string, string>} xml xml:* attributes from this element and
+ *   its ancestors, by local name.
+ * @private
+ */
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+/** @type {Record<string, string>} */
+const TEXT_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '\r': '&#xD;',
+};
+
+/** @type {Record<string, string>} */
+const ATTRIBUTE_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '"': '&quot;',
+  '\t': '&#x9;',
+  '\n': '&#xA;',
+  '\r': '&#xD;',
+};
+
+/**
+ * Compare strings by code point, rather than by UTF-16 code unit.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compare(a, b) {
+  const ai = a[Symbol.iterator]();
+  const bi = b[Symbol.iterator]();
+  for (;;) {
+    const ac = ai.next();
+    const bc = bi.next();
+    if (ac.done || bc.done) {
+      return Number(!ac.done) - Number(!bc.done);
+    }
+    // Each value is one code point.
+    const diff = Number(ac.value.codePointAt(0)) -
+      Number(bc.value.codePointAt(0));
+    if (diff) {
+      return diff;
+    }
+  }
+}
+
+/**
+ * Join xml:base values for C14N 1.1.  Like RFC 3986 reference resolution,
+ * but relative bases stay relative, and leading ".." segments are kept.
+ *
+ * @param {string} base
+ * @param {string} ref
+ * @returns {string}
+ */
+export function joinBase(base, ref) {
+  if (!base || /^[a-z][a-z\d+.-]*:/i.test(ref)) {
+    return ref;
+  }
+  if (/^[a-z][a-z\d+.-]*:/i.test(base)) {
+    return new URL(ref, base).href;
+  }
+  if (!ref) {
+    return base;
+  }
+  const path = ref.startsWith('/') ?
+    ref :
+    base.slice(0, base.lastIndexOf('/') + 1) + ref;
+
+  /** @type {string[]} */
+  const out = [];
+  const segments = path.split('/');
+  segments.forEach((seg, i) => {
+    const last = (i === segments.length - 1);
+    if (seg === '.') {
+      if (last) {
+        out.push('');
+      }
+    } else if (seg === '..') {
+      if ((out.length > 0) && (out.at(-1) !== '..') && (out.at(-1) !== '')) {
+        out.pop();
+      } else if (out.at(-1) !== '') {
+        out.push('..');
+      }
+      if (last) {
+        out.push('');
+      }
+    } else {
+      out.push(seg);
+    }
+  });
+  return out.join('/');
+}
+
+/**
+ * Writes the canonical form of a document from the events of a parser.
+ * The parser must process namespaces (the default).  Default attributes
+ * from the DTD are included, so set systemEntity on the parser if the
+ * external subset declares any.
+ *
+ * @example
+ * const parser = new XmlParser();
+ * const c14n = new Canonicalizer(parser, {algorithm: C14N.EXC_C14N});
+ * parser.parse(xml);
+ * parser.destroy();
+ * const bytes = c14n.toBytes();
+ */
+export class Canonicalizer {
+  /**
+   * @type {string[]}
+   */
+  #out = [];
+
+  /**
+   * @type {C14nFrame[]}
+   */
+  #stack = [];
+
+  /**
+   * Namespaces declared for the next element.
+   *
+   * @type {Map<string, string>}
+   */
+  #namespaces = new Map();
+
+  /**
+   * Depth inside of an excluded element, or 0.
+   */
+  #excluded = 0;
+
+  /**
+   * Depth inside of the selected element, or 0.
+   */
+  #selected = 0;
+
+  /**
+   * Has the selected element been found?
+   */
+  #found = false;
+
+  /**
+   * Has the root element ended?
+   */
+  #afterRoot = false;
+
+  /**
+   * Are we inside the DOCTYPE?
+   */
+  #inDoctype = false;
+
+  /**
+   * Problem that makes canonicalization impossible.
+   *
+   * @type {Error|undefined}
+   */
+  #error = undefined;
+
+  /**
+   * Attach to a parser.  Listeners are added for the events needed.
+   *
+   * @param {XmlParser} parser
+   * @param {C14nOptions} [opts]
+   */
+  constructor(parser, opts = {}) {
+    if (typeof parser.opts.separator !== 'string') {
+      throw new Error('Canonicalization requires namespace processing');
+    }
+    const {
+      algorithm = C14N.C14N_10,
+      withComments = algorithm.endsWith('#WithComments'),
+      inclusiveNamespaces = [],
+      select = null,
+      exclude = null,
+    } = opts;
+    if (!(/** @type {string[]} */ (Object.values(C14N))).includes(algorithm)) {
+      throw new Error(`Unknown canonicalization algorithm: "${algorithm}"`);
+    }
+    this.parser = parser;
+    this.opts = {
+      algorithm,
+      withComments,
+      select,
+      exclude,
+      exclusive: algorithm.startsWith(C14N.EXC_C14N),
+      version11: algorithm.startsWith(C14N.C14N_11),
+      inclusiveNamespaces: new Set(
+        (typeof inclusiveNamespaces === 'string') ?
+          inclusiveNamespaces.split(/\s+/).filter(Boolean) :
+          inclusiveNamespaces
+      ),
+    };
+
+    parser
+      .on('startDoctypeDecl', () => {
+        this.#inDoctype = true;
+      })
+      .on('endDoctypeDecl', () => {
+        this.#inDoctype = false;
+      })
+      .on('startNamespaceDecl', (prefix, uri) => {
+        this.#namespaces.set(prefix || '', uri || '');
+      })
+      .on('startElement', (name, attribs) => {
+        this.#startElement(name, attribs);
+      })
+      .on('endElement', () => {
+        this.#endElement();
+      })
+      .on('characterData', str => {
+        if (this.#inOutput()) {
+          this.#out.push(Canonicalizer.#escape(str, TEXT_ESCAPES));
+        }
+      })
+      .on('comment', text => {
+        if (this.opts.withComments) {
+          this.#misc(`<!--${text}-->`);
+        }
+      })
+      .on('processingInstruction', (target, data) => {
+        this.#misc(data ? `<?${target} ${data}?>` : `<?${target}?>`);
+      })
+      .on('skippedEntity', (name, isParameterEntity) => {
+        if (!isParameterEntity && this.#inOutput()) {
+          this.#error ??= new Error(
+            `Entity "${name}" was not expanded, so the document can't be canonicalized`
+          );
+        }
+      });
+  }
+
+  /**
+   * @returns {string} The canonical form, so far.
+   * @throws {Error} An entity was not expanded.
+   */
+  toString() {
+    if (this.#error) {
+      throw this.#error;
+    }
+    return this.#out.join('');
+  }
+
+  /**
+   * @returns {Uint8Array} The canonical form, so far, in UTF-8.
+   * @throws {Error} An entity was not expanded.
+   */
+  toBytes() {
+    return new TextEncoder().encode(this.toString());
+  }
+
+  /**
+   * Is the current node part of the output?
+   *
+   * @returns {boolean}
+   */
+  #inOutput() {
+    return Boolean(this.#stack.at(-1)?.output);
+  }
+
+  /**
+   * @param {string} str
+   * @param {Record<string, string>} escapes
+   * @returns {string}
+   */
+  static #escape(str, escapes) {
+    return str.replace(/[&<>"\t\n\r]/g, c => escapes[c] ?? c);
+  }
+
+  /**
+   * Write a comment or processing instruction.
+   *
+   * @param {string} str
+   */
+  #misc(str) {
+    if (this.#inDoctype) {
+      return;
+    }
+    if (this.#stack.length > 0) {
+      if (this.#inOutput()) {
+        this.#out.push(str);
+      }
+    } else if (!this.opts.select) {
+      // Outside of the document element.
+      this.#out.push(this.#afterRoot ? `\n${str}` : `${str}\n`);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {Record<string, string>|AttributeInfo[]} attribs
+   */
+  #startElement(name, attribs) {
+    const parent = this.#stack.at(-1);
+    const scope = new Map(parent?.scope ?? [['', '']]);
+    for (const [prefix, uri] of this.#namespaces) {
+      scope.set(prefix, uri);
+    }
+    this.#namespaces.clear();
+
+    const entries = Array.isArray(attribs) ?
+      attribs.map(({name: n, value}) => [n, value]) :
+      Object.entries(attribs);
+    const attrs = entries.map(([n, value]) => {
+      const {ns, local, prefix} = this.parser.triple(n);
+      return {
+        ns: ns ?? '',
+        local,
+        prefix: prefix ?? '',
+        value,
+      };
+    });
+    const xml = new Map(parent?.xml);
+    for (const a of attrs) {
+      if (a.ns === XML_NS) {
+        const prev = xml.get(a.local);
+        xml.set(
+          a.local,
+          ((a.local === 'base') && prev) ? joinBase(prev, a.value) : a.value
+        );
+      }
+    }
+
+    const {local, prefix} = this.parser.triple(name);
+    const qname = prefix ? `${prefix}:${local}` : local;
+
+    let output = true;
+    if (this.#excluded || this.opts.exclude?.(name, attribs)) {
+      this.#excluded++;
+      output = false;
+    } else if (this.opts.select) {
+      if (this.#selected) {
+        this.#selected++;
+      } else if (!this.#found && this.opts.select(name, attribs)) {
+        this.#found = true;
+        this.#selected = 1;
+      } else {
+        output = false;
+      }
+    }
+
+    const rendered = new Map(parent?.rendered ?? [['', '']]);
+    if (output) {
+      const apex = !parent?.output;
+      if (apex && !this.opts.exclusive && parent) {
+        this.#inheritXml(attrs, parent.xml);
+      }
+      const used = this.#usedNamespaces(prefix ?? '', attrs, scope);
+      const decls = [...used]
+        .filter(p => {
+          const uri = scope.get(p) ?? '';
+          if ((p === '') && (uri === '')) {
+            return rendered.get('') !== '';
+          }
+          return rendered.get(p) !== uri;
+        })
+        .sort(compare);
+
+      let str = `<${qname}`;
+      for (const p of decls) {
+        const uri = scope.get(p) ?? '';
+        rendered.set(p, uri);
+        str += ` ${p ? `xmlns:${p}` : 'xmlns'}="${Canonicalizer.#escape(uri, ATTRIBUTE_ESCAPES)}"`;
+      }
+      attrs.sort((a, b) => compare(a.ns, b.ns) || compare(a.local, b.local));
+      for (const a of attrs) {
+        const n = a.prefix ? `${a.prefix}:${a.local}` : a.local;
+        str += ` ${n}="${Canonicalizer.#escape(a.value, ATTRIBUTE_ESCAPES)}"`;
+      }
+      this.#out.push(`${str}>`);
+    }
+    this.#stack.push({name: qname, output, scope, rendered, xml});
+  }
+
+  /**
+   * The prefixes of the namespaces that might be rendered on an element.
+   *
+   * @param {string} prefix Prefix of the element name.
+   * @param {{prefix: string}[]} attrs
+   * @param {Map<string, string>} scope
+   * @returns {Set<string>}
+   */
+  #usedNamespaces(prefix, attrs, scope) {
+    if (!this.opts.exclusive) {
+      const all = new Set(scope.keys());
+      all.delete('xml');
+      return all;
+    }
+    const used = new Set([prefix]);
+    for (const a of attrs) {
+      if (a.prefix && (a.prefix !== 'xml')) {
+        used.add(a.prefix);
+      }
+    }
+    for (const p of this.opts.inclusiveNamespaces) {
+      const key = (p === '#default') ? '' : p;
+      if (scope.has(key)) {
+        used.add(key);
+      }
+    }
+    return used;
+  }
+
+  /**
+   * Add the xml:* attributes of the omitted ancestors of the first output
+   * element, for inclusive canonicalization.
+   *
+   * @param {{ns: string, local: string, prefix: string, value: string}[]
+   * } attrs Modified in place.
+   * @param {Map<string, string>} inherited
+   */
+  #inheritXml(attrs, inherited) {
+    for (const [local, value] of inherited) {
+      const own = attrs.find(a => (a.ns === XML_NS) && (a.local === local));
+      if (this.opts.version11) {
+        if (local === 'base') {
+          // Fix up xml:base instead of inheriting it.
+          if (own) {
+            own.value = joinBase(value, own.value);
+          } else {
+            attrs.push({ns: XML_NS, local, prefix: 'xml', value});
+          }
+          continue;
+        }
+        if ((local !== 'lang') && (local !== 'space')) {
+          continue;
+        }
+      }
+      if (!own) {
+        attrs.push({ns: XML_NS, local, prefix: 'xml', value});
+      }
+    }
+  }
+
+  #endElement() {
+    const frame = this.#stack.pop();
+    if (frame?.output) {
+      this.#out.push(`</${frame.name}>`);
+    }
+    if (this.#excluded) {
+      this.#excluded--;
+    } else if (this.#selected) {
+      this.#selected--;
+    }
+    if (this.#stack.length === 0) {
+      this.#afterRoot = true;
+    }
+  }
+}
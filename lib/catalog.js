@@ -0,0 +1,551 @@
+import {fileURLToPath, pathToFileURL} from 'url';
+import {XmlParser} from './index.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {import('./index.js').EntityInfo} EntityInfo
+ * @typedef {import('./index.js').ReadEntity} ReadEntity
+ * @typedef {import('./index.js').CheckEntity} CheckEntity
+ * @typedef {import('./dom.js').XmlElement} XmlElement
+ */
+
+/**
+ * @typedef {"public"
+ * | "system"
+ * | "rewriteSystem"
+ * | "systemSuffix"
+ * | "delegatePublic"
+ * | "delegateSystem"
+ * | "uri"
+ * | "rewriteURI"
+ * | "uriSuffix"
+ * | "delegateURI"
+ * | "nextCatalog"
+ * } CatalogEntryType
+ */
+
+/**
+ * One entry from a catalog file.
+ *
+ * @typedef {object} CatalogEntry
+ * @prop {CatalogEntryType} type
+ * @prop {string} match The identifier, prefix or suffix to match.  Empty
+ *   for nextCatalog.
+ * @prop {string} value Absolute URL of the replacement, rewrite prefix, or
+ *   catalog to use.
+ * @prop {boolean} preferPublic Can public entries be used even if there is
+ *   a system identifier?
+ * @private
+ */
+
+/**
+ * @typedef {object} CatalogResolverOptions
+ * @prop {ReadEntity} [fallback] Called to read entities that are not in any
+ *   of the catalogs.  By default, an error is thrown for those entities.
+ * @prop {"public"|"system"} [prefer="public"] Default for the prefer
+ *   attribute of the catalogs.
+ */
+
+const CATALOG_NS = 'urn:oasis:names:tc:entity:xmlns:xml:catalog';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+/**
+ * Attributes that hold the string to match for each entry type, and the
+ * URL that goes with it.
+ *
+ * @type {Record<CatalogEntryType, [match: string|null, value: string]>}
+ */
+const ENTRY_ATTRIBUTES = {
+  public: ['publicId', 'uri'],
+  system: ['systemId', 'uri'],
+  rewriteSystem: ['systemIdStartString', 'rewritePrefix'],
+  systemSuffix: ['systemIdSuffix', 'uri'],
+  delegatePublic: ['publicIdStartString', 'catalog'],
+  delegateSystem: ['systemIdStartString', 'catalog'],
+  uri: ['name', 'uri'],
+  rewriteURI: ['uriStartString', 'rewritePrefix'],
+  uriSuffix: ['uriSuffix', 'uri'],
+  delegateURI: ['uriStartString', 'catalog'],
+  nextCatalog: [null, 'catalog'],
+};
+
+/**
+ * Characters that are escaped in publicid URNs, from RFC 3151.
+ *
+ * @type {Record<string, string>}
+ */
+const URN_ESCAPES = {
+  '%2B': '+',
+  '%3A': ':',
+  '%2F': '/',
+  '%3B': ';',
+  '%27': '\'',
+  '%3F': '?',
+  '%23': '#',
+  '%25': '%',
+};
+
+/**
+ * Normalize a public identifier, as in section 6.2 of the catalog spec.
+ *
+ * @param {string} publicId
+ * @returns {string}
+ */
+function normalizePublic(publicId) {
+  return publicId.replace(/[ \t\r\n]+/g, ' ').trim();
+}
+
+/**
+ * If the identifier is a publicid URN, unwrap it into a public identifier,
+ * as in section 6.4 of the catalog spec.
+ *
+ * @param {string|null} id
+ * @returns {string|null} The public identifier, or null if id was not a
+ *   publicid URN.
+ */
+function unwrapUrn(id) {
+  if (!id?.toLowerCase().startsWith('urn:publicid:')) {
+    return null;
+  }
+  return id
+    .slice(13)
+    .replace(/%(?:2B|3A|2F|3B|27|3F|23|25)|[+:;]/gi, s => {
+      switch (s) {
+        case '+':
+          return ' ';
+        case ':':
+          return '//';
+        case ';':
+          return '::';
+        default:
+          return URN_ESCAPES[s.toUpperCase()];
+      }
+    });
+}
+
+/**
+ * Convert a catalog file name or URL to an absolute URL.
+ *
+ * @param {string|URL} file
+ * @returns {string}
+ */
+function toUrl(file) {
+  if (file instanceof URL) {
+    return file.href;
+  }
+  if (file.startsWith('file:')) {
+    return new URL(file).href;
+  }
+  return pathToFileURL(path.resolve(file)).href;
+}
+
+/**
+ * Find the entries of the given type whose match is a prefix (or suffix)
+ * of the identifier, longest first.
+ *
+ * @param {CatalogEntry[]} entries
+ * @param {CatalogEntryType} type
+ * @param {string} id
+ * @param {boolean} [suffix=false]
+ * @returns {CatalogEntry[]}
+ */
+function longestMatches(entries, type, id, suffix = false) {
+  return entries
+    .filter(e => (e.type === type) &&
+      (suffix ? id.endsWith(e.match) : id.startsWith(e.match)))
+    .sort((a, b) => b.match.length - a.match.length);
+}
+
+/**
+ * Resolves identifiers through a set of OASIS XML Catalog files.  Catalogs
+ * are read synchronously the first time they are needed, and cached.
+ *
+ * @see https://www.oasis-open.org/committees/download.php/14809/xml-catalogs.html
+ * @private
+ */
+class CatalogSet {
+  /**
+   * Parsed catalog files, by URL.  Null if the file could not be read.
+   *
+   * @type {Map<string, CatalogEntry[]|null>}
+   */
+  #cache = new Map();
+
+  /**
+   * @param {string[]} urls Catalogs to search, in order.
+   * @param {boolean} preferPublic Default for the prefer attribute.
+   */
+  constructor(urls, preferPublic) {
+    this.urls = urls;
+    this.preferPublic = preferPublic;
+  }
+
+  /**
+   * Get the entries from a catalog file.  Catalogs that cannot be read are
+   * treated as empty, as required by the spec, unless strict is set.
+   *
+   * @param {string} url
+   * @param {boolean} [strict=false] Throw if the catalog cannot be read.
+   * @returns {CatalogEntry[]}
+   */
+  load(url, strict = false) {
+    let entries = this.#cache.get(url);
+    if (entries === undefined) {
+      try {
+        entries = this.#parse(url);
+      } catch (e) {
+        if (strict) {
+          throw e;
+        }
+        entries = null;
+      }
+      this.#cache.set(url, entries);
+    }
+    return entries ?? [];
+  }
+
+  /**
+   * Read and parse a catalog file.
+   *
+   * @param {string} url
+   * @returns {CatalogEntry[]}
+   */
+  #parse(url) {
+    const doc = XmlParser.parseDocument(fs.readFileSync(fileURLToPath(url)));
+    const {root} = doc;
+    if (!root || (root.ns !== CATALOG_NS) || (root.local !== 'catalog')) {
+      throw new Error(`Not an XML catalog: "${url}"`);
+    }
+
+    /** @type {CatalogEntry[]} */
+    const entries = [];
+    this.#walk(root, url, this.preferPublic, entries);
+    return entries;
+  }
+
+  /**
+   * Collect the entries from a catalog or group element.
+   *
+   * @param {XmlElement} el
+   * @param {string} base
+   * @param {boolean} preferPublic
+   * @param {CatalogEntry[]} entries Add entries here.
+   */
+  #walk(el, base, preferPublic, entries) {
+    base = new URL(el.getAttributeNS(XML_NS, 'base') ?? '', base).href;
+    const prefer = el.getAttribute('prefer');
+    if (prefer) {
+      preferPublic = (prefer === 'public');
+    }
+
+    for (const child of el.elements) {
+      if (child.ns !== CATALOG_NS) {
+        continue;
+      }
+      if (child.local === 'group') {
+        this.#walk(child, base, preferPublic, entries);
+        continue;
+      }
+      if (!Object.hasOwn(ENTRY_ATTRIBUTES, child.local)) {
+        continue;
+      }
+      const type = /** @type {CatalogEntryType} */ (child.local);
+      const [matchAttr, valueAttr] = ENTRY_ATTRIBUTES[type];
+      const value = child.getAttribute(valueAttr);
+      let match = matchAttr ? child.getAttribute(matchAttr) : '';
+      if ((value === null) || (match === null)) {
+        continue;
+      }
+      if (type.endsWith('Public')) {
+        match = normalizePublic(match);
+      } else if (type === 'public') {
+        match = normalizePublic(unwrapUrn(match) ?? match);
+      }
+      const entryBase = new URL(
+        child.getAttributeNS(XML_NS, 'base') ?? '', base
+      );
+      entries.push({
+        type,
+        match,
+        value: new URL(value, entryBase).href,
+        preferPublic,
+      });
+    }
+  }
+
+  /**
+   * Resolve an external identifier, as in section 7.1.2 of the spec.
+   *
+   * @param {string|null} publicId
+   * @param {string|null} systemId
+   * @param {string[]} [urls] Catalogs to search.
+   * @param {Set<string>} [visited] Catalogs that have already been
+   *   searched for these identifiers, to stop nextCatalog and delegate
+   *   entries that refer to each other from recursing forever.
+   * @returns {string|null} The resolved URL, or null if not found.
+   */
+  resolveExternal(publicId, systemId, urls = this.urls, visited = new Set()) {
+    for (const url of urls) {
+      const ret = this.#external(publicId, systemId, url, visited);
+      if (ret !== undefined) {
+        return ret;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve an external identifier in a single catalog.
+   *
+   * @param {string|null} publicId
+   * @param {string|null} systemId
+   * @param {string} url URL of the catalog.
+   * @param {Set<string>} visited
+   * @returns {string|null|undefined} The URL, null if resolution should
+   *   stop without a result, or undefined to continue with the next
+   *   catalog.
+   */
+  #external(publicId, systemId, url, visited) {
+    // Delegation changes the identifiers being looked up.
+    const key = JSON.stringify([url, publicId, systemId]);
+    if (visited.has(key)) {
+      return undefined;
+    }
+    visited.add(key);
+    const entries = this.load(url);
+
+    if (systemId) {
+      const system = entries.find(
+        e => (e.type === 'system') && (e.match === systemId)
+      );
+      if (system) {
+        return system.value;
+      }
+      const [rewrite] = longestMatches(entries, 'rewriteSystem', systemId);
+      if (rewrite) {
+        return rewrite.value + systemId.slice(rewrite.match.length);
+      }
+      const [suffix] = longestMatches(entries, 'systemSuffix', systemId, true);
+      if (suffix) {
+        return suffix.value;
+      }
+      const delegates = longestMatches(entries, 'delegateSystem', systemId);
+      if (delegates.length > 0) {
+        return this.resolveExternal(
+          null, systemId, delegates.map(e => e.value), visited
+        );
+      }
+    }
+
+    if (publicId) {
+      const pub = entries.find(
+        e => (e.type === 'public') &&
+          (e.match === publicId) &&
+          (e.preferPublic || !systemId)
+      );
+      if (pub) {
+        return pub.value;
+      }
+      const delegates = longestMatches(entries, 'delegatePublic', publicId)
+        .filter(e => e.preferPublic || !systemId);
+      if (delegates.length > 0) {
+        return this.resolveExternal(
+          publicId, null, delegates.map(e => e.value), visited
+        );
+      }
+    }
+
+    for (const next of entries.filter(e => e.type === 'nextCatalog')) {
+      const ret = this.#external(publicId, systemId, next.value, visited);
+      if (ret !== undefined) {
+        return ret;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Resolve a URI reference, as in section 7.2.2 of the spec.
+   *
+   * @param {string} uri
+   * @param {string[]} [urls] Catalogs to search.
+   * @param {Set<string>} [visited] URLs of the catalogs that have already
+   *   been searched for this URI.
+   * @returns {string|null} The resolved URL, or null if not found.
+   */
+  resolveURI(uri, urls = this.urls, visited = new Set()) {
+    for (const url of urls) {
+      const ret = this.#uri(uri, url, visited);
+      if (ret !== undefined) {
+        return ret;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a URI reference in a single catalog.
+   *
+   * @param {string} uri
+   * @param {string} url URL of the catalog.
+   * @param {Set<string>} visited
+   * @returns {string|null|undefined} The URL, null if resolution should
+   *   stop without a result, or undefined to continue with the next
+   *   catalog.
+   */
+  #uri(uri, url, visited) {
+    if (visited.has(url)) {
+      return undefined;
+    }
+    visited.add(url);
+    const entries = this.load(url);
+
+    const exact = entries.find(e => (e.type === 'uri') && (e.match === uri));
+    if (exact) {
+      return exact.value;
+    }
+    const [rewrite] = longestMatches(entries, 'rewriteURI', uri);
+    if (rewrite) {
+      return rewrite.value + uri.slice(rewrite.match.length);
+    }
+    const [suffix] = longestMatches(entries, 'uriSuffix', uri, true);
+    if (suffix) {
+      return suffix.value;
+    }
+    const delegates = longestMatches(entries, 'delegateURI', uri);
+    if (delegates.length > 0) {
+      return this.resolveURI(uri, delegates.map(e => e.value), visited);
+    }
+    for (const next of entries.filter(e => e.type === 'nextCatalog')) {
+      const ret = this.#uri(uri, next.value, visited);
+      if (ret !== undefined) {
+        return ret;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Resolve the identifiers for an entity.  The system identifier is tried
+   * as it appears in the document, then made absolute against base.  If no
+   * external identifier entries match, uri entries are tried for the
+   * system identifier.
+   *
+   * @param {string} base
+   * @param {string|null} systemId
+   * @param {string|null} publicId
+   * @returns {string|null}
+   */
+  resolve(base, systemId, publicId) {
+    let pub = publicId ? normalizePublic(publicId) : null;
+    let sys = systemId || null;
+
+    // A system identifier that is a publicid URN is treated as a public
+    // identifier.
+    const sysUrn = unwrapUrn(sys);
+    if (sysUrn !== null) {
+      pub ??= sysUrn;
+      sys = null;
+    }
+    pub = unwrapUrn(pub) ?? pub;
+
+    /** @type {string[]} */
+    const systems = [];
+    if (sys) {
+      systems.push(sys);
+      try {
+        const abs = new URL(sys, base || undefined).href;
+        if (abs !== sys) {
+          systems.push(abs);
+        }
+      } catch {
+        // Not resolvable against base; only the literal form is tried.
+      }
+    }
+    for (const s of (systems.length > 0) ? systems : [null]) {
+      const ret = this.resolveExternal(pub, s);
+      if (ret !== null) {
+        return ret;
+      }
+    }
+    for (const s of systems) {
+      const ret = this.resolveURI(s);
+      if (ret !== null) {
+        return ret;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Create a function suitable for the systemEntity option of
+ * {@link XmlParser}, that looks up the public and system identifiers of
+ * each entity in OASIS XML Catalog files, and reads the file that they
+ * resolve to.  The public, system, rewriteSystem, systemSuffix,
+ * delegatePublic, delegateSystem, uri, rewriteURI, uriSuffix, delegateURI,
+ * nextCatalog and group entries are supported, as are the prefer and
+ * xml:base attributes.
+ *
+ * Catalogs are searched in order.  Catalogs referenced with nextCatalog or
+ * a delegate entry that cannot be read are ignored; the catalogs passed in
+ * must be readable.  Entities that the parser finds in its entityCache are
+ * passed to the check function of the fallback, if they are not in any of
+ * the catalogs and the fallback has one.
+ *
+ * @example
+ * const parser = new XmlParser({
+ *   systemEntity: createCatalogResolver('/etc/xml/catalog'),
+ * });
+ *
+ * @param {string|URL|(string|URL)[]} catalogFiles Paths or file: URLs of
+ *   the catalogs to use.
+ * @param {CatalogResolverOptions} [opts]
+ * @returns {ReadEntity}
+ */
+export function createCatalogResolver(catalogFiles, opts = {}) {
+  const files = Array.isArray(catalogFiles) ? catalogFiles : [catalogFiles];
+  const catalogs = new CatalogSet(
+    files.map(toUrl),
+    (opts.prefer ?? 'public') === 'public'
+  );
+  for (const url of catalogs.urls) {
+    catalogs.load(url, true);
+  }
+
+  /** @type {ReadEntity} */
+  const read = (base, systemId, publicId, depth) => {
+    const resolved = catalogs.resolve(base, systemId, publicId ?? null);
+    if (resolved === null) {
+      if (opts.fallback) {
+        return opts.fallback(base, systemId, publicId, depth);
+      }
+      throw new Error(`No catalog entry for ${JSON.stringify({publicId, systemId})}`);
+    }
+    const url = new URL(resolved);
+    if (url.protocol !== 'file:') {
+      throw new Error(`Catalog resolved to a URL that is not a file: "${resolved}"`);
+    }
+    return {
+      base: url.href,
+      data: fs.readFileSync(url),
+    };
+  };
+
+  const {fallback} =
+    /** @type {{fallback?: {check?: CheckEntity}}} */ (opts);
+
+  /** @type {CheckEntity} */
+  // eslint-disable-next-line max-params
+  const check = (base, systemId, publicId, depth, ent) => {
+    if (fallback?.check &&
+        (catalogs.resolve(base, systemId, publicId ?? null) === null)) {
+      fallback.check(base, systemId, publicId, depth, ent);
+    }
+  };
+
+  return Object.assign(read, {check});
+}
+
+export default createCatalogResolver;
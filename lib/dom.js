@@ -0,0 +1,530 @@
+/**
+ * @typedef {import('./index.js').XmlParser} XmlParser
+ * @typedef {import('./index.js').Position} Position
+ */
+
+/**
+ * @typedef {object} DomBuilderOptions
+ * @prop {boolean} [positions=false] Record the {@link Position} where each
+ *   node starts in the input.  For text, this is the start of the first run
+ *   of characters in the node.  Nodes that come from external entities are
+ *   positioned relative to the start of that entity.
+ */
+
+/**
+ * @typedef {"document"
+ * | "element"
+ * | "text"
+ * | "cdata"
+ * | "comment"
+ * | "processingInstruction"
+ * } XmlNodeType
+ */
+
+/**
+ * @typedef {object} XmlDocType
+ * @prop {string} name Name of the root element from the DOCTYPE.
+ * @prop {string|null} systemId
+ * @prop {string|null} publicId
+ */
+
+/**
+ * @typedef {object} XmlDeclaration
+ * @prop {string} version
+ * @prop {string|null} encoding
+ * @prop {boolean} standalone
+ */
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+/**
+ * Parents of nodes.  Kept out of the nodes themselves so that trees do not
+ * contain cycles, and can be passed to JSON.stringify.
+ *
+ * @type {WeakMap<XmlNode, XmlParentNode>}
+ */
+const parents = new WeakMap();
+
+/**
+ * Add a key from the document to a map of names.  Assignment would treat
+ * "__proto__" as the prototype.
+ *
+ * @param {Record<string, string>} obj
+ * @param {string} key
+ * @param {string} value
+ */
+function setKey(obj, key, value) {
+  Object.defineProperty(obj, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Base class for all nodes in a tree produced by
+ * {@link XmlParser.parseDocument}.
+ */
+export class XmlNode {
+  /**
+   * @param {XmlNodeType} type
+   */
+  constructor(type) {
+    /**
+     * What kind of node is this?
+     *
+     * @type {XmlNodeType}
+     */
+    this.type = type;
+
+    /**
+     * Where the node started in the input, if the positions option was set.
+     *
+     * @type {Position|undefined}
+     */
+    this.position = undefined;
+  }
+
+  /**
+   * The node that contains this one, or null for a document or a node that
+   * has not been added to a tree.
+   *
+   * @type {XmlParentNode|null}
+   */
+  get parent() {
+    return parents.get(this) ?? null;
+  }
+}
+
+/**
+ * A node that can have children.
+ */
+export class XmlParentNode extends XmlNode {
+  /**
+   * @param {XmlNodeType} type
+   */
+  constructor(type) {
+    super(type);
+
+    /**
+     * @type {XmlNode[]}
+     */
+    this.children = [];
+  }
+
+  /**
+   * The children that are elements.
+   *
+   * @type {XmlElement[]}
+   */
+  get elements() {
+    return /** @type {XmlElement[]} */ (
+      this.children.filter(c => c.type === 'element')
+    );
+  }
+
+  /**
+   * Concatenation of all of the text and CDATA in this node and its
+   * descendants, in document order.
+   *
+   * @type {string}
+   */
+  get text() {
+    let ret = '';
+    // Explicit stack, so that deeply-nested documents do not overflow.
+    const stack = [...this.children].reverse();
+    while (stack.length) {
+      const c = /** @type {XmlNode} */ (stack.pop());
+      switch (c.type) {
+        case 'text':
+        case 'cdata':
+          ret += /** @type {XmlText} */ (c).value;
+          break;
+        case 'element': {
+          const {children} = /** @type {XmlElement} */ (c);
+          for (let i = children.length - 1; i >= 0; i--) {
+            stack.push(children[i]);
+          }
+          break;
+        }
+      }
+    }
+    return ret;
+  }
+
+  /**
+   * Add a child to the end of the list of children.
+   *
+   * @template {XmlNode} T
+   * @param {T} child
+   * @returns {T} The child.
+   */
+  appendChild(child) {
+    parents.set(child, this);
+    this.children.push(child);
+    return child;
+  }
+}
+
+/**
+ * The root of a parsed tree.
+ */
+export class XmlDocument extends XmlParentNode {
+  constructor() {
+    super('document');
+
+    /**
+     * The XML declaration, if there was one.
+     *
+     * @type {XmlDeclaration|null}
+     */
+    this.xmlDecl = null;
+
+    /**
+     * The DOCTYPE, if there was one.
+     *
+     * @type {XmlDocType|null}
+     */
+    this.doctype = null;
+
+    /**
+     * Every namespace prefix declared in the document, with the URI from its
+     * first declaration.  The key for the default namespace is "".  Used to
+     * resolve prefixes in XPath expressions.
+     *
+     * @type {Record<string, string>}
+     */
+    this.namespaces = {};
+
+    /**
+     * The name of the attribute declared with type ID in the DTD, by
+     * element name.  Used by the XPath id() function.
+     *
+     * @type {Record<string, string>}
+     */
+    this.idAttributes = {};
+  }
+
+  /**
+   * The root element.
+   *
+   * @type {XmlElement|null}
+   */
+  get root() {
+    return this.elements[0] ?? null;
+  }
+}
+
+/**
+ * An element.
+ */
+export class XmlElement extends XmlParentNode {
+  /**
+   * @param {string} local Local name.
+   * @param {string|null} [ns] Namespace URI.
+   * @param {string|null} [prefix] Namespace prefix, as it appeared in the
+   *   input.
+   */
+  constructor(local, ns = null, prefix = null) {
+    super('element');
+
+    /**
+     * Qualified name, such as "foo" or "f:foo".
+     *
+     * @type {string}
+     */
+    this.name = prefix ? `${prefix}:${local}` : local;
+    this.local = local;
+    this.ns = ns;
+    this.prefix = prefix;
+
+    /**
+     * Attribute values, by qualified name.
+     *
+     * @type {Record<string, string>}
+     */
+    this.attributes = {};
+
+    /**
+     * Namespaces declared on this element.  The key for the default
+     * namespace is "".
+     *
+     * @type {Record<string, string>}
+     */
+    this.namespaces = {};
+  }
+
+  /**
+   * Get an attribute by qualified name.
+   *
+   * @param {string} name
+   * @returns {string|null}
+   */
+  getAttribute(name) {
+    return Object.hasOwn(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  /**
+   * Get an attribute by namespace and local name.  Attributes without a
+   * prefix are not in any namespace.
+   *
+   * @param {string|null} ns
+   * @param {string} local
+   * @returns {string|null}
+   */
+  getAttributeNS(ns, local) {
+    for (const [name, value] of Object.entries(this.attributes)) {
+      const colon = name.indexOf(':');
+      if (colon === -1) {
+        if (!ns && (name === local)) {
+          return value;
+        }
+      } else if ((name.slice(colon + 1) === local) &&
+        (this.lookupNamespaceURI(name.slice(0, colon)) === ns)) {
+        return value;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the namespace URI that is in scope for the given prefix.
+   *
+   * @param {string|null} prefix Null or "" for the default namespace.
+   * @returns {string|null}
+   */
+  lookupNamespaceURI(prefix) {
+    prefix ??= '';
+    if (prefix === 'xml') {
+      return XML_NS;
+    }
+    for (
+      let n = /** @type {XmlNode|null} */ (this);
+      n instanceof XmlElement;
+      n = n.parent
+    ) {
+      if (Object.hasOwn(n.namespaces, prefix)) {
+        return n.namespaces[prefix] || null;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * A run of character data.
+ */
+export class XmlText extends XmlNode {
+  /**
+   * @param {string} value
+   * @param {XmlNodeType} [type]
+   */
+  constructor(value, type = 'text') {
+    super(type);
+    this.value = value;
+  }
+}
+
+/**
+ * The contents of a CDATA section.
+ */
+export class XmlCdata extends XmlText {
+  /**
+   * @param {string} value
+   */
+  constructor(value) {
+    super(value, 'cdata');
+  }
+}
+
+/**
+ * A comment.
+ */
+export class XmlComment extends XmlNode {
+  /**
+   * @param {string} value
+   */
+  constructor(value) {
+    super('comment');
+    this.value = value;
+  }
+}
+
+/**
+ * A processing instruction.
+ */
+export class XmlProcessingInstruction extends XmlNode {
+  /**
+   * @param {string} target
+   * @param {string} data
+   */
+  constructor(target, data) {
+    super('processingInstruction');
+    this.target = target;
+    this.data = data;
+  }
+}
+
+/**
+ * Builds an {@link XmlDocument} from the events of a parser.  Use this
+ * directly to build a tree from input that arrives in chunks, or with
+ * {@link XmlParser#parseAsync parseAsync()}; otherwise,
+ * {@link XmlParser.parseDocument} is easier.
+ *
+ * @example
+ * const parser = new XmlParser();
+ * const builder = new DomBuilder(parser);
+ * for await (const chunk of res.body) {
+ *   parser.parse(chunk, 0);
+ * }
+ * parser.parse('', 1);
+ * parser.destroy();
+ * console.log(builder.document.root.name);
+ */
+export class DomBuilder {
+  /**
+   * @type {XmlParentNode}
+   */
+  #current;
+
+  /**
+   * Text or CDATA node that characterData is currently being added to.
+   *
+   * @type {XmlText|null}
+   */
+  #text = null;
+
+  /**
+   * Are we inside a CDATA section?
+   */
+  #cdata = false;
+
+  /**
+   * Are we inside the DOCTYPE?  Comments and PIs in the internal subset are
+   * not part of the tree.
+   */
+  #inDoctype = false;
+
+  /**
+   * Namespaces declared for the next element.
+   *
+   * @type {Record<string, string>}
+   */
+  #namespaces = {};
+
+  /**
+   * Attach to a parser.  Listeners are added for the events needed to build
+   * the tree.
+   *
+   * @param {XmlParser} parser Parser to listen to.
+   * @param {DomBuilderOptions} [opts]
+   */
+  constructor(parser, opts = {}) {
+    this.parser = parser;
+    this.opts = {
+      positions: false,
+      ...opts,
+    };
+
+    /**
+     * The document being built.  Complete once the parser has finished.
+     *
+     * @type {XmlDocument}
+     */
+    this.document = new XmlDocument();
+    this.#current = this.document;
+
+    parser
+      .on('xmlDecl', (version, encoding, standalone) => {
+        this.document.xmlDecl = {
+          version,
+          encoding: encoding || null,
+          standalone,
+        };
+      })
+      .on('startDoctypeDecl', (name, sysid, pubid) => {
+        this.#inDoctype = true;
+        this.document.doctype = {
+          name,
+          systemId: sysid || null,
+          publicId: pubid || null,
+        };
+      })
+      .on('endDoctypeDecl', () => {
+        this.#inDoctype = false;
+      })
+      .on('attlistDecl', (elname, attname, attType) => {
+        if ((attType === 'ID') &&
+            !Object.hasOwn(this.document.idAttributes, elname)) {
+          setKey(this.document.idAttributes, elname, attname);
+        }
+      })
+      .on('startNamespaceDecl', (prefix, uri) => {
+        setKey(this.#namespaces, prefix, uri);
+        if (!Object.hasOwn(this.document.namespaces, prefix)) {
+          setKey(this.document.namespaces, prefix, uri);
+        }
+      })
+      .on('startElement', (name, attribs) => {
+        const {local, ns, prefix} = parser.triple(name);
+        const el = this.#add(new XmlElement(local, ns, prefix));
+        const entries = Array.isArray(attribs) ?
+          attribs.map(({name: n, value}) => [n, value]) :
+          Object.entries(attribs);
+        for (const [k, v] of entries) {
+          const a = parser.triple(k);
+          setKey(el.attributes, a.prefix ? `${a.prefix}:${a.local}` : a.local, v);
+        }
+        el.namespaces = this.#namespaces;
+        this.#namespaces = {};
+        this.#current = el;
+      })
+      .on('endElement', () => {
+        this.#text = null;
+        this.#current = /** @type {XmlParentNode} */ (this.#current.parent);
+      })
+      .on('characterData', str => {
+        if (this.#text) {
+          this.#text.value += str;
+        } else {
+          this.#text = this.#add(
+            this.#cdata ? new XmlCdata(str) : new XmlText(str)
+          );
+        }
+      })
+      .on('startCdataSection', () => {
+        this.#cdata = true;
+        this.#text = this.#add(new XmlCdata(''));
+      })
+      .on('endCdataSection', () => {
+        this.#cdata = false;
+        this.#text = null;
+      })
+      .on('comment', value => {
+        if (!this.#inDoctype) {
+          this.#add(new XmlComment(value));
+        }
+      })
+      .on('processingInstruction', (target, data) => {
+        if (!this.#inDoctype) {
+          this.#add(new XmlProcessingInstruction(target, data));
+        }
+      });
+  }
+
+  /**
+   * Add a node to the current parent, recording its position.
+   *
+   * @template {XmlNode} T
+   * @param {T} node
+   * @returns {T}
+   */
+  #add(node) {
+    if (this.opts.positions) {
+      node.position = this.parser.position;
+    }
+    this.#text = null;
+    return this.#current.appendChild(node);
+  }
+}
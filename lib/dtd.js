@@ -0,0 +1,523 @@
+/**
+ * @typedef {import('./index.js').XmlParser} XmlParser
+ * @typedef {import('./index.js').Model} Model
+ */
+
+/**
+ * Emitted by the parser just before each attlistDecl event, with true if the
+ * attribute has a default value.  The attlistDecl event reports a missing
+ * default as "", which would make `#FIXED ""` look like #REQUIRED.
+ */
+export const ATTLIST_DEFAULT = Symbol('attlistDefault');
+
+/**
+ * Kinds of content model, named after expat's XML_CTYPE_* constants.
+ */
+export const ContentType = Object.freeze({
+  EMPTY: 'EMPTY',
+  ANY: 'ANY',
+  MIXED: 'MIXED',
+  NAME: 'NAME',
+  CHOICE: 'CHOICE',
+  SEQ: 'SEQ',
+});
+
+/**
+ * How many times a content particle may occur, named after expat's
+ * XML_CQUANT_* constants.  NONE is exactly once, OPT is "?", REP is "*",
+ * and PLUS is "+".
+ */
+export const ContentQuant = Object.freeze({
+  NONE: 'NONE',
+  OPT: 'OPT',
+  REP: 'REP',
+  PLUS: 'PLUS',
+});
+
+/**
+ * Attribute types.  Enumerations such as `(a|b)` are ENUMERATION.
+ */
+export const AttributeType = Object.freeze({
+  CDATA: 'CDATA',
+  ID: 'ID',
+  IDREF: 'IDREF',
+  IDREFS: 'IDREFS',
+  ENTITY: 'ENTITY',
+  ENTITIES: 'ENTITIES',
+  NMTOKEN: 'NMTOKEN',
+  NMTOKENS: 'NMTOKENS',
+  NOTATION: 'NOTATION',
+  ENUMERATION: 'ENUMERATION',
+});
+
+/**
+ * How an attribute's default is declared.  DEFAULT is a plain default
+ * value, with no keyword.
+ */
+export const AttributeDefault = Object.freeze({
+  REQUIRED: 'REQUIRED',
+  IMPLIED: 'IMPLIED',
+  FIXED: 'FIXED',
+  DEFAULT: 'DEFAULT',
+});
+
+/**
+ * @typedef {"EMPTY"|"ANY"|"MIXED"|"NAME"|"CHOICE"|"SEQ"} ContentTypeName
+ */
+
+/**
+ * @typedef {"NONE"|"OPT"|"REP"|"PLUS"} ContentQuantName
+ */
+
+/**
+ * @typedef {"CDATA"
+ * | "ID"
+ * | "IDREF"
+ * | "IDREFS"
+ * | "ENTITY"
+ * | "ENTITIES"
+ * | "NMTOKEN"
+ * | "NMTOKENS"
+ * | "NOTATION"
+ * | "ENUMERATION"
+ * } AttributeTypeName
+ */
+
+/**
+ * @typedef {"REQUIRED"|"IMPLIED"|"FIXED"|"DEFAULT"} AttributeDefaultName
+ */
+
+/**
+ * @typedef {object} ContentModel
+ * @prop {ContentTypeName} type
+ * @prop {ContentQuantName} quant
+ * @prop {string} [name] Element name, only for NAME.
+ * @prop {ContentModel[]} children Choices or sequence members for CHOICE
+ *   and SEQ, or the allowed elements for MIXED.
+ */
+
+/**
+ * @typedef {object} ElementDecl
+ * @prop {string} name
+ * @prop {ContentModel} content
+ */
+
+/**
+ * @typedef {object} AttributeDecl
+ * @prop {string} element Name of the element the attribute is on.
+ * @prop {string} name
+ * @prop {AttributeTypeName} type
+ * @prop {string[]|null} values The allowed values for ENUMERATION and
+ *   NOTATION.
+ * @prop {AttributeDefaultName} defaultType
+ * @prop {string|null} value The default or fixed value.
+ */
+
+/**
+ * @typedef {object} EntityDecl
+ * @prop {string} name
+ * @prop {boolean} parameter Is this a parameter entity?
+ * @prop {string|null} value Replacement text of an internal entity.
+ * @prop {string|null} base Base URI for resolving systemId.
+ * @prop {string|null} systemId
+ * @prop {string|null} publicId
+ * @prop {string|null} notation Notation of an unparsed entity.
+ */
+
+/**
+ * @typedef {object} NotationDecl
+ * @prop {string} name
+ * @prop {string|null} base
+ * @prop {string|null} systemId
+ * @prop {string|null} publicId
+ */
+
+/** @type {ContentTypeName[]} */
+const CONTENT_TYPES = ['EMPTY', 'EMPTY', 'ANY', 'MIXED', 'NAME', 'CHOICE', 'SEQ'];
+
+/** @type {ContentQuantName[]} */
+const CONTENT_QUANTS = ['NONE', 'OPT', 'REP', 'PLUS'];
+
+/** @type {Record<ContentQuantName, string>} */
+const QUANT_SUFFIX = {
+  NONE: '',
+  OPT: '?',
+  REP: '*',
+  PLUS: '+',
+};
+
+// An "&" that starts an entity reference, which is kept as-is in the
+// replacement text of an entity.
+const ENTITY_REF = /&(?![:A-Z_a-z\u00C0-\uFFFF][-.\w:\u00B7-\uFFFF]*;)/g;
+
+/**
+ * Convert empty strings from the parser to null.
+ *
+ * @param {string|null|undefined} str
+ * @returns {string|null}
+ */
+function orNull(str) {
+  return str || null;
+}
+
+/**
+ * Quote a literal, with single quotes if it contains a double quote.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function quote(str) {
+  return str.includes('"') ? `'${str}'` : `"${str}"`;
+}
+
+/**
+ * The external ID of an entity or notation, such as `SYSTEM "foo.dtd"`.
+ *
+ * @param {string|null} systemId
+ * @param {string|null} publicId
+ * @returns {string}
+ */
+function externalId(systemId, publicId) {
+  if (publicId) {
+    return systemId ?
+      `PUBLIC ${quote(publicId)} ${quote(systemId)}` :
+      `PUBLIC ${quote(publicId)}`;
+  }
+  return `SYSTEM ${quote(systemId ?? '')}`;
+}
+
+/**
+ * Convert a model from the elementDecl event.
+ *
+ * @param {Model} model
+ * @returns {ContentModel}
+ */
+export function contentModel(model) {
+  const type = CONTENT_TYPES[model.type ?? 1];
+
+  /** @type {ContentModel} */
+  const ret = {
+    type,
+    quant: CONTENT_QUANTS[model.quant ?? 0],
+    children: (model.children ?? []).map(contentModel),
+  };
+  if (type === ContentType.NAME) {
+    ret.name = model.name;
+  }
+  return ret;
+}
+
+/**
+ * Write a content model in DTD syntax, such as `(a|b)*`.
+ *
+ * @param {ContentModel} model
+ * @returns {string}
+ */
+export function serializeContentModel(model) {
+  const quant = QUANT_SUFFIX[model.quant];
+  switch (model.type) {
+    case ContentType.EMPTY:
+    case ContentType.ANY:
+      return model.type;
+    case ContentType.MIXED:
+      return `(${['#PCDATA', ...model.children.map(serializeContentModel)]
+        .join('|')})${quant}`;
+    case ContentType.NAME:
+      return `${model.name}${quant}`;
+    case ContentType.CHOICE:
+    case ContentType.SEQ: {
+      const sep = (model.type === ContentType.CHOICE) ? '|' : ',';
+      return `(${model.children.map(serializeContentModel).join(sep)})${quant}`;
+    }
+    default:
+      throw new Error(`Unknown content type: "${model.type}"`);
+  }
+}
+
+/**
+ * The declarations from a DTD, including the internal subset and any
+ * external entities that were read.  When something is declared more than
+ * once, the first declaration is kept, as in the XML specification.
+ */
+export class Dtd {
+  constructor() {
+    /**
+     * Name of the root element from the DOCTYPE, if there was one.
+     *
+     * @type {string|null}
+     */
+    this.name = null;
+
+    /** @type {string|null} */
+    this.systemId = null;
+
+    /** @type {string|null} */
+    this.publicId = null;
+
+    /**
+     * Element declarations, by name.
+     *
+     * @type {Record<string, ElementDecl>}
+     */
+    this.elements = {};
+
+    /**
+     * Attribute declarations, by element name and then attribute name.
+     * Attributes may be declared for elements that are not.
+     *
+     * @type {Record<string, Record<string, AttributeDecl>>}
+     */
+    this.attributes = {};
+
+    /**
+     * General entities, by name.
+     *
+     * @type {Record<string, EntityDecl>}
+     */
+    this.entities = {};
+
+    /**
+     * Parameter entities, by name.
+     *
+     * @type {Record<string, EntityDecl>}
+     */
+    this.parameterEntities = {};
+
+    /**
+     * Notations, by name.
+     *
+     * @type {Record<string, NotationDecl>}
+     */
+    this.notations = {};
+  }
+
+  /**
+   * Write the declarations back out in DTD syntax, suitable for an
+   * external subset.  Parameter entity references were expanded by the
+   * parser, so the output does not use them, but the parameter entities
+   * are still declared.
+   *
+   * @returns {string}
+   */
+  toString() {
+    /** @type {string[]} */
+    const lines = [];
+    for (const ent of [
+      ...Object.values(this.parameterEntities),
+      ...Object.values(this.entities),
+    ]) {
+      const pe = ent.parameter ? '% ' : '';
+      let decl = null;
+      if (ent.value === null) {
+        decl = externalId(ent.systemId, ent.publicId);
+        if (ent.notation) {
+          decl += ` NDATA ${ent.notation}`;
+        }
+      } else {
+        decl = `"${ent.value
+          .replace(ENTITY_REF, '&#38;')
+          .replace(/%/g, '&#37;')
+          .replace(/"/g, '&#34;')}"`;
+      }
+      lines.push(`<!ENTITY ${pe}${ent.name} ${decl}>`);
+    }
+    for (const n of Object.values(this.notations)) {
+      lines.push(`<!NOTATION ${n.name} ${externalId(n.systemId, n.publicId)}>`);
+    }
+
+    const names = new Set([
+      ...Object.keys(this.elements),
+      ...Object.keys(this.attributes),
+    ]);
+    for (const name of names) {
+      const el = this.elements[name];
+      if (el) {
+        const content = serializeContentModel(el.content);
+        lines.push(`<!ELEMENT ${name} ${content}>`);
+      }
+      const atts = Object.values(this.attributes[name] ?? {});
+      if (atts.length > 0) {
+        lines.push(`<!ATTLIST ${name}`);
+        for (const att of atts) {
+          lines.push(`  ${Dtd.#attributeDef(att)}`);
+        }
+        lines.push('>');
+      }
+    }
+    return lines.map(l => `${l}\n`).join('');
+  }
+
+  /**
+   * Write one attribute definition from an ATTLIST.
+   *
+   * @param {AttributeDecl} att
+   * @returns {string}
+   */
+  static #attributeDef(att) {
+    const values = `(${att.values?.join('|')})`;
+
+    /** @type {Partial<Record<AttributeTypeName, string>>} */
+    const types = {
+      ENUMERATION: values,
+      NOTATION: `NOTATION ${values}`,
+    };
+    const type = types[att.type] ?? att.type;
+    let dflt = `#${att.defaultType}`;
+    if (att.value !== null) {
+      const value = `"${att.value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;')}"`;
+      dflt = (att.defaultType === AttributeDefault.FIXED) ?
+        `#FIXED ${value}` :
+        value;
+    }
+    return `${att.name} ${type} ${dflt}`;
+  }
+}
+
+/**
+ * Builds a {@link Dtd} from the declaration events of a parser.  Set the
+ * systemEntity option on the parser to include declarations from the
+ * external subset.
+ *
+ * @example
+ * const parser = new XmlParser({systemEntity});
+ * const collector = new DtdCollector(parser);
+ * parser.parse(xml);
+ * parser.destroy();
+ * console.log(collector.dtd.elements.foo.content);
+ * console.log(String(collector.dtd));
+ */
+export class DtdCollector {
+  /**
+   * Attach to a parser.  Listeners are added for the declaration events.
+   *
+   * @param {XmlParser} parser Parser to listen to.
+   */
+  constructor(parser) {
+    this.parser = parser;
+
+    /**
+     * The DTD being built.  Complete once the DOCTYPE has been parsed.
+     * Replace with a new Dtd to collect another document's declarations.
+     *
+     * @type {Dtd}
+     */
+    this.dtd = new Dtd();
+
+    let hasDefault = false;
+    parser
+      .on(ATTLIST_DEFAULT, has => {
+        hasDefault = has;
+      })
+      .on('startDoctypeDecl', (name, sysid, pubid) => {
+        this.dtd.name = name;
+        this.dtd.systemId = orNull(sysid);
+        this.dtd.publicId = orNull(pubid);
+      })
+      .on('elementDecl', (name, model) => {
+        if (!Object.hasOwn(this.dtd.elements, name)) {
+          this.dtd.elements[name] = {name, content: contentModel(model)};
+        }
+      })
+      // eslint-disable-next-line max-params
+      .on('attlistDecl', (element, name, attType, dflt, isRequired) => {
+        const att = DtdCollector.#attribute(
+          element, name, attType, dflt, isRequired, hasDefault
+        );
+        this.dtd.attributes[att.element] ??= {};
+        const atts = this.dtd.attributes[att.element];
+        if (!Object.hasOwn(atts, att.name)) {
+          atts[att.name] = att;
+        }
+      })
+      .on('entityDecl', (...args) => {
+        const ent = DtdCollector.#entity(...args);
+        const {dtd} = this;
+        const ents = ent.parameter ? dtd.parameterEntities : dtd.entities;
+        if (!Object.hasOwn(ents, ent.name)) {
+          ents[ent.name] = ent;
+        }
+      })
+      .on('notationDecl', (name, base, systemId, publicId) => {
+        if (!Object.hasOwn(this.dtd.notations, name)) {
+          this.dtd.notations[name] = {
+            name,
+            base: orNull(base),
+            systemId: orNull(systemId),
+            publicId: orNull(publicId),
+          };
+        }
+      });
+  }
+
+  /**
+   * Convert the parameters of an attlistDecl event.
+   *
+   * @param {string} element
+   * @param {string} name
+   * @param {string} attType Such as "CDATA", "(a|b)", or "NOTATION(x|y)".
+   * @param {string} dflt
+   * @param {boolean} isRequired
+   * @param {boolean} hasDefault False if dflt is "" because there was no
+   *   default value.
+   * @returns {AttributeDecl}
+   */
+  // eslint-disable-next-line max-params
+  static #attribute(element, name, attType, dflt, isRequired, hasDefault) {
+    /** @type {AttributeTypeName} */
+    let type = /** @type {AttributeTypeName} */ (attType);
+    let values = null;
+    const m = attType.match(/^(?<notation>NOTATION)?\s*\((?<list>.*)\)$/s);
+    if (m?.groups) {
+      type = m.groups.notation ?
+        AttributeType.NOTATION :
+        AttributeType.ENUMERATION;
+      values = m.groups.list.split('|').map(v => v.trim());
+    }
+
+    /** @type {AttributeDefaultName} */
+    let defaultType = AttributeDefault.IMPLIED;
+    if (hasDefault) {
+      defaultType = isRequired ?
+        AttributeDefault.FIXED :
+        AttributeDefault.DEFAULT;
+    } else if (isRequired) {
+      defaultType = AttributeDefault.REQUIRED;
+    }
+    return {
+      element,
+      name,
+      type,
+      values,
+      defaultType,
+      value: hasDefault ? dflt : null,
+    };
+  }
+
+  /**
+   * Convert the parameters of an entityDecl event.
+   *
+   * @param {string} name
+   * @param {boolean} parameter
+   * @param {string|null} value
+   * @param {string} base
+   * @param {string} systemId
+   * @param {string} publicId
+   * @param {string} notation
+   * @returns {EntityDecl}
+   */
+  // eslint-disable-next-line max-params
+  static #entity(name, parameter, value, base, systemId, publicId, notation) {
+    return {
+      name,
+      parameter,
+      value,
+      base: orNull(base),
+      systemId: (value === null) ? orNull(systemId) : null,
+      publicId: orNull(publicId),
+      notation: orNull(notation),
+    };
+  }
+}
@@ -30,6 +30,8 @@ declare namespace RuntimeExports {
      * @return {string}
      */
     function UTF8ToString(ptr: number, maxBytesToRead?: number | undefined, ignoreNul?: boolean | undefined): string;
+    let HEAP32: any;
+    let HEAPU8: any;
     let HEAPU32: any;
 }
 interface WasmModule {
@@ -40,8 +42,12 @@ interface WasmModule {
   _XML_ExternalEntityParserCreate(_0: number, _1: number, _2: number): number;
   _XML_SetReturnNSTriplet(_0: number, _1: number): void;
   _XML_SetUserData(_0: number, _1: number): void;
+  _XML_UseForeignDTD(_0: number, _1: number): number;
   _XML_SetBase(_0: number, _1: number): number;
   _XML_GetBase(_0: number): number;
+  _XML_GetSpecifiedAttributeCount(_0: number): number;
+  _XML_GetIdAttributeIndex(_0: number): number;
+  _XML_GetAttributeInfo(_0: number): number;
   _XML_SetStartElementHandler(_0: number, _1: number): void;
   _XML_SetEndElementHandler(_0: number, _1: number): void;
   _XML_SetCharacterDataHandler(_0: number, _1: number): void;
@@ -56,22 +62,36 @@ interface WasmModule {
   _XML_SetNotationDeclHandler(_0: number, _1: number): void;
   _XML_SetStartNamespaceDeclHandler(_0: number, _1: number): void;
   _XML_SetEndNamespaceDeclHandler(_0: number, _1: number): void;
+  _XML_SetNotStandaloneHandler(_0: number, _1: number): void;
   _XML_SetExternalEntityRefHandler(_0: number, _1: number): void;
   _XML_SetSkippedEntityHandler(_0: number, _1: number): void;
   _XML_SetElementDeclHandler(_0: number, _1: number): void;
   _XML_SetAttlistDeclHandler(_0: number, _1: number): void;
   _XML_SetEntityDeclHandler(_0: number, _1: number): void;
   _XML_SetXmlDeclHandler(_0: number, _1: number): void;
+  _XML_SetUnknownEncodingHandler(_0: number, _1: number, _2: number): void;
   _XML_SetParamEntityParsing(_0: number, _1: number): number;
+  _XML_SetHashSalt(_0: number, _1: number): number;
   _XML_Parse(_0: number, _1: number, _2: number, _3: number): number;
   _XML_StopParser(_0: number, _1: number): number;
+  _XML_ResumeParser(_0: number): number;
+  _XML_GetParsingStatus(_0: number, _1: number): void;
   _XML_GetErrorCode(_0: number): number;
   _XML_GetCurrentByteIndex(_0: number): number;
+  _XML_GetCurrentByteCount(_0: number): number;
+  _XML_GetInputContext(_0: number, _1: number, _2: number): number;
   _XML_GetCurrentLineNumber(_0: number): number;
   _XML_GetCurrentColumnNumber(_0: number): number;
   _XML_FreeContentModel(_0: number, _1: number): void;
   _XML_ErrorString(_0: number): number;
   _XML_ExpatVersion(): number;
+  _XML_SetBillionLaughsAttackProtectionMaximumAmplification(_0: number, _1: number): number;
+  _XML_SetBillionLaughsAttackProtectionActivationThreshold(_0: number, _1: bigint): number;
+  _XML_SetAllocTrackerMaximumAmplification(_0: number, _1: number): number;
+  _XML_SetAllocTrackerActivationThreshold(_0: number, _1: bigint): number;
+  _XML_SetReparseDeferralEnabled(_0: number, _1: number): number;
+  _malloc(_0: number): number;
+  _free(_0: number): void;
 }
 
 export type MainModule = WasmModule & typeof RuntimeExports;
@@ -1,13 +1,94 @@
+import {ATTLIST_DEFAULT} from './dtd.js';
 import {Buffer} from 'buffer';
+import {Canonicalizer} from './c14n.js';
+import {DomBuilder} from './dom.js';
 import {EventEmitter} from 'events';
 import {Pointers} from './pointers.js';
+import {Selector} from './select.js';
+import {Validator} from './validate.js';
 import expatWasm from './expat.js';
+import {toJson} from './json.js';
 
 const expat = await expatWasm();
+
+/**
+ * Is the given C function exported from lib/expat.js?  Functions added to
+ * wasm/expat_exports.json are missing until wasm/wmak has been re-run.
+ *
+ * @param {string} name Function name, without the leading underscore.
+ * @returns {boolean}
+ */
+function isExported(name) {
+  return typeof (/** @type {Record<string, unknown>} */ (
+    /** @type {unknown} */ (expat)
+  ))[`_${name}`] === 'function';
+}
+
+/**
+ * Call a C function in lib/expat.js.  Emscripten aborts the whole runtime
+ * when asked to call a function that was not exported, which breaks every
+ * other parser as well, so check first.
+ *
+ * @param {string} name Function name.
+ * @param {string|null} returnType
+ * @param {string[]} [argTypes]
+ * @param {unknown[]} [args]
+ * @returns {any}
+ * @throws {Error} Function not exported.
+ */
+function ccall(name, returnType, argTypes, args) {
+  if (!isExported(name)) {
+    throw new Error(`${name} is not exported from lib/expat.js, rebuild it with wasm/wmak`);
+  }
+  return expat.ccall(name, returnType, argTypes, args);
+}
 // This should work on node 20 and 22, even though `using`
 // isn't supported.
 const DISPOSE = Symbol.dispose ?? Symbol.for('Symbol.dispose');
 
+/** @type {ParsingState[]} */
+const PARSING_STATES = ['initialized', 'parsing', 'finished', 'suspended'];
+
+// Lines longer than this are shortened around the error in a code frame.
+const MAX_FRAME_WIDTH = 120;
+
+/**
+ * Create a decoder for the bytes that expat was parsing.  Without a known
+ * encoding, UTF-16 is detected from its byte order mark or from NUL bytes,
+ * which can not occur in the other encodings that expat supports.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} buffer
+ * @param {string} [encoding] Encoding from the encoding option, or from the
+ *   XML or text declaration.
+ * @returns {TextDecoder}
+ */
+function contextDecoder(buffer, encoding) {
+  let label = encoding?.toLowerCase() ?? null;
+  if (!label || (label === 'utf-16')) {
+    const nul = buffer.indexOf(0);
+    if ((buffer[0] === 0xfe) && (buffer[1] === 0xff)) {
+      label = 'utf-16be';
+    } else if ((buffer[0] === 0xff) && (buffer[1] === 0xfe)) {
+      label = 'utf-16le';
+    } else if (nul !== -1) {
+      label = (nul % 2) ? 'utf-16le' : 'utf-16be';
+    }
+  }
+  try {
+    return new TextDecoder(label ?? 'utf-8');
+  } catch {
+    // Not supported by TextDecoder.
+    return new TextDecoder();
+  }
+}
+
+/**
+ * @typedef {object} XmlParseErrorOptions
+ * @prop {unknown} [cause] The error from inside an external entity.
+ * @prop {string} [encoding] Encoding of the input, for decoding context.
+ *   If not given, UTF-8 or UTF-16 is assumed.
+ */
+
 /**
  * Error parsing XML
  *
@@ -17,19 +98,52 @@ const DISPOSE = Symbol.dispose ?? Symbol.for('Symbol.dispose');
  * @property {string} xmlMessage - error string
  * @property {number} line - input line that caused the error
  * @property {number} column - input column that cause the error
+ * @property {number} byteOffset - byte offset of the error in the input
+ * @property {string} [base] - base URI of the entity being parsed
+ * @property {string} [context] - full text of the line that caused the
+ *   error, if expat still had it in its buffer, decoded with the encoding
+ *   of the input
+ * @property {number} [contextOffset] - offset of the error in context,
+ *   in UTF-16 code units
+ * @property {unknown} [cause] - for an error in an external entity, the
+ *   error from inside that entity, which may itself have a cause
  */
 export class XmlParseError extends Error {
+  /**
+   * Expat error code when memory could not be allocated, including when
+   * the maxAllocBytes or maxAllocAmplification limit has been exceeded.
+   */
+  static NO_MEMORY = 1;
+
+  /**
+   * Expat error code when the maxAmplification limit has been exceeded,
+   * such as by a "billion laughs" attack.
+   */
+  static AMPLIFICATION_LIMIT_BREACH = 43;
+
+  /**
+   * Expat error code for content after the end of the root element.
+   */
+  static JUNK_AFTER_DOC_ELEMENT = 9;
+
+  /**
+   * Expat error code when the requireStandalone option rejected a document.
+   */
+  static NOT_STANDALONE = 22;
+
   /**
    * Create an error from the current parser state.
    *
    * @param {number} parser
    * @param {string} [extra] Extra string to add to message
+   * @param {XmlParseErrorOptions} [options] Standard Error options, such
+   *   as cause, plus the encoding of the input.
    */
-  constructor(parser, extra = '') {
+  constructor(parser, extra = '', options = undefined) {
     /* eslint-disable no-use-before-define */
     const code = XmlParser.XML_GetErrorCode(parser);
     const msg = XmlParser.XML_ErrorString(code) + extra;
-    super(`XML Parse Error: "${msg}"`);
+    super(`XML Parse Error: "${msg}"`, options);
     this.code = code;
     this.xmlMessage = msg;
     this.line = XmlParser.XML_GetCurrentLineNumber(parser);
@@ -40,12 +154,103 @@ export class XmlParseError extends Error {
     if (base) {
       this.base = base;
     }
+
+    // Not available from an out-of-date lib/expat.js.  The rest of the
+    // error is still useful without it.
+    const ctx = isExported('XML_GetInputContext') ?
+      XmlParser.XML_GetInputContext(parser) :
+      null;
     /* eslint-enable no-use-before-define */
+    if (ctx) {
+      const td = contextDecoder(ctx.buffer, options?.encoding);
+      const before = td.decode(ctx.buffer.subarray(0, ctx.offset));
+      const after = td.decode(ctx.buffer.subarray(ctx.offset));
+      const start = Math.max(
+        before.lastIndexOf('\n'), before.lastIndexOf('\r')
+      ) + 1;
+      let end = after.search(/[\r\n]/);
+      if (end === -1) {
+        end = after.length;
+      }
+      this.context = before.slice(start) + after.slice(0, end);
+      this.contextOffset = before.length - start;
+    }
+  }
+
+  /**
+   * The offending line with a caret pointing at the error, suitable for
+   * display in a terminal.  Undefined if there is no context.
+   *
+   * @type {string|undefined}
+   */
+  get codeFrame() {
+    if (this.context === undefined) {
+      return undefined;
+    }
+    let text = this.context;
+    let offset = this.contextOffset ?? 0;
+    if (text.length > MAX_FRAME_WIDTH) {
+      const start = Math.max(0, Math.min(
+        offset - (MAX_FRAME_WIDTH / 2), text.length - MAX_FRAME_WIDTH
+      ));
+      const end = start + MAX_FRAME_WIDTH;
+      const prefix = (start > 0) ? '\u2026' : '';
+      const suffix = (end < text.length) ? '\u2026' : '';
+      offset += prefix.length - start;
+      text = prefix + text.slice(start, end) + suffix;
+    }
+    const gutter = String(this.line);
+    const pad = text.slice(0, offset).replace(/[^\t]/g, ' ');
+    return `${gutter} | ${text}\n${' '.repeat(gutter.length)} | ${pad}^`;
+  }
+
+  /**
+   * Where the error happened, followed by the location of each external
+   * entity reference that led there, ending with the document itself.
+   * Built from the chain of causes.
+   *
+   * @example
+   * // [{base: 'address.dtd', line: 12, column: 5, ...},
+   * //  {base: 'external.xml', line: 3, column: 1, ...}]
+   * @type {IncludeFrame[]}
+   */
+  get includeStack() {
+    /** @type {IncludeFrame[]} */
+    const stack = [];
+
+    /** @type {unknown} */
+    let e = this;
+    while (e instanceof XmlParseError) {
+      const {base, line, column, byteOffset} = e;
+      stack.unshift({base, line, column, byteOffset});
+      e = e.cause;
+    }
+    return stack;
+  }
+
+  /**
+   * @returns {string} The message, followed by the code frame if there is
+   *   one.
+   */
+  toString() {
+    const str = super.toString();
+    return this.codeFrame ? `${str}\n${this.codeFrame}` : str;
   }
 }
 
 /**
- * Encodings that expat supports.
+ * One entry in {@link XmlParseError#includeStack}.
+ *
+ * @typedef {object} IncludeFrame
+ * @prop {string} [base] Base URI of the document or entity.
+ * @prop {number} line Line of the error or entity reference.
+ * @prop {number} column Column of the error or entity reference.
+ * @prop {number} byteOffset Byte offset of the error or entity reference.
+ */
+
+/**
+ * Encodings that expat supports.  Other encodings require the
+ * unknownEncoding option.
  *
  * @typedef { undefined
  * | null
@@ -53,9 +258,33 @@ export class XmlParseError extends Error {
  * | "UTF-8"
  * | "UTF-16"
  * | "ISO-8859-1"
+ * | string
  * } XML_Encoding
  */
 
+/**
+ * Description of an encoding that expat does not know about.  The encoding
+ * must be ASCII-compatible, and the first byte of each multi-byte sequence
+ * must determine the length of the sequence.
+ *
+ * @typedef {object} EncodingMap
+ * @prop {number[]} map 256 entries, one for each byte.  The Unicode code
+ *   point for that byte, -1 if the byte is invalid, or -n if the byte is
+ *   the first byte of an n-byte sequence (n = 2, 3, or 4).
+ * @prop {(bytes: Uint8Array) => number} [convert] Convert a multi-byte
+ *   sequence to a code point.  Return -1 if the sequence is invalid.
+ */
+
+/**
+ * Get a description of an encoding that expat does not support natively.
+ *
+ * @callback UnknownEncoding
+ * @param {string} name The name of the encoding, from the XML declaration
+ *   or the encoding option.
+ * @returns {EncodingMap|null|undefined} Null or undefined if the encoding is
+ *   not supported.
+ */
+
 /**
  * @typedef {object} ParserOptions
  * @prop {XML_Encoding} [encoding] null will do content
@@ -67,7 +296,101 @@ export class XmlParseError extends Error {
  * @prop {boolean} [expandInternalEntities] expand internal entities
  * @prop {ReadEntity|null} [systemEntity] expand external entities using this
  *   callback
+ * @prop {EntityCache|null} [entityCache] Cache the results of
+ *   systemEntity here.  Share the same Map between parsers so that
+ *   documents that use the same DTD only read it once.  Keys are the system
+ *   ID resolved against the base, followed by a newline and the public ID
+ *   if there is one.  Delete keys or clear the Map when files change.
+ *   Strings returned from systemEntity are converted to bytes using the
+ *   encoding of the parser that read them.
  * @prop {string|null} [base] Base URI for inclusions
+ * @prop {number|null} [maxAmplification] Billion laughs attack protection:
+ *   the maximum ratio of bytes produced by expanding entities to bytes of
+ *   input.  Must be at least 1.0.  Expat's default is 100.
+ * @prop {number|null} [amplificationThreshold] Billion laughs attack
+ *   protection: the number of bytes produced by expanding entities before
+ *   maxAmplification is checked.  Expat's default is 8 MiB.
+ * @prop {number|null} [maxAllocAmplification] The maximum ratio of bytes
+ *   allocated by expat to bytes of input.  Must be at least 1.0.  Expat's
+ *   default is 100.
+ * @prop {number|null} [allocThreshold] The number of bytes that expat
+ *   allocates before maxAllocAmplification is checked.  Expat's default is
+ *   64 MiB.
+ * @prop {number|null} [maxAllocBytes] The number of bytes that expat may
+ *   allocate in total.  Past this, expat can only limit allocations in
+ *   proportion to the input, so allocations are still allowed while they
+ *   total no more than maxAllocAmplification times the bytes of input
+ *   parsed so far.  maxAllocAmplification defaults to 1.0 when this is
+ *   set.  Can not be used with allocThreshold.
+ * @prop {number|null} [hashSalt] Salt for expat's internal hash tables,
+ *   as an unsigned 32-bit integer.  Set this to get reproducible behavior,
+ *   for example in tests.  If null or 0, expat generates a random salt.
+ * @prop {boolean} [reparseDeferral=true] If false, disable expat's reparse
+ *   deferral, so that events are emitted as soon as possible, even for
+ *   tokens that arrive in many tiny chunks.  Useful for low-latency
+ *   streaming protocols.
+ * @prop {boolean} [positions=false] Pass the {@link Position} of each event
+ *   in the input as an extra, final parameter to every event listener
+ *   (including '*'), except for destroy.  Events from an external entity
+ *   are positioned relative to the start of that entity.
+ * @prop {boolean} [recover=false] Instead of throwing on a well-formedness
+ *   error, record it in {@link XmlParser#diagnostics}, fire a diagnostic
+ *   event, skip to the next "<", and keep parsing with the elements that
+ *   were open still open.  At the end of the input, any elements still open
+ *   are closed.  Documents with an internal DTD subset or an external ID in
+ *   their DOCTYPE can not be recovered, since the declarations in the DTD
+ *   would be lost; errors in them are thrown as usual.
+ * @prop {boolean} [foreignDTD=false] Act as if every document has an
+ *   external DTD subset, even if it has no DOCTYPE.  The systemEntity
+ *   callback is called with a null systemId to read it, unless the document
+ *   has its own external subset, which is read instead.  Useful for
+ *   providing a standard set of entities, such as &nbsp;.  Requires
+ *   systemEntity.
+ * @prop {boolean} [requireStandalone=false] Reject documents that are
+ *   not standalone, with an XmlParseError.  A document is not standalone if
+ *   it does not have standalone="yes" in its XML declaration, and it has an
+ *   external DTD subset or references to parameter entities.  Use this when
+ *   external DTDs are not loaded, since the document may depend on
+ *   declarations that will be missing.
+ * @prop {boolean} [attributeInfo=false] Pass the attributes of
+ *   startElement as an array of {@link AttributeInfo} in document order,
+ *   instead of an object.  Attributes defaulted from the DTD come after the
+ *   ones that were specified.
+ * @prop {boolean} [validate=false] Check the document against its DTD,
+ *   firing a validityError event for each problem.  Element content,
+ *   undeclared elements and attributes, required, fixed, and enumerated
+ *   attributes, and IDs and IDREFs are checked.  Set systemEntity to use
+ *   declarations from the external subset.
+ * @prop {boolean|UnknownEncoding} [unknownEncoding=false] Handle encodings
+ *   that expat does not support natively, such as windows-1252.  If true,
+ *   use {@link XmlParser.decoderEncoding}, which is based on TextDecoder.
+ */
+
+/**
+ * An attribute of an element, when the attributeInfo option is set.
+ *
+ * @typedef {object} AttributeInfo
+ * @prop {string} name Name of the attribute, in the same format as element
+ *   names.
+ * @prop {string} value Normalized value.
+ * @prop {boolean} specified False if the attribute was defaulted from an
+ *   ATTLIST declaration.
+ * @prop {boolean} isId Was the attribute declared with type ID?
+ * @prop {number|null} start Byte offset of the start of the name in the
+ *   input, or null if not specified.
+ * @prop {number|null} end Byte offset of the end of the value, which is
+ *   where the closing quote starts, or null if not specified.
+ * @prop {number|null} valueStart Byte offset of the start of the value,
+ *   just after the opening quote, or null if not specified.
+ */
+
+/**
+ * @typedef {"maxAmplification"
+ * | "amplificationThreshold"
+ * | "maxAllocAmplification"
+ * | "allocThreshold"
+ * } LimitOption
+ * @private
  */
 
 /**
@@ -78,6 +401,108 @@ export class XmlParseError extends Error {
  * @property {Model[]} [children]
  */
 
+/**
+ * @typedef {object} ParsingStatus
+ * @prop {number} parsing INITIALIZED=0, PARSING, FINISHED, SUSPENDED
+ * @prop {boolean} finalBuffer Is the final buffer being processed?
+ */
+
+/**
+ * @typedef {"initialized"
+ * | "parsing"
+ * | "finished"
+ * | "suspended"
+ * } ParsingState
+ */
+
+/**
+ * @typedef {object} PendingInput
+ * @prop {Uint8Array|Uint8ClampedArray} chunk All of the input.
+ * @prop {number} offset How much of the input has been passed to expat.
+ * @prop {number} final Is this the last chunk of the document?
+ * @private
+ */
+
+/**
+ * An element that is open when recovering from an error.
+ *
+ * @typedef {object} OpenElement
+ * @prop {string} name Name, as passed to startElement.
+ * @prop {Record<string, string>} namespaces Namespaces declared on the
+ *   element, by prefix.
+ * @private
+ */
+
+/**
+ * State for the recover option.
+ *
+ * @typedef {object} RecoveryState
+ * @prop {OpenElement[]} stack Elements that are currently open.
+ * @prop {Record<string, string>} namespaces Namespaces declared for the
+ *   next element.
+ * @prop {number} fed Bytes passed to expat since the last restart.
+ * @prop {number} pieceIndex Where the last piece passed to expat starts,
+ *   counting from the last restart.
+ * @prop {boolean} replaying Suppress events while re-opening elements.
+ * @prop {boolean} dtd The document has an internal DTD subset or an
+ *   external ID, so it can not be recovered.
+ * @prop {RecoveryOrigin} [origin] Where the last restart happened.
+ * @private
+ */
+
+/**
+ * How to restart expat after an error, so that it reads the rest of the
+ * input with the same encoding as before.
+ *
+ * @typedef {object} RestartEncoding
+ * @prop {string} name Encoding name for expat.
+ * @prop {string} label Encoding label for TextDecoder.
+ * @prop {number[]} lt The bytes of "<".
+ * @prop {(str: string) => Uint8Array|null} encode Encode markup, or return
+ *   null if the encoding can not represent it.
+ * @private
+ */
+
+/**
+ * Where parsing was restarted after an error, so that positions can be
+ * reported relative to the original input.  Expat sees a prefix that
+ * re-opens the elements that were open, followed by the rest of the input.
+ *
+ * @typedef {object} RecoveryOrigin
+ * @prop {number} line Line of the restart in the original input.
+ * @prop {number} column Column of the restart in the original input.
+ * @prop {number} byteOffset Byte offset of the restart in the original
+ *   input.
+ * @prop {number} bytes Length of the prefix in bytes.
+ * @prop {string} prefix The start tags that re-open the elements.
+ * @private
+ */
+
+/**
+ * A location in the input.
+ *
+ * @typedef {object} Position
+ * @prop {number} line Line number, starting from 1.
+ * @prop {number} column Column number, starting from 0.
+ * @prop {number} byteOffset Offset in bytes from the start of the input.
+ * @prop {number} byteCount Number of bytes of input that produced the
+ *   current event, or 0 if the event came from an internal entity.
+ */
+
+/**
+ * @typedef {ParserOptions & import('./dom.js').DomBuilderOptions
+ * } DocumentOptions
+ */
+
+/**
+ * @typedef {ParserOptions & import('./json.js').JsonOptions} ParseJsonOptions
+ */
+
+/**
+ * @typedef {ParserOptions & import('./c14n.js').C14nOptions
+ * } CanonicalizeOptions
+ */
+
 /**
  * @typedef {Object} Pieces
  * @property {string} [ns] the namespace URI
@@ -106,13 +531,45 @@ export class XmlParseError extends Error {
  */
 
 /**
- * Read data associated with an entity.  MUST be synchronous.
+ * @typedef {Map<string, EntityInfo|PromiseLike<EntityInfo>>} EntityCache
+ */
+
+/**
+ * Read data associated with an entity.  If this returns a Promise, use
+ * {@link XmlParser#parseAsync parseAsync()} rather than
+ * {@link XmlParser#parse parse()}.  Only external general entities that
+ * are referenced from the document itself may be read asynchronously;
+ * parameter entities, including the external DTD subset, and entities
+ * referenced from other external entities must not return a Promise.
+ *
+ * When the entityCache option already has the entity, it is not read
+ * again.  If the function has a `check` property, that
+ * {@link CheckEntity} is called instead, so that any limits the function
+ * applies when reading still apply to cached entities.
  *
  * @callback ReadEntity
  * @param {string} base Base URL to compute entity URL from
- * @param {string} systemId URL pieces relative to base
+ * @param {string|null} systemId URL pieces relative to base.  Null when
+ *   reading the external subset for the foreignDTD option.
  * @param {string} [publicId] For special local processing, like caching.
- * @returns {EntityInfo}
+ * @param {number} [depth] How deeply the entity is nested: 1 for an entity
+ *   referenced from the document, 2 for one referenced from that entity,
+ *   and so on.
+ * @returns {EntityInfo|PromiseLike<EntityInfo>}
+ */
+
+/**
+ * Decide whether an entity from the entityCache may be used, with the same
+ * parameters that the {@link ReadEntity} it belongs to would have been
+ * called with.  Throw to refuse the entity.
+ *
+ * @callback CheckEntity
+ * @param {string} base
+ * @param {string|null} systemId
+ * @param {string|undefined} publicId
+ * @param {number} depth
+ * @param {EntityInfo} ent The cached entity.  Its data is a Uint8Array.
+ * @returns {void}
  */
 
 /* eslint-disable @stylistic/max-len */
@@ -132,19 +589,42 @@ export class XmlParseError extends Error {
  * @prop {[prefix: string]} endNamespaceDecl
  * @prop {[entityName: string, isParameterEntity: boolean, value: string | null, base: string, systemId: string, publicId: string, notationName: string]} entityDecl
  * @prop {[error: unknown]} error
+ * @prop {[error: XmlParseError]} diagnostic
  * @prop {[notationName: string, base: NamedCurve, systemId: string, publicId: string]} notationDecl
+ * @prop {[]} notStandalone
  * @prop {[target: string, data: string]} processingInstruction
  * @prop {[entityName: string, isParameterEntity: boolean]} skippedEntity
  * @prop {[base: string]} startBase
  * @prop {[]} startCdataSection
  * @prop {[doctypeName: string, sysid: string, pubid: string, hasInternalSubset: boolean]} startDoctypeDecl
- * @prop {[name: string, attribs: object]} startElement
+ * @prop {[name: string, attribs: Record<string, string>|AttributeInfo[]]} startElement
  * @prop {[prefix: string, nsURI: string]} startNamespaceDecl
+ * @prop {[entityName: string, base: string, systemId: string, publicId: string, notationName: string]} unparsedEntityDecl
+ * @prop {[error: import('./validate.js').XmlValidityError]} validityError
  * @prop {[version: string, encoding: string, standalone: boolean]} xmlDecl
  * @prop {[valid: boolean]} destroy
  */
 /* eslint-enable @stylistic/max-len */
 
+/**
+ * An event, as produced by {@link XmlParser.events} or
+ * {@link XmlTransformStream}.  The type is the name of the event, and the
+ * args are the parameters that would have been passed to an event listener.
+ *
+ * @template {keyof XmlEvents} [K=Exclude<keyof XmlEvents, 'star'|'destroy'>]
+ * @typedef {{[T in K]: {type: T, args: XmlEvents[T]}}[K]} XmlEvent
+ */
+
+/**
+ * Anything that can be read from asynchronously to get chunks of XML, such as
+ * the body of a fetch() Response.
+ *
+ * @typedef {ReadableStream<string|Uint8Array>
+ *   | AsyncIterable<string|Uint8Array>
+ *   | Iterable<string|Uint8Array>
+ * } XmlSource
+ */
+
 /**
  * An evented parser based on a WASM-compiled version of expat. NOTE: Please
  * make sure to call {@link XmlParser#destroy destroy()} when you are done, or
@@ -173,6 +653,18 @@ export class XmlParser extends EventEmitter {
    */
   static #EVENTS = {};
 
+  /**
+   * @type {Record<string,number>}
+   */
+  static #ENCODING_CB = {};
+
+  /**
+   * Cache of encodings built from TextDecoder.
+   *
+   * @type {Map<string, EncodingMap|null>}
+   */
+  static #decoderEncodings = new Map();
+
   static {
     // Create callback functions that can be reused for each of the different
     // events.  We can't use a per-parser-instance closure (which would be
@@ -197,6 +689,7 @@ export class XmlParser extends EventEmitter {
       ['EntityDecl', 8, false],
       ['ExternalEntityRef', 4, false], // First param is parser, not userdata
       ['NotationDecl', 4, true],
+      ['NotStandalone', 0, false],
       ['ProcessingInstruction', 2, true],
       ['SkippedEntity', 2, false],
       ['StartCdataSection', 0, true],
@@ -206,6 +699,11 @@ export class XmlParser extends EventEmitter {
       ['XmlDecl', 3, false],
     ]).reduce((events, [s, num, simple]) => {
       const lc = s[0].toLowerCase() + s.slice(1);
+      if (!isExported(`XML_Set${s}Handler`)) {
+        // Out-of-date lib/expat.js.  Only the features that need this
+        // handler are unavailable.
+        return events;
+      }
       events[lc] = expat.cwrap(
         `XML_Set${s}Handler`,
         'void',
@@ -217,6 +715,12 @@ export class XmlParser extends EventEmitter {
             XmlParser._externalEntityRefTrampoline.bind(XmlParser),
             'iiiiii'
           );
+      } else if (lc === 'notStandalone') {
+        // Returns int, to allow rejecting the document.
+        this.#CB_TYPES[lc] = expat.addFunction(
+          this.#pointers.bind('_notStandalone', lc),
+          'ii'
+        );
       } else {
         this.#CB_TYPES[lc] = expat.addFunction(
           this.#pointers.bind(simple ? '_simpleEvent' : `_${lc}`, lc),
@@ -231,6 +735,130 @@ export class XmlParser extends EventEmitter {
       'void',
       ['number', 'function']
     );
+
+    this.#ENCODING_CB = {
+      handler: expat.addFunction(
+        this.#pointers.bind('_unknownEncoding', 'unknownEncoding'),
+        'iiii'
+      ),
+      convert: expat.addFunction(this.#convert.bind(this), 'iii'),
+      release: expat.addFunction(this.#release.bind(this), 'vi'),
+    };
+  }
+
+  /**
+   * Called by expat to convert a multi-byte sequence in an unknown encoding.
+   *
+   * @param {number} data Pointer to the EncodingMap.
+   * @param {number} s The bytes to convert.
+   * @returns {number} Code point, or -1 if invalid.
+   */
+  static #convert(data, s) {
+    const enc = /** @type {EncodingMap} */ (this.#pointers.get(data));
+    const len = -enc.map[expat.HEAPU8[s]];
+    return enc.convert?.(expat.HEAPU8.slice(s, s + len)) ?? -1;
+  }
+
+  /**
+   * Called by expat when it is done with an unknown encoding.
+   *
+   * @param {number} data Pointer to the EncodingMap.
+   */
+  static #release(data) {
+    this.#pointers.remove(data);
+  }
+
+  /**
+   * Build a description of an ASCII-compatible encoding, such as
+   * windows-1252, KOI8-R, or Shift_JIS, using TextDecoder.  Encodings where
+   * the first byte of a sequence does not determine its length (such as
+   * GB18030) are not supported.
+   *
+   * @param {string} name Name of the encoding.
+   * @returns {EncodingMap|null} Null if not supported.
+   */
+  static decoderEncoding(name) {
+    const key = name.toLowerCase();
+    let enc = this.#decoderEncodings.get(key);
+    if (enc === undefined) {
+      enc = this.#buildDecoderEncoding(name);
+      this.#decoderEncodings.set(key, enc);
+    }
+    return enc;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {EncodingMap|null}
+   */
+  static #buildDecoderEncoding(name) {
+    /** @type {TextDecoder|null} */
+    let decoder = null;
+    try {
+      decoder = new TextDecoder(name);
+    } catch {
+      return null;
+    }
+
+    /**
+     * Convert a sequence of bytes to a code point.
+     *
+     * @param {Uint8Array} bytes
+     * @returns {number} Code point, or -1 if invalid.
+     */
+    function convert(bytes) {
+      const chars = [...(/** @type {TextDecoder} */ (decoder)).decode(bytes)];
+      if ((chars.length === 1) && (chars[0] !== '\uFFFD')) {
+        return /** @type {number} */ (chars[0].codePointAt(0));
+      }
+      return -1;
+    }
+
+    /**
+     * Find the length of a multi-byte sequence starting with lead.
+     *
+     * @param {number} lead
+     * @returns {number} Length of sequence, or 0 if not a lead byte.
+     */
+    function sequenceLength(lead) {
+      for (let t = 0x21; t < 0x100; t++) {
+        if (convert(Uint8Array.of(lead, t)) >= 0) {
+          return 2;
+        }
+      }
+      for (let t = 0xA1; t < 0xFF; t++) {
+        for (let u = 0xA1; u < 0xFF; u++) {
+          if (convert(Uint8Array.of(lead, t, u)) >= 0) {
+            return 3;
+          }
+        }
+      }
+      return 0;
+    }
+
+    const map = [];
+    for (let b = 0; b < 0x100; b++) {
+      const cp = convert(Uint8Array.of(b));
+      if (cp >= 0) {
+        map.push(cp);
+      } else {
+        const len = sequenceLength(b);
+        map.push(len ? -len : -1);
+      }
+    }
+    // Expat requires that XML whitespace and the printable ASCII characters
+    // are encoded as themselves.
+    for (const b of [0x09, 0x0A, 0x0D]) {
+      if (map[b] !== b) {
+        return null;
+      }
+    }
+    for (let b = 0x20; b < 0x7F; b++) {
+      if (map[b] !== b) {
+        return null;
+      }
+    }
+    return {map, convert};
   }
 
   /**
@@ -269,7 +897,7 @@ export class XmlParser extends EventEmitter {
    * @returns {string} Current expat version number.
    */
   static XML_ExpatVersion() {
-    return expat.ccall('XML_ExpatVersion', 'string');
+    return ccall('XML_ExpatVersion', 'string');
   }
 
   /**
@@ -280,7 +908,7 @@ export class XmlParser extends EventEmitter {
    * @param {number} model
    */
   static XML_FreeContentModel(parser, model) {
-    expat.ccall(
+    ccall(
       'XML_FreeContentModel',
       'void',
       ['number', 'number'],
@@ -302,7 +930,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} Parser pointer
    */
   static XML_ParserCreate(encoding) {
-    return expat.ccall('XML_ParserCreate', 'number', ['string'], [encoding]);
+    return ccall('XML_ParserCreate', 'number', ['string'], [encoding]);
   }
 
   /**
@@ -329,7 +957,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} The created parser
    */
   static XML_ParserCreateNS(encoding, sep) {
-    return expat.ccall(
+    return ccall(
       'XML_ParserCreateNS',
       'number',
       ['string', 'number'],
@@ -358,7 +986,7 @@ export class XmlParser extends EventEmitter {
    * @param {XML_Encoding} encoding
    */
   static XML_ExternalEntityParserCreate(parser, context, encoding) {
-    return expat.ccall(
+    return ccall(
       'XML_ExternalEntityParserCreate',
       'number',
       ['number', 'number', 'string'],
@@ -373,7 +1001,7 @@ export class XmlParser extends EventEmitter {
    * @param {number} parser
    */
   static XML_ParserFree(parser) {
-    expat.ccall('XML_ParserFree', 'void', ['number'], [parser]);
+    ccall('XML_ParserFree', 'void', ['number'], [parser]);
   }
 
   /**
@@ -394,18 +1022,8 @@ export class XmlParser extends EventEmitter {
    * @returns {number} ERROR=0, OK=1, SUSPENDED=2
    */
   static XML_Parse(parser, str, isFinal, encoding) {
-    if (typeof str === 'string') {
-      str = Buffer.from(str, encoding);
-    }
-
+    str = XmlParser.#toBytes(str, encoding);
     const len = str.length;
-    if (Buffer.isBuffer(str)) {
-      str = new Uint8Array(str.buffer, str.byteOffset, str.byteLength);
-    } else if (!(
-      str instanceof Uint8Array || str instanceof Uint8ClampedArray
-    )) {
-      throw new Error('Expected chunk to be a string, Buffer, Uint8Array, or Uint8ClampedArray');
-    }
 
     // Limit the chunk size going across the WASM boundary, so that expat
     // doesn't malloc a big chunk and go out of bounds.
@@ -418,7 +1036,7 @@ export class XmlParser extends EventEmitter {
     ) {
       const chunk = str.slice(offset, offset + this.CHUNK_SIZE);
       const last = Number((offset + this.CHUNK_SIZE) >= len);
-      ret = expat.ccall(
+      ret = ccall(
         'XML_Parse',
         'void',
         ['number', 'array', 'number', 'number'],
@@ -436,6 +1054,50 @@ export class XmlParser extends EventEmitter {
     return ret;
   }
 
+  /**
+   * Convert parser input to bytes.
+   *
+   * @param {string|Buffer|Uint8Array|Uint8ClampedArray} str
+   * @param {BufferEncoding} encoding
+   * @returns {Uint8Array|Uint8ClampedArray}
+   */
+  static #toBytes(str, encoding) {
+    if (typeof str === 'string') {
+      str = Buffer.from(str, encoding);
+    }
+    if (Buffer.isBuffer(str)) {
+      return new Uint8Array(str.buffer, str.byteOffset, str.byteLength);
+    }
+    if (!(str instanceof Uint8Array || str instanceof Uint8ClampedArray)) {
+      throw new Error('Expected chunk to be a string, Buffer, Uint8Array, or Uint8ClampedArray');
+    }
+    return str;
+  }
+
+  /**
+   * If useDTD == XML_TRUE is passed to this function, then the parser will
+   * assume that there is an external subset, even if none is specified in
+   * the document.  In such a case the parser will call the
+   * externalEntityRefHandler with a value of NULL for the systemId
+   * argument (the publicId and context arguments will be NULL as well).
+   * Note: For the purpose of checking WFC: Entity Declared, passing
+   * useDTD == XML_TRUE will make the parser behave as if the document had a
+   * DTD with an external subset.  Note: If this function is called, then
+   * this must be done before the first call to XML_Parse or
+   * XML_ParseBuffer, since it will have no effect after that.  Returns
+   * XML_ERROR_CANT_CHANGE_FEATURE_ONCE_PARSING.  Note: If the document does
+   * not have a DOCTYPE declaration at all, then startDoctypeDeclHandler and
+   * endDoctypeDeclHandler will not be called, despite an internal subset
+   * being parsed.
+   *
+   * @param {number} parser
+   * @param {number} useDTD
+   * @returns {number} 0 on success, otherwise an error code.
+   */
+  static XML_UseForeignDTD(parser, useDTD) {
+    return ccall('XML_UseForeignDTD', 'number', ['number', 'number'], [parser, useDTD]);
+  }
+
   /**
    * Set the base URI for including external entities.
    *
@@ -447,7 +1109,7 @@ export class XmlParser extends EventEmitter {
     if (typeof base !== 'string') {
       throw new Error(`base option must be string, not ${typeof base}`);
     }
-    return expat.ccall('XML_SetBase', 'number', ['number', 'string'], [parser, base]);
+    return ccall('XML_SetBase', 'number', ['number', 'string'], [parser, base]);
   }
 
   /**
@@ -457,10 +1119,70 @@ export class XmlParser extends EventEmitter {
    * @returns {string}
    */
   static XML_GetBase(parser) {
-    const ret = expat.ccall('XML_GetBase', 'number', ['number'], [parser]);
+    const ret = ccall('XML_GetBase', 'number', ['number'], [parser]);
     return expat.UTF8ToString(ret);
   }
 
+  /**
+   * Returns the number of the attribute/value pairs passed in the last call
+   * to the XML_StartElementHandler that were specified in the start-tag
+   * rather than defaulted.  Each attribute/value pair counts as 2; thus this
+   * corresponds to an index into the atts array passed to the
+   * XML_StartElementHandler.  Returns -1 if parser == NULL.
+   *
+   * @param {number} parser
+   * @returns {number}
+   */
+  static XML_GetSpecifiedAttributeCount(parser) {
+    return ccall('XML_GetSpecifiedAttributeCount', 'number', ['number'], [parser]);
+  }
+
+  /**
+   * Returns the index of the ID attribute passed in the last call to
+   * XML_StartElementHandler, or -1 if there is no ID attribute or
+   * parser == NULL.  Each attribute/value pair counts as 2; thus this
+   * corresponds to an index into the atts array passed to the
+   * XML_StartElementHandler.
+   *
+   * @param {number} parser
+   * @returns {number}
+   */
+  static XML_GetIdAttributeIndex(parser) {
+    return ccall('XML_GetIdAttributeIndex', 'number', ['number'], [parser]);
+  }
+
+  /**
+   * Source file byte offsets for the start and end of attribute names and
+   * values.  The value indices are exclusive of surrounding quotes; thus in
+   * a UTF-8 source file an attribute value of "blah" will yield:
+   * info->valueEnd - info->valueStart = 4 bytes.  Only valid inside the
+   * XML_StartElementHandler, and only for the attributes that were
+   * specified.  Requires expat to be built with XML_ATTR_INFO.
+   *
+   * @param {number} parser
+   * @param {number} count Number of attributes to get info for.
+   * @returns {{
+   *   nameStart: number,
+   *   nameEnd: number,
+   *   valueStart: number,
+   *   valueEnd: number
+   * }[]}
+   */
+  static XML_GetAttributeInfo(parser, count) {
+    const info = ccall('XML_GetAttributeInfo', 'number', ['number'], [parser]);
+    const ret = [];
+    // Four XML_Index (long) fields each.
+    for (let i = 0, a = info / 4; i < count; i++, a += 4) {
+      ret.push({
+        nameStart: expat.HEAP32[a],
+        nameEnd: expat.HEAP32[a + 1],
+        valueStart: expat.HEAP32[a + 2],
+        valueEnd: expat.HEAP32[a + 3],
+      });
+    }
+    return ret;
+  }
+
   /**
    * This function only has an effect when using a parser created with
    * XML_ParserCreateNS, i.e. when namespace processing is in effect. The
@@ -479,7 +1201,7 @@ export class XmlParser extends EventEmitter {
    * @param {number} doNst
    */
   static XML_SetReturnNSTriplet(parser, doNst) {
-    expat.ccall(
+    ccall(
       'XML_SetReturnNSTriplet',
       'void',
       ['number', 'number'],
@@ -500,7 +1222,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} Undocumented
    */
   static XML_ParserReset(parser, encoding) {
-    return expat.ccall(
+    return ccall(
       'XML_ParserReset',
       'number',
       ['number', 'string'],
@@ -516,7 +1238,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} Error code
    */
   static XML_GetErrorCode(parser) {
-    return expat.ccall('XML_GetErrorCode', 'number', ['number'], [parser]);
+    return ccall('XML_GetErrorCode', 'number', ['number'], [parser]);
   }
 
   /**
@@ -526,7 +1248,7 @@ export class XmlParser extends EventEmitter {
    * @returns {string} Error description in English.
    */
   static XML_ErrorString(code) {
-    return expat.ccall('XML_ErrorString', 'string', ['number'], [code]);
+    return ccall('XML_ErrorString', 'string', ['number'], [code]);
   }
 
   /**
@@ -550,7 +1272,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} 0 on error, or line number.
    */
   static XML_GetCurrentLineNumber(parser) {
-    return expat.ccall('XML_GetCurrentLineNumber', 'number', ['number'], [parser]);
+    return ccall('XML_GetCurrentLineNumber', 'number', ['number'], [parser]);
   }
 
   /**
@@ -574,7 +1296,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} 0 on error, or column number.
    */
   static XML_GetCurrentColumnNumber(parser) {
-    return expat.ccall('XML_GetCurrentColumnNumber', 'number', ['number'], [parser]);
+    return ccall('XML_GetCurrentColumnNumber', 'number', ['number'], [parser]);
   }
 
   /**
@@ -598,7 +1320,56 @@ export class XmlParser extends EventEmitter {
    * @returns {number} -1 on error, or byte offset.
    */
   static XML_GetCurrentByteIndex(parser) {
-    return expat.ccall('XML_GetCurrentByteIndex', 'number', ['number'], [parser]);
+    return ccall('XML_GetCurrentByteIndex', 'number', ['number'], [parser]);
+  }
+
+  /**
+   * Return the number of bytes in the current event.  Returns 0 if the event
+   * is in an internal entity.
+   *
+   * @param {number} parser
+   * @returns {number} Number of bytes.
+   */
+  static XML_GetCurrentByteCount(parser) {
+    return ccall('XML_GetCurrentByteCount', 'number', ['number'], [parser]);
+  }
+
+  /**
+   * If XML_CONTEXT_BYTES is defined, returns the input buffer, sets the
+   * integer pointed to by offset to the offset within this buffer of the
+   * current parse position, and sets the integer pointed to by size to the
+   * size of this buffer (the number of input bytes).  Otherwise returns a
+   * NULL pointer.  Also returns a NULL pointer if a parse isn't active.
+   *
+   * NOTE: The buffer is only valid until the next call to the parser, so a
+   * copy is returned here.
+   *
+   * @param {number} parser
+   * @returns {{buffer: Uint8Array, offset: number}|null} A copy of the
+   *   buffer, and the offset of the current parse position in it.
+   */
+  static XML_GetInputContext(parser) {
+    // Two ints: offset, size
+    const ints = ccall('malloc', 'number', ['number'], [8]);
+    try {
+      const buf = ccall(
+        'XML_GetInputContext',
+        'number',
+        ['number', 'number', 'number'],
+        [parser, ints, ints + 4]
+      );
+      if (!buf) {
+        return null;
+      }
+      const offset = expat.HEAP32[ints / 4];
+      const size = expat.HEAP32[(ints / 4) + 1];
+      return {
+        buffer: expat.HEAPU8.slice(buf, buf + size),
+        offset,
+      };
+    } finally {
+      ccall('free', 'void', ['number'], [ints]);
+    }
   }
 
   /**
@@ -629,7 +1400,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} 0 on failure
    */
   static XML_SetParamEntityParsing(parser, parsing) {
-    return expat.ccall(
+    return ccall(
       'XML_SetParamEntityParsing',
       'number',
       ['number', 'number'],
@@ -638,15 +1409,35 @@ export class XmlParser extends EventEmitter {
   }
 
   /**
-   * This value is passed as the userData argument to callbacks.
+   * Sets the hash salt to use for internal hash calculations.  Helps in
+   * preventing DoS attacks based on predicting hash function behavior.  This
+   * must be called before parsing is started.  If the salt is not set, or
+   * is set to 0, expat will generate a random one.
    *
    * @param {number} parser
-   * @param {number} userData
+   * @param {number} salt Unsigned 32-bit integer.
+   * @returns {number} 1 if successful, 0 when called after parsing has
+   *   started.
    */
-  static XML_SetUserData(parser, userData) {
-    expat.ccall(
-      'XML_SetUserData',
-      'void',
+  static XML_SetHashSalt(parser, salt) {
+    return ccall(
+      'XML_SetHashSalt',
+      'number',
+      ['number', 'number'],
+      [parser, salt]
+    );
+  }
+
+  /**
+   * This value is passed as the userData argument to callbacks.
+   *
+   * @param {number} parser
+   * @param {number} userData
+   */
+  static XML_SetUserData(parser, userData) {
+    ccall(
+      'XML_SetUserData',
+      'void',
       ['number', 'number'],
       [parser, userData]
     );
@@ -671,7 +1462,7 @@ export class XmlParser extends EventEmitter {
    * @returns {number} 0 on fail, 1 on success
    */
   static XML_StopParser(parser, resumable = 0) {
-    return expat.ccall(
+    return ccall(
       'XML_StopParser',
       'number',
       ['number', 'number'],
@@ -679,6 +1470,417 @@ export class XmlParser extends EventEmitter {
     );
   }
 
+  /**
+   * Read all of the chunks from a source.
+   *
+   * @param {XmlSource} source
+   * @returns {AsyncGenerator<string|Uint8Array, void, undefined>}
+   */
+  static async *#chunks(source) {
+    if ('getReader' in source) {
+      const reader = source.getReader();
+      let finished = false;
+      try {
+        while (true) {
+          const {done, value} = await reader.read();
+          if (done) {
+            finished = true;
+            break;
+          }
+          yield value;
+        }
+      } finally {
+        try {
+          if (!finished) {
+            // Stopped early, by an error or the caller.
+            await reader.cancel();
+          }
+        } finally {
+          reader.releaseLock();
+        }
+      }
+    } else {
+      yield *source;
+    }
+  }
+
+  /**
+   * Parse a complete document into a tree of {@link XmlNode XmlNodes}.  The
+   * systemEntity option, if given, must be synchronous; for asynchronous
+   * input, attach a {@link DomBuilder} to a parser directly.
+   *
+   * @example
+   * const doc = XmlParser.parseDocument('<foo a="b">bar</foo>');
+   * console.log(doc.root.attributes.a, doc.root.text);
+   *
+   * @param {string|Buffer|Uint8Array|Uint8ClampedArray} input The full
+   *   document.
+   * @param {DocumentOptions} [opts] Options for the parser and the tree.
+   * @returns {import('./dom.js').XmlDocument}
+   * @throws {XmlParseError}
+   */
+  static parseDocument(input, opts = {}) {
+    const {positions, ...parserOpts} = opts;
+    const parser = new XmlParser(parserOpts);
+    try {
+      const builder = new DomBuilder(parser, {positions});
+      parser.on('error', () => {
+        // Followed by a parse error
+      });
+      parser.parse(input);
+      return builder.document;
+    } finally {
+      parser.destroy();
+    }
+  }
+
+  /**
+   * Parse a complete document and convert it to plain JSON-compatible
+   * objects with {@link toJson}.
+   *
+   * @example
+   * XmlParser.parseJson('<foo a="b"><bar>1</bar><bar>2</bar></foo>');
+   * // {foo: {'@a': 'b', bar: ['1', '2']}}
+   *
+   * @param {string|Buffer|Uint8Array|Uint8ClampedArray} input The full
+   *   document.
+   * @param {ParseJsonOptions} [opts] Options for the parser and the
+   *   conversion.
+   * @returns {import('./json.js').JsonValue}
+   * @throws {XmlParseError}
+   */
+  static parseJson(input, opts = {}) {
+    const {
+      convention, attributePrefix, textKey, alwaysArray, names, ...parserOpts
+    } = opts;
+    return toJson(XmlParser.parseDocument(input, parserOpts), {
+      convention, attributePrefix, textKey, alwaysArray, names,
+    });
+  }
+
+  /**
+   * Parse a complete document and return its canonical form, as used for
+   * XML digital signatures.  See {@link Canonicalizer} for the options.
+   *
+   * @example
+   * XmlParser.canonicalize('<foo b="2" a="1"/>');
+   * // '<foo a="1" b="2"></foo>'
+   *
+   * @param {string|Buffer|Uint8Array|Uint8ClampedArray} input The full
+   *   document.
+   * @param {CanonicalizeOptions} [opts] Options for the parser and the
+   *   canonicalization.
+   * @returns {string}
+   * @throws {XmlParseError}
+   */
+  static canonicalize(input, opts = {}) {
+    const {
+      algorithm, withComments, inclusiveNamespaces, select, exclude,
+      ...parserOpts
+    } = opts;
+    const parser = new XmlParser(parserOpts);
+    try {
+      const c14n = new Canonicalizer(parser, {
+        algorithm, withComments, inclusiveNamespaces, select, exclude,
+      });
+      parser.on('error', () => {
+        // Followed by a parse error
+      });
+      parser.parse(input);
+      return c14n.toString();
+    } finally {
+      parser.destroy();
+    }
+  }
+
+  /**
+   * Parse all of the chunks from a source, such as a ReadableStream, an async
+   * iterable, or the body of a fetch() Response, yielding an object for each
+   * event.  The parser is destroyed when the generator finishes, throws, or
+   * is returned from early.
+   *
+   * @example
+   * const res = await fetch('https://example.com/feed.xml');
+   * for await (const {type, args} of XmlParser.events(res.body)) {
+   *   if (type === 'startElement') {
+   *     console.log(args[0]);
+   *   }
+   * }
+   *
+   * @param {XmlSource} source Where to read XML from.
+   * @param {ParserOptions} [opts] Options for the parser.
+   * @returns {AsyncGenerator<XmlEvent, void, undefined>}
+   * @throws {XmlParseError}
+   */
+  static async *events(source, opts = {}) {
+    const parser = new XmlParser(opts);
+
+    /** @type {XmlEvent[]} */
+    const events = [];
+    parser.on('error', () => {
+      // Reported as an event
+    });
+    parser.on('*', (
+      /** @type {any} */ type,
+      /** @type {any} */ ...args
+    ) => {
+      if (type !== 'destroy') {
+        events.push({type, args});
+      }
+    });
+    try {
+      for await (const chunk of XmlParser.#chunks(source)) {
+        try {
+          parser.parse(chunk, 0);
+        } finally {
+          // Even on error, yield the events that came before the error.
+          yield *events.splice(0, events.length);
+        }
+      }
+      try {
+        parser.parse('', 1);
+      } finally {
+        yield *events.splice(0, events.length);
+      }
+    } finally {
+      parser.destroy();
+    }
+  }
+
+  /**
+   * This is called for an encoding that is unknown to the parser.  The
+   * handler is called with the encodingHandlerData passed here, the name of
+   * the encoding, and a pointer to an XML_Encoding structure to fill in.
+   * Unlike other handlers, this one is not cleared by XML_ParserReset.
+   *
+   * @param {number} parser
+   * @param {number} handler Function pointer
+   * @param {number} encodingHandlerData
+   */
+  static XML_SetUnknownEncodingHandler(parser, handler, encodingHandlerData) {
+    ccall(
+      'XML_SetUnknownEncodingHandler',
+      'void',
+      ['number', 'number', 'number'],
+      [parser, handler, encodingHandlerData]
+    );
+  }
+
+  /**
+   * Sets the maximum tolerated amplification factor for protection against
+   * billion laughs attacks (default: 100.0).  The amplification factor is
+   * calculated as (direct + indirect) / direct, while parsing, where
+   * direct is the number of bytes read from the primary document in
+   * parsing and indirect is the number of bytes added by expanding entities
+   * and reading of external DTD files, combined.  Can only be called on a
+   * root parser.
+   *
+   * @param {number} parser
+   * @param {number} maximumAmplificationFactor Must be at least 1.0.
+   * @returns {number} 1 on success, 0 on error
+   */
+  static XML_SetBillionLaughsAttackProtectionMaximumAmplification(
+    parser, maximumAmplificationFactor
+  ) {
+    return ccall(
+      'XML_SetBillionLaughsAttackProtectionMaximumAmplification',
+      'number',
+      ['number', 'number'],
+      [parser, maximumAmplificationFactor]
+    );
+  }
+
+  /**
+   * Sets number of output bytes (including amplification from entity
+   * expansion and reading DTD files) needed to activate protection against
+   * billion laughs attacks (default: 8 MiB).  Can only be called on a root
+   * parser.
+   *
+   * @param {number} parser
+   * @param {number} activationThresholdBytes
+   * @returns {number} 1 on success, 0 on error
+   */
+  static XML_SetBillionLaughsAttackProtectionActivationThreshold(
+    parser, activationThresholdBytes
+  ) {
+    return ccall(
+      'XML_SetBillionLaughsAttackProtectionActivationThreshold',
+      'number',
+      ['number', 'number'],
+      [parser, BigInt(activationThresholdBytes)]
+    );
+  }
+
+  /**
+   * Sets the maximum amplification factor for the number of bytes of
+   * dynamic memory allocated by expat, compared to the number of bytes of
+   * input (default: 100.0).  Can only be called on a root parser.
+   *
+   * @param {number} parser
+   * @param {number} maximumAmplificationFactor Must be at least 1.0.
+   * @returns {number} 1 on success, 0 on error
+   */
+  static XML_SetAllocTrackerMaximumAmplification(
+    parser, maximumAmplificationFactor
+  ) {
+    return ccall(
+      'XML_SetAllocTrackerMaximumAmplification',
+      'number',
+      ['number', 'number'],
+      [parser, maximumAmplificationFactor]
+    );
+  }
+
+  /**
+   * Sets the number of bytes of dynamic memory that must be allocated
+   * before the allocation tracker's amplification limit is checked
+   * (default: 64 MiB).  Can only be called on a root parser.
+   *
+   * @param {number} parser
+   * @param {number} activationThresholdBytes
+   * @returns {number} 1 on success, 0 on error
+   */
+  static XML_SetAllocTrackerActivationThreshold(
+    parser, activationThresholdBytes
+  ) {
+    return ccall(
+      'XML_SetAllocTrackerActivationThreshold',
+      'number',
+      ['number', 'number'],
+      [parser, BigInt(activationThresholdBytes)]
+    );
+  }
+
+  /**
+   * Controls whether reparse deferral is enabled (default: enabled).  When
+   * enabled, expat may defer re-parsing a token that spans several small
+   * chunks until enough input has arrived, to avoid quadratic behavior.
+   * Disabling it causes events to be emitted as soon as possible, at the
+   * cost of more CPU for large tokens delivered in tiny chunks.
+   *
+   * @param {number} parser
+   * @param {boolean} enabled
+   * @returns {number} 1 on success, 0 on error
+   */
+  static XML_SetReparseDeferralEnabled(parser, enabled) {
+    return ccall(
+      'XML_SetReparseDeferralEnabled',
+      'number',
+      ['number', 'number'],
+      [parser, Number(enabled)]
+    );
+  }
+
+  /**
+   * Resumes parsing after it has been suspended with XML_StopParser.  Must
+   * not be called from within a handler call-back.  Returns same status
+   * codes as XML_Parse.  Additional error code XML_ERROR_NOT_SUSPENDED
+   * possible.
+   *
+   * @param {number} parser
+   * @returns {number} ERROR=0, OK=1, SUSPENDED=2
+   */
+  static XML_ResumeParser(parser) {
+    return ccall('XML_ResumeParser', 'number', ['number'], [parser]);
+  }
+
+  /**
+   * Returns status of parser with respect to being initialized, parsing,
+   * finished, or suspended, and whether the final buffer is being
+   * processed.
+   *
+   * @param {number} parser
+   * @returns {ParsingStatus}
+   */
+  static XML_GetParsingStatus(parser) {
+    // XML_ParsingStatus is {enum XML_Parsing parsing; XML_Bool finalBuffer;},
+    // which is 8 bytes with padding.
+    const status = ccall('malloc', 'number', ['number'], [8]);
+    try {
+      ccall(
+        'XML_GetParsingStatus',
+        'void',
+        ['number', 'number'],
+        [parser, status]
+      );
+      return {
+        parsing: expat.HEAPU32[status / 4],
+        finalBuffer: Boolean(expat.HEAPU32[(status / 4) + 1] & 0xff),
+      };
+    } finally {
+      ccall('free', 'void', ['number'], [status]);
+    }
+  }
+
+  /**
+   * Input that has not been passed to expat yet, because parsing was
+   * suspended.
+   *
+   * @type {PendingInput|undefined}
+   */
+  #pending = undefined;
+
+  /**
+   * External entity that is waiting for asynchronous systemEntity results.
+   *
+   * @type {{parser: number, promise: PromiseLike<EntityInfo>}|undefined}
+   */
+  #entity = undefined;
+
+  /**
+   * Why the most recent external entity failed, to become the cause of the
+   * error from the parser that referenced it.
+   *
+   * @type {unknown}
+   */
+  #entityError = undefined;
+
+  /**
+   * The external entity parser that is currently producing events, if any.
+   *
+   * @type {number|undefined}
+   */
+  #active = undefined;
+
+  /**
+   * How many external entities deep the parser is.  The document is at 0.
+   */
+  #depth = 0;
+
+  /**
+   * The encoding from the XML or text declaration of the document or
+   * external entity being parsed, if it had one.
+   *
+   * @type {string|null}
+   */
+  #declaredEncoding = null;
+
+  /**
+   * State for the recover option.
+   *
+   * @type {RecoveryState|undefined}
+   */
+  #recovery = undefined;
+
+  /**
+   * Has parsing of the current document started?
+   */
+  #inDocument = false;
+
+  /**
+   * Checks the document against its DTD, for the validate option.
+   *
+   * @type {Validator|undefined}
+   */
+  #validator = undefined;
+
+  /**
+   * Added with select().
+   *
+   * @type {Selector[]}
+   */
+  #selectors = [];
+
   /**
    * Create a parser instance.
    *
@@ -706,6 +1908,21 @@ export class XmlParser extends EventEmitter {
       expandInternalEntities: true,
       separator: '|',
       systemEntity: null,
+      entityCache: null,
+      unknownEncoding: false,
+      maxAmplification: null,
+      amplificationThreshold: null,
+      maxAllocAmplification: null,
+      allocThreshold: null,
+      maxAllocBytes: null,
+      hashSalt: null,
+      reparseDeferral: true,
+      positions: false,
+      recover: false,
+      foreignDTD: false,
+      requireStandalone: false,
+      attributeInfo: false,
+      validate: false,
       ...encoding,
     };
 
@@ -738,13 +1955,6 @@ export class XmlParser extends EventEmitter {
      * @private
      */
     this.id = XmlParser.#pointers.add(this);
-    XmlParser.XML_SetUserData(this.parser, this.id);
-
-    if (this.opts.base) {
-      if (XmlParser.XML_SetBase(this.parser, this.opts.base) !== 1) {
-        throw new Error('XML_SetBase failed');
-      }
-    }
 
     /**
      * @type {XML_Encoding}
@@ -765,10 +1975,127 @@ export class XmlParser extends EventEmitter {
       })[this.opts.encoding] || 'utf8' :
       'utf8';
 
+    /**
+     * Errors that were recovered from in the current document, when the
+     * recover option is set.
+     *
+     * @type {XmlParseError[]}
+     */
+    this.diagnostics = [];
+
+    /**
+     * The base URLs of all of the external entities that have been loaded
+     * in the current document, in the order that they were started.  An
+     * entity that is referenced from another one comes after it.
+     *
+     * @type {string[]}
+     */
+    this.dependencies = [];
+
+    if (this.opts.validate) {
+      this.#validator = new Validator(
+        this, err => this.#emit('validityError', err)
+      );
+    }
+
+    if (this.opts.unknownEncoding) {
+      // Not cleared by reset()
+      XmlParser.XML_SetUnknownEncodingHandler(
+        this.parser, XmlParser.#ENCODING_CB.handler, this.id
+      );
+    }
+    this.#applyOptions();
+  }
+
+  /**
+   * Set up everything on the parser that XML_ParserReset clears.
+   */
+  #applyOptions() {
+    const {parser, id} = this;
+    if (!parser || (id === undefined)) {
+      throw new Error('Invalid state');
+    }
+    XmlParser.XML_SetUserData(parser, id);
+
+    if (this.opts.base) {
+      if (XmlParser.XML_SetBase(parser, this.opts.base) !== 1) {
+        throw new Error('XML_SetBase failed');
+      }
+    }
     if (this.opts.systemEntity) {
-      XmlParser.XML_SetParamEntityParsing(this.parser, 1);
+      XmlParser.XML_SetParamEntityParsing(parser, 1);
       // Assert: this always returns 1
     }
+    if (this.opts.requireStandalone && !XmlParser.#EVENTS.notStandalone) {
+      throw new Error('requireStandalone needs XML_SetNotStandaloneHandler, rebuild lib/expat.js with wasm/wmak');
+    }
+    if (this.opts.foreignDTD) {
+      if (!this.opts.systemEntity) {
+        throw new Error('foreignDTD requires systemEntity');
+      }
+      if (XmlParser.XML_UseForeignDTD(parser, 1) !== 0) {
+        throw new Error('XML_UseForeignDTD failed');
+      }
+    }
+
+    const {maxAllocBytes} = this.opts;
+    let {maxAllocAmplification, allocThreshold} = this.opts;
+    if (maxAllocBytes != null) {
+      if (allocThreshold != null) {
+        throw new Error('Set maxAllocBytes or allocThreshold, not both');
+      }
+      if (!Number.isSafeInteger(maxAllocBytes) || (maxAllocBytes < 0)) {
+        throw new Error(`Invalid maxAllocBytes: ${maxAllocBytes}`);
+      }
+      // Expat allows any allocation that keeps the total below the
+      // threshold, and after that, only what the amplification allows.
+      allocThreshold = maxAllocBytes + 1;
+      maxAllocAmplification ??= 1;
+    }
+
+    /**
+     * @type {[
+     *   opt: LimitOption,
+     *   val: number|null|undefined,
+     *   set: (p: number, n: number) => number
+     * ][]}
+     */
+    const limits = [
+      ['maxAmplification', this.opts.maxAmplification, XmlParser.XML_SetBillionLaughsAttackProtectionMaximumAmplification],
+      ['amplificationThreshold', this.opts.amplificationThreshold, XmlParser.XML_SetBillionLaughsAttackProtectionActivationThreshold],
+      ['maxAllocAmplification', maxAllocAmplification, XmlParser.XML_SetAllocTrackerMaximumAmplification],
+      ['allocThreshold', allocThreshold, XmlParser.XML_SetAllocTrackerActivationThreshold],
+    ];
+    for (const [opt, val, set] of limits) {
+      if (val != null) {
+        if (set.call(XmlParser, parser, val) !== 1) {
+          throw new Error(`Invalid ${opt}: ${val}`);
+        }
+      }
+    }
+    if (this.opts.hashSalt) {
+      const salt = this.opts.hashSalt;
+      if (!Number.isInteger(salt) || (salt < 0) || (salt > 0xffffffff)) {
+        throw new Error(`Invalid hashSalt: ${salt}`);
+      }
+      XmlParser.XML_SetHashSalt(parser, salt);
+      // Assert: this always returns 1 before parsing starts
+    }
+    if (this.opts.recover && !this.#recovery) {
+      this.#recovery = {
+        stack: [],
+        namespaces: {},
+        fed: 0,
+        pieceIndex: 0,
+        replaying: false,
+        dtd: false,
+      };
+    }
+    if (!this.opts.reparseDeferral) {
+      if (XmlParser.XML_SetReparseDeferralEnabled(parser, false) !== 1) {
+        throw new Error('XML_SetReparseDeferralEnabled failed');
+      }
+    }
     this._registerHandlers();
   }
 
@@ -802,13 +2129,57 @@ export class XmlParser extends EventEmitter {
    * @returns {boolean} True if there were listeners
    */
   #emit(eventName, ...args) {
-    // @ts-ignore
-    const r = this.emit(eventName, ...args);
-    // @ts-ignore
+    const rec = this.#recovery;
+    if (rec) {
+      if (rec.replaying) {
+        return false;
+      }
+      XmlParser.#track(rec, eventName, args);
+    }
+    if (eventName === 'startBase') {
+      this.dependencies.push(/** @type {string} */ (args[0]));
+    }
+    if (this.opts.positions && this.parser && (eventName !== 'destroy')) {
+      /** @type {unknown[]} */ (args).push(this.position);
+    }
+    const r = this.emit(
+      /** @type {keyof XmlEvents} */ (eventName),
+      ...(/** @type {XmlEvents[keyof XmlEvents]} */ (args))
+    );
     this.emit('*', eventName, ...args);
     return r;
   }
 
+  /**
+   * Keep track of the open elements, so they can be re-opened after an
+   * error.
+   *
+   * @param {RecoveryState} rec
+   * @param {string} eventName
+   * @param {any[]} args
+   */
+  static #track(rec, eventName, args) {
+    const [name, value] = args;
+    switch (eventName) {
+      case 'startNamespaceDecl':
+        rec.namespaces[name] = value;
+        break;
+      case 'startElement':
+        rec.stack.push({name, namespaces: rec.namespaces});
+        rec.namespaces = {};
+        break;
+      case 'endElement':
+        rec.stack.pop();
+        break;
+      case 'startDoctypeDecl':
+        // External ID, or internal subset.
+        if (args[1] || args[2] || args[3]) {
+          rec.dtd = true;
+        }
+        break;
+    }
+  }
+
   /**
    * All extra text.  Mostly in the DTD.
    *
@@ -829,6 +2200,43 @@ export class XmlParser extends EventEmitter {
     return this.#emit(event, expat.UTF8ToString(str, len));
   }
 
+  /**
+   * Fill in an XML_Encoding structure for an encoding that expat doesn't
+   * know about.
+   *
+   * @param {"unknownEncoding"} _event
+   * @param {number} name
+   * @param {number} info
+   * @returns {number} 1 if the encoding is supported, otherwise 0.
+   * @private
+   */
+  _unknownEncoding(_event, name, info) {
+    const encName = expat.UTF8ToString(name);
+
+    /** @type {EncodingMap|null|undefined} */
+    let enc = null;
+    try {
+      enc = (typeof this.opts.unknownEncoding === 'function') ?
+        this.opts.unknownEncoding(encName) :
+        XmlParser.decoderEncoding(encName);
+    } catch (e) {
+      this.#emit('error', e);
+      return 0;
+    }
+    if (!enc) {
+      return 0;
+    }
+
+    // XML_Encoding is {int map[256]; void *data; int (*convert)(void *data,
+    // const char *s); void (*release)(void *data);}
+    const i = info / 4;
+    expat.HEAP32.set(enc.map.slice(0, 256), i);
+    expat.HEAPU32[i + 256] = XmlParser.#pointers.add(enc);
+    expat.HEAPU32[i + 257] = XmlParser.#ENCODING_CB.convert;
+    expat.HEAPU32[i + 258] = XmlParser.#ENCODING_CB.release;
+    return 1;
+  }
+
   /**
    * Skipped Entities, such as when reading external entities is not enabled.
    *
@@ -867,7 +2275,9 @@ export class XmlParser extends EventEmitter {
    * @param {string} name - the name of the element.  If the element is in
    *   a namespace, the name will be URI+separator+name.
    * @param {object} attribs - attributes for this element as name/value
-   *   pairs.  Names are similar to element name; URI+separator+name.
+   *   pairs.  Names are similar to element name; URI+separator+name.  If
+   *   the attributeInfo option is set, an array of {@link AttributeInfo}
+   *   instead.
    */
 
   /**
@@ -878,16 +2288,61 @@ export class XmlParser extends EventEmitter {
    * @private
    */
   _startElement(event, name, attr) {
+    if (this.opts.attributeInfo) {
+      return this.#emit(
+        event, expat.UTF8ToString(name), this.#attributeInfo(attr)
+      );
+    }
+
     /** @type {Record<string,string>} */
     const attribs = {};
     // Name/value pairs, starting at attr, until we get to a null.
     for (let a = attr / 4; expat.HEAPU32[a]; a += 2) {
-      attribs[expat.UTF8ToString(expat.HEAPU32[a])] =
-        expat.UTF8ToString(expat.HEAPU32[a + 1]);
+      // Not assignment, which would treat "__proto__" as the prototype.
+      Object.defineProperty(attribs, expat.UTF8ToString(expat.HEAPU32[a]), {
+        value: expat.UTF8ToString(expat.HEAPU32[a + 1]),
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
     }
     return this.#emit(event, expat.UTF8ToString(name), attribs);
   }
 
+  /**
+   * Get all of the information about the attributes for the current
+   * element.
+   *
+   * @param {number} attr Pointer to name/value pairs.
+   * @returns {AttributeInfo[]}
+   */
+  #attributeInfo(attr) {
+    const parser = /** @type {number} */ (this.#active ?? this.parser);
+    const specified = XmlParser.XML_GetSpecifiedAttributeCount(parser);
+    const id = XmlParser.XML_GetIdAttributeIndex(parser);
+    const info = XmlParser.XML_GetAttributeInfo(parser, specified / 2);
+
+    // After recovering from an error, offsets are relative to the restart.
+    const origin = this.#active ? undefined : this.#recovery?.origin;
+    const delta = origin ? origin.byteOffset - origin.bytes : 0;
+
+    /** @type {AttributeInfo[]} */
+    const ret = [];
+    for (let i = 0, a = attr / 4; expat.HEAPU32[a]; i += 2, a += 2) {
+      const pos = info[i / 2];
+      ret.push({
+        name: expat.UTF8ToString(expat.HEAPU32[a]),
+        value: expat.UTF8ToString(expat.HEAPU32[a + 1]),
+        specified: i < specified,
+        isId: i === id,
+        start: pos ? pos.nameStart + delta : null,
+        end: pos ? pos.valueEnd + delta : null,
+        valueStart: pos ? pos.valueStart + delta : null,
+      });
+    }
+    return ret;
+  }
+
   /**
    * @param {"characterData"} event
    * @param {number} txt
@@ -913,15 +2368,17 @@ export class XmlParser extends EventEmitter {
    * @param {"xmlDecl"} event
    * @param {number} version
    * @param {number} encoding
-   * @param {number} standalone
+   * @param {number} standalone -1 if not specified, 0 for no, 1 for yes.
    * @returns {boolean}
    * @private
    */
   _xmlDecl(event, version, encoding, standalone) {
+    const enc = expat.UTF8ToString(encoding);
+    this.#declaredEncoding = enc || null;
     return this.#emit(event,
       expat.UTF8ToString(version),
-      expat.UTF8ToString(encoding),
-      Boolean(standalone));
+      enc,
+      standalone === 1);
   }
 
   /**
@@ -1026,6 +2483,7 @@ export class XmlParser extends EventEmitter {
    */
   // eslint-disable-next-line max-params
   _attlistDecl(event, elname, attname, attType, dflt, isrequired) {
+    this.emit(ATTLIST_DEFAULT, Boolean(dflt));
     return this.#emit(
       event,
       expat.UTF8ToString(elname),
@@ -1073,18 +2531,77 @@ export class XmlParser extends EventEmitter {
     publicId,
     notationName
   ) {
-    return this.#emit(
+    const name = expat.UTF8ToString(entityName);
+    const baseStr = expat.UTF8ToString(base);
+    const sysid = expat.UTF8ToString(systemId);
+    const pubid = expat.UTF8ToString(publicId);
+    const notation = expat.UTF8ToString(notationName);
+    const ret = this.#emit(
       event,
-      expat.UTF8ToString(entityName),
+      name,
       Boolean(isParameterEntity),
       value ? expat.UTF8ToString(value, valueLength) : null,
-      expat.UTF8ToString(base),
-      expat.UTF8ToString(systemId),
-      expat.UTF8ToString(publicId),
-      expat.UTF8ToString(notationName)
+      baseStr,
+      sysid,
+      pubid,
+      notation
     );
+    if (notationName) {
+      // Expat does not call the UnparsedEntityDecl handler when there is an
+      // EntityDecl handler, so fire it from here.
+      this.#emit('unparsedEntityDecl', name, baseStr, sysid, pubid, notation);
+    }
+    return ret;
+  }
+
+  /**
+   * Declaration of an unparsed entity, such as
+   * `<!ENTITY logo SYSTEM "logo.gif" NDATA gif>`.  Also reported by
+   * entityDecl.
+   *
+   * @event XmlParser#unparsedEntityDecl
+   * @param {string} entityName
+   * @param {string} base
+   * @param {string} systemId
+   * @param {string} publicId
+   * @param {string} notationName
+   */
+
+  /**
+   * The document is not standalone: it has an external subset or a
+   * reference to a parameter entity, and does not have standalone="yes".
+   * If the requireStandalone option is set, parsing fails after this event
+   * with {@link XmlParseError.NOT_STANDALONE}.
+   *
+   * @event XmlParser#notStandalone
+   */
+
+  /**
+   * @param {"notStandalone"} event
+   * @returns {number} 0 to reject the document.
+   * @private
+   */
+  _notStandalone(event) {
+    this.#emit(event);
+    return this.opts.requireStandalone ? 0 : 1;
   }
 
+  /**
+   * An error that was recovered from, when the recover option is set.
+   *
+   * @event XmlParser#diagnostic
+   * @param {XmlParseError} error The error.
+   */
+
+  /**
+   * The document does not match its DTD, when the validate option is set.
+   * Parsing continues.
+   *
+   * @event XmlParser#validityError
+   * @param {import('./validate.js').XmlValidityError} error The problem and
+   *   where it is.
+   */
+
   /**
    * Error while parsing external entity.
    *
@@ -1136,36 +2653,231 @@ export class XmlParser extends EventEmitter {
       return 0; // Previously destroyed
     }
 
-    /** @type {EntityInfo|null} */
-    let ent = null;
+    /** @type {EntityInfo|PromiseLike<EntityInfo>|null} */
+    let read = null;
     try {
-      ent = this.opts.systemEntity(
+      read = this.#readEntity(
+        this.opts.systemEntity,
         expat.UTF8ToString(base),
-        expat.UTF8ToString(systemId),
-        expat.UTF8ToString(publicId)
+        systemId ? expat.UTF8ToString(systemId) : null,
+        expat.UTF8ToString(publicId),
+        this.#depth + 1
       );
     } catch (e) {
-      this.#emit('error', e);
-      return 0;
+      return this.#entityFailed(e);
     }
 
+    if (typeof (/** @type {any} */ (read)?.then) === 'function') {
+      return this.#suspendForEntity(
+        parser, context, /** @type {PromiseLike<EntityInfo>} */ (read)
+      );
+    }
+    const ent = /** @type {EntityInfo} */ (read);
+
     this.#emit('startBase', ent.base);
     const eparser = XmlParser.XML_ExternalEntityParserCreate(
       parser, context, this.xmlEncoding
     );
     if (!eparser) {
-      this.#emit('error', new Error('Out of memory'));
-      return 0;
+      return this.#entityFailed(new Error('Out of memory'));
+    }
+    const err = this.#parseEntity(eparser, ent);
+    if (err) {
+      return this.#entityFailed(err);
+    }
+    return 1;
+  }
+
+  /**
+   * An external entity could not be read or parsed.  Report the error, and
+   * keep it as the cause of the error that expat is about to generate.
+   *
+   * @param {unknown} err
+   * @returns {number} 0, to stop the parser.
+   */
+  #entityFailed(err) {
+    this.#emit('error', err);
+    this.#entityError = err;
+    return 0;
+  }
+
+  /**
+   * Error options for the error from a parser that has just failed, with
+   * the failure from the external entity it referenced, if any, as the
+   * cause.
+   *
+   * @returns {XmlParseErrorOptions}
+   */
+  #errorOptions() {
+    const cause = this.#entityError;
+    this.#entityError = undefined;
+
+    /** @type {XmlParseErrorOptions} */
+    const opts = {};
+    if (cause !== undefined) {
+      opts.cause = cause;
+    }
+    const encoding = this.opts.encoding ?? this.#declaredEncoding;
+    if (encoding) {
+      opts.encoding = encoding;
+    }
+    return opts;
+  }
+
+  /**
+   * Call systemEntity, going through the entityCache if there is one.
+   *
+   * @param {ReadEntity} systemEntity
+   * @param {string} base
+   * @param {string|null} systemId
+   * @param {string} publicId
+   * @param {number} depth
+   * @returns {EntityInfo|PromiseLike<EntityInfo>}
+   */
+  // eslint-disable-next-line max-params
+  #readEntity(systemEntity, base, systemId, publicId, depth) {
+    const {entityCache: cache} = this.opts;
+    if (!cache) {
+      return systemEntity(base, systemId, publicId, depth);
+    }
+
+    let key = systemId ?? '';
+    try {
+      key = new URL(key, base).href;
+    } catch {
+      // Relative, with no base.  Use as-is.
+    }
+    if (publicId) {
+      key += `\n${publicId}`;
+    }
+
+    const cached = cache.get(key);
+    if (cached) {
+      const resolver =
+        /** @type {ReadEntity & {check?: CheckEntity}} */ (systemEntity);
+      if (!resolver.check) {
+        return cached;
+      }
+      if (typeof (/** @type {any} */ (cached)?.then) === 'function') {
+        return Promise.resolve(cached).then(ent => {
+          resolver.check?.(base, systemId, publicId, depth, ent);
+          return ent;
+        });
+      }
+      const ent = /** @type {EntityInfo} */ (cached);
+      resolver.check(base, systemId, publicId, depth, ent);
+      return ent;
+    }
+
+    /**
+     * @param {EntityInfo} ent
+     * @returns {EntityInfo}
+     */
+    const toBytes = ent => ({
+      base: ent.base,
+      data: XmlParser.#toBytes(ent.data, this.encoding),
+    });
+    const read = systemEntity(base, systemId, publicId, depth);
+    if (typeof (/** @type {any} */ (read)?.then) === 'function') {
+      const promise = Promise.resolve(read).then(ent => {
+        const ret = toBytes(ent);
+        cache.set(key, ret);
+        return ret;
+      }, er => {
+        cache.delete(key);
+        throw er;
+      });
+      cache.set(key, promise);
+      return promise;
+    }
+    const ret = toBytes(/** @type {EntityInfo} */ (read));
+    cache.set(key, ret);
+    return ret;
+  }
+
+  /**
+   * Suspend the parser until the promise returned from systemEntity
+   * settles.  parseAsync() will then parse the entity and resume.  Only
+   * external general entities referenced from the document can be
+   * suspended for; the context for parameter entities is NULL.  The
+   * entity parser has to be created now, while the context is valid, and
+   * expat requires that no other calls be made on the outer parser until the
+   * entity parser is freed.
+   *
+   * @param {number} parser
+   * @param {number} context
+   * @param {PromiseLike<EntityInfo>} promise
+   * @returns {number}
+   */
+  #suspendForEntity(parser, context, promise) {
+    let problem = null;
+    if (!context) {
+      // Expat reads the declarations in a parameter entity, including the
+      // external DTD subset, before the handler returns.
+      problem = 'External parameter entities, including the DTD, must be read synchronously';
+    } else if (parser !== this.parser) {
+      // We only keep track of one entity at a time.
+      problem = 'Nested external entities must be read synchronously';
+    }
+    if (problem) {
+      promise.then(undefined, () => {
+        // Ignored
+      });
+      return this.#entityFailed(new Error(problem));
+    }
+    if (XmlParser.XML_StopParser(parser, 1) !== 1) {
+      return this.#entityFailed(new Error('XML_StopParser failed'));
     }
+    const eparser = XmlParser.XML_ExternalEntityParserCreate(
+      parser, context, this.xmlEncoding
+    );
+    if (!eparser) {
+      return this.#entityFailed(new Error('Out of memory'));
+    }
+    this.#entity = {parser: eparser, promise};
+    return 1;
+  }
+
+  /**
+   * Parse an external entity using a parser from
+   * XML_ExternalEntityParserCreate, then free that parser.
+   *
+   * @param {number} eparser
+   * @param {EntityInfo} ent
+   * @returns {XmlParseError|undefined} The error, if parsing failed.
+   */
+  #parseEntity(eparser, ent) {
     XmlParser.XML_SetBase(eparser, ent.base);
-    let ret = 1;
-    if (XmlParser.XML_Parse(eparser, ent.data, 1, this.encoding) !== 1) {
-      this.#emit('error', new XmlParseError(eparser, ' in EntityRef'));
-      ret = 0;
+    let err = undefined;
+    const active = this.#active;
+    const declared = this.#declaredEncoding;
+    this.#active = eparser;
+    this.#depth++;
+    this.#declaredEncoding = null;
+    try {
+      if (XmlParser.XML_Parse(eparser, ent.data, 1, this.encoding) !== 1) {
+        err = new XmlParseError(
+          eparser, ' in EntityRef', this.#errorOptions()
+        );
+      }
+    } finally {
+      this.#active = active;
+      this.#depth--;
+      this.#declaredEncoding = declared;
     }
     XmlParser.XML_ParserFree(eparser);
     this.#emit('endBase', ent.base);
-    return ret;
+    return err;
+  }
+
+  /**
+   * Free the parser for an entity that is waiting on systemEntity, if any.
+   */
+  #dropEntity() {
+    if (this.#entity) {
+      XmlParser.XML_ParserFree(this.#entity.parser);
+      this.#entity = undefined;
+    }
   }
 
   /**
@@ -1262,6 +2974,8 @@ export class XmlParser extends EventEmitter {
    *
    * @param {string|Buffer|Uint8Array|Uint8ClampedArray} chunk - Input text
    * @param {number} [final=1] - 0 if not the last or only chunk.
+   * @returns {number} OK=1, SUSPENDED=2.  If suspended, call
+   *   {@link XmlParser#resume resume()} before parsing more input.
    *
    * @throws {XmlParseError}
    */
@@ -1269,18 +2983,382 @@ export class XmlParser extends EventEmitter {
     if (!this.parser) {
       throw new Error('Invalid state');
     }
+    if (this.#pending) {
+      throw new Error('Parser suspended, call resume() first');
+    }
+    if (!this.#inDocument) {
+      this.#inDocument = true;
+      this.#declaredEncoding = null;
+      this.diagnostics = [];
+      this.dependencies = [];
+      this.#validator?.reset();
+      for (const s of this.#selectors) {
+        s.reset();
+      }
+    }
+
+    return this.#feed({
+      chunk: XmlParser.#toBytes(chunk, this.encoding),
+      offset: 0,
+      final,
+    });
+  }
+
+  /**
+   * Parse a chunk of text, allowing the systemEntity callback to return a
+   * Promise.  When it does, the parser is suspended until the Promise
+   * settles, the entity is parsed, and then parsing continues from exactly
+   * where it left off.  If this is not the last (or only) chunk, set `final`
+   * to 0.
+   *
+   * @param {string|Buffer|Uint8Array|Uint8ClampedArray} chunk - Input text
+   * @param {number} [final=1] - 0 if not the last or only chunk.
+   * @returns {Promise<number>} OK=1, or SUSPENDED=2 if
+   *   {@link XmlParser#pause pause()} was called.
+   *
+   * @throws {XmlParseError}
+   */
+  async parseAsync(chunk, final = 1) {
+    let res = this.parse(chunk, final);
+    while ((res === 2) && this.#entity) {
+      const {parser, promise} = this.#entity;
+
+      /** @type {EntityInfo|null} */
+      let ent = null;
+      try {
+        ent = await promise;
+      } catch (e) {
+        if (this.parser) {
+          this.reset();
+        }
+        throw e;
+      }
+      if (!this.parser) {
+        throw new Error('Invalid state');
+      }
+      this.#entity = undefined;
+      this.#emit('startBase', ent.base);
+      const err = this.#parseEntity(parser, ent);
+      if (err) {
+        this.reset();
+        throw err;
+      }
+      res = this.resume();
+    }
+    return res;
+  }
+
+  /**
+   * Pass input to expat a CHUNK_SIZE piece at a time, until it has all been
+   * consumed or parsing is suspended.
+   *
+   * @param {PendingInput} input
+   * @returns {number}
+   */
+  #feed(input) {
+    for (;;) {
+      let res = 0;
+      do {
+        // Always do the first piece, even if empty.
+        const piece = input.chunk.subarray(
+          input.offset, input.offset + XmlParser.CHUNK_SIZE
+        );
+        input.offset += XmlParser.CHUNK_SIZE;
+        const last = Number(input.offset >= input.chunk.length);
+        if (this.#recovery) {
+          this.#recovery.pieceIndex = this.#recovery.fed;
+          this.#recovery.fed += piece.length;
+        }
+        res = XmlParser.XML_Parse(
+          /** @type {number} */ (this.parser),
+          piece,
+          last && input.final,
+          this.encoding
+        );
+      } while ((res === 1) && (input.offset < input.chunk.length));
+
+      if ((res === 0) && this.#recovery) {
+        if (this.#recover(input)) {
+          continue;
+        }
+        res = 1;
+      }
+      return this.#finish(res, input);
+    }
+  }
+
+  /**
+   * Record the current error, then restart the parser after the next "<"
+   * following the error, with the elements that were open re-opened.  If
+   * that would lose declarations from the DTD, or the start tags can't be
+   * encoded to match the input, throw the error instead.
+   *
+   * @param {PendingInput} input The input that caused the error.  Modified
+   *   to point to where parsing should continue.
+   * @returns {boolean} True if there is more input to parse.
+   * @throws {XmlParseError} Can not recover.
+   */
+  #recover(input) {
+    const rec = /** @type {RecoveryState} */ (this.#recovery);
+    const {parser} = this;
+    if (!parser) {
+      throw new Error('Invalid state');
+    }
+    const err = new XmlParseError(parser, '', this.#errorOptions());
+    const index = XmlParser.XML_GetCurrentByteIndex(parser);
+    if (this.#relocate(err)) {
+      // Don't show the prefix as part of the input.
+      const {prefix} = /** @type {RecoveryOrigin} */ (rec.origin);
+      if (err.context?.startsWith(prefix)) {
+        err.context = err.context.slice(prefix.length);
+        err.contextOffset = Math.max(
+          0, /** @type {number} */ (err.contextOffset) - prefix.length
+        );
+      }
+    }
+
+    const {chunk} = input;
+    const {stack} = rec;
+    let prefix = '';
+    let closing = '';
+    for (const {name, namespaces} of stack) {
+      const {local, prefix: pfx} = this.triple(name);
+      const qname = pfx ? `${pfx}:${local}` : local;
+      prefix += `<${qname}`;
+      for (const [p, uri] of Object.entries(namespaces)) {
+        prefix += ` xmlns${p ? ':' : ''}${p}="${XmlParser.#escapeAttr(uri)}"`;
+      }
+      prefix += '>';
+      closing = `</${qname}>${closing}`;
+    }
+    const enc = this.#restartEncoding(chunk);
+    const prefixBytes = enc.encode(prefix);
+
+    // A new parser would not have the entities, default attributes, and
+    // so on from the DTD.
+    if (rec.dtd || !prefixBytes) {
+      this.reset();
+      throw err;
+    }
+    this.diagnostics.push(err);
+    this.#emit('diagnostic', err);
+
+    // Where the error is in the input.  If it is before the start of the
+    // last piece, it was in a token that started in earlier input, which is
+    // gone, so start looking at the beginning of the piece.
+    const pieceStart = input.offset - XmlParser.CHUNK_SIZE;
+    const errIndex = pieceStart + index - rec.pieceIndex;
+    const from = Math.max(errIndex, pieceStart);
+    let next = from;
+    if ((err.code !== XmlParseError.JUNK_AFTER_DOC_ELEMENT) ||
+        (stack.length > 0) ||
+        !XmlParser.#bytesAt(chunk, enc.lt, from)) {
+      // A new root element can start right at the error.  Anything else
+      // has to move forward, so that the same error doesn't happen again.
+      next = from + enc.lt.length;
+      while ((next < chunk.length) &&
+             !XmlParser.#bytesAt(chunk, enc.lt, next)) {
+        next += enc.lt.length;
+      }
+      next = Math.min(next, chunk.length);
+    }
+
+    // Figure out where `next` is in the original input.
+    const skipped = contextDecoder(chunk, enc.label)
+      .decode(chunk.subarray(from, next));
+    const lines = skipped.split(/\r\n?|\n/);
+    const lastLine = /** @type {string} */ (lines.at(-1));
+
+    // Start over, keeping diagnostics and the open elements.  The new
+    // parser hasn't seen the XML declaration or byte order mark, so give it
+    // the encoding explicitly.
+    this.#dropEntity();
+    XmlParser.XML_ParserReset(parser, enc.name);
+    this.#active = undefined;
+    this.#applyOptions();
+    rec.origin = {
+      line: err.line + lines.length - 1,
+      column: (lines.length > 1) ?
+        lastLine.length :
+        err.column + lastLine.length,
+      byteOffset: err.byteOffset + (next - from),
+      bytes: prefixBytes.length,
+      prefix,
+    };
+    rec.fed = prefixBytes.length;
+    rec.replaying = true;
+    try {
+      XmlParser.XML_Parse(parser, prefixBytes, 0, this.encoding);
+    } finally {
+      rec.replaying = false;
+    }
+    rec.stack = stack;
+    rec.namespaces = {};
+
+    if (next < chunk.length) {
+      input.offset = next;
+      return true;
+    }
+    input.offset = chunk.length;
+    if (!input.final || (stack.length === 0)) {
+      return false;
+    }
+
+    // End of the document: close the open elements.
+    input.chunk = /** @type {Uint8Array} */ (enc.encode(closing));
+    input.offset = 0;
+    return true;
+  }
+
+  /**
+   * Work out which encoding expat was reading the input with: the encoding
+   * option, the encoding from the XML declaration, or UTF-16 if the input
+   * has NUL bytes, which can not occur in the other encodings that expat
+   * supports without a declaration.
+   *
+   * @param {Uint8Array|Uint8ClampedArray} chunk
+   * @returns {RestartEncoding}
+   */
+  #restartEncoding(chunk) {
+    const name =
+      (this.opts.encoding ?? this.#declaredEncoding ?? '').toUpperCase();
+    if (name.startsWith('UTF-16') || (!name && chunk.includes(0))) {
+      const le = ((name === 'UTF-16') || !name) ?
+        Boolean(chunk.indexOf(0) % 2) :
+        (name === 'UTF-16LE');
+      return {
+        name: le ? 'UTF-16LE' : 'UTF-16BE',
+        label: le ? 'utf-16le' : 'utf-16be',
+        lt: le ? [0x3c, 0] : [0, 0x3c],
+        encode(str) {
+          const buf = Buffer.from(str, 'utf16le');
+          return le ? buf : buf.swap16();
+        },
+      };
+    }
+    if (!name || (name === 'UTF-8')) {
+      return {
+        name: 'UTF-8',
+        label: 'utf-8',
+        lt: [0x3c],
+        encode: str => Buffer.from(str, 'utf8'),
+      };
+    }
 
-    const res = XmlParser.XML_Parse(this.parser, chunk, final, this.encoding);
+    // Everything else that expat or TextDecoder supports is ASCII for
+    // markup.
+    const max = (name === 'ISO-8859-1') ? 0xff : 0x7f;
+    return {
+      name,
+      label: name.toLowerCase(),
+      lt: [0x3c],
+      encode: str => ([...str].every(c => c.charCodeAt(0) <= max) ?
+        Buffer.from(str, 'latin1') :
+        null),
+    };
+  }
+
+  /**
+   * Does the chunk have the given bytes at offset?
+   *
+   * @param {Uint8Array|Uint8ClampedArray} chunk
+   * @param {number[]} bytes
+   * @param {number} offset
+   * @returns {boolean}
+   */
+  static #bytesAt(chunk, bytes, offset) {
+    return bytes.every((b, i) => chunk[offset + i] === b);
+  }
+
+  /**
+   * Escape a string for use in a double-quoted attribute value.
+   *
+   * @param {string} str
+   * @returns {string}
+   */
+  static #escapeAttr(str) {
+    return str.replace(/[&<"]/g, c => `&#${c.charCodeAt(0)};`);
+  }
+
+  /**
+   * Deal with the result of XML_Parse or XML_ResumeParser.
+   *
+   * @param {number} res
+   * @param {PendingInput} input
+   * @returns {number}
+   * @throws {XmlParseError}
+   */
+  #finish(res, input) {
     if (res === 0) {
-      const e = new XmlParseError(this.parser);
+      const e = new XmlParseError(
+        /** @type {number} */ (this.parser), '', this.#errorOptions()
+      );
       this.reset();
       throw e;
-    } else if ((res === 1) && (final === 1)) {
+    } else if (res === 2) {
+      this.#pending = input;
+    } else if (input.final === 1) {
       this.reset();
     }
     return res;
   }
 
+  /**
+   * Continue parsing from exactly where expat was suspended with
+   * {@link XmlParser#pause pause()}, including any input from the previous
+   * call to {@link XmlParser#parse parse()} that has not been parsed yet.
+   * Must not be called from an event handler.
+   *
+   * @returns {number} OK=1, SUSPENDED=2 if paused again.
+   * @throws {XmlParseError}
+   */
+  resume() {
+    if (!this.parser || !this.#pending) {
+      throw new Error('Invalid state');
+    }
+    if (this.#entity) {
+      throw new Error('Waiting for systemEntity, use parseAsync()');
+    }
+    const input = this.#pending;
+    this.#pending = undefined;
+    let res = XmlParser.XML_ResumeParser(this.parser);
+    if ((res === 0) && this.#recovery) {
+      if (this.#recover(input)) {
+        return this.#feed(input);
+      }
+      res = 1;
+    }
+    if ((res === 1) && (input.offset < input.chunk.length)) {
+      return this.#feed(input);
+    }
+    return this.#finish(res, input);
+  }
+
+  /**
+   * Suspend parsing from inside an event handler.  Once the handler returns,
+   * {@link XmlParser#parse parse()} (or {@link XmlParser#resume resume()})
+   * will return 2, and no more events will fire until resume() is called,
+   * except for a few that expat would otherwise lose, such as the endElement
+   * for an empty element.  Parsing cannot be suspended while an external
+   * parameter entity is being processed.
+   */
+  pause() {
+    this.stop(1);
+  }
+
+  /**
+   * The current state of the parser.
+   *
+   * @type {ParsingState}
+   */
+  get status() {
+    if (!this.parser) {
+      throw new Error('Invalid state');
+    }
+    const {parsing} = XmlParser.XML_GetParsingStatus(this.parser);
+    return PARSING_STATES[parsing];
+  }
+
   /**
    * Reset the parser state, so that a new document can be parsed.
    */
@@ -1289,8 +3367,37 @@ export class XmlParser extends EventEmitter {
       throw new Error('Invalid state');
     }
 
+    this.#dropEntity();
     XmlParser.XML_ParserReset(this.parser, this.xmlEncoding);
-    this._registerHandlers();
+    this.#pending = undefined;
+    this.#active = undefined;
+    this.#entityError = undefined;
+    this.#inDocument = false;
+    this.#recovery = undefined;
+    this.#applyOptions();
+  }
+
+  /**
+   * Call a function for each part of the document that matches a path,
+   * as the document is parsed, without building a tree for all of it.
+   * The path is a subset of XPath; see {@link Selector}.
+   *
+   * @example
+   * parser.select('/feed/entry[@type="x"]/title', title => {
+   *   console.log(title.text);
+   * });
+   *
+   * @param {string} path Such as "//a:entry[2]/a:title/text()".
+   * @param {import('./select.js').SelectCallback} callback Called with each
+   *   match.
+   * @param {import('./select.js').SelectOptions} [opts] Namespace prefixes
+   *   for the path.
+   * @returns {this}
+   * @throws {Error} Invalid path.
+   */
+  select(path, callback, opts) {
+    this.#selectors.push(new Selector(this, path, callback, opts));
+    return this;
   }
 
   /**
@@ -1317,6 +3424,70 @@ export class XmlParser extends EventEmitter {
     return {ns, local, prefix};
   }
 
+  /**
+   * The position in the input of the event currently being processed.  Only
+   * meaningful from inside an event handler.  Inside an external entity,
+   * the position is relative to the start of the entity.
+   *
+   * @type {Position}
+   */
+  get position() {
+    const {line, column, byteOffset} = this.location;
+    return {
+      line,
+      column,
+      byteOffset,
+      byteCount: XmlParser.XML_GetCurrentByteCount(
+        /** @type {number} */ (this.#active ?? this.parser)
+      ),
+    };
+  }
+
+  /**
+   * The same as {@link XmlParser#position position}, without the
+   * byteCount.
+   *
+   * @type {{line: number, column: number, byteOffset: number}}
+   */
+  get location() {
+    if (!this.parser) {
+      throw new Error('Invalid state');
+    }
+    const parser = this.#active ?? this.parser;
+    const loc = {
+      line: XmlParser.XML_GetCurrentLineNumber(parser),
+      column: XmlParser.XML_GetCurrentColumnNumber(parser),
+      byteOffset: XmlParser.XML_GetCurrentByteIndex(parser),
+    };
+    if (!this.#active) {
+      this.#relocate(loc);
+    }
+    return loc;
+  }
+
+  /**
+   * After recovering from an error, convert a position that expat reports
+   * into a position in the original input.
+   *
+   * @param {{line: number, column: number, byteOffset: number}} pos
+   *   Modified in place.
+   * @returns {boolean} True if the position was on the first line that
+   *   expat saw, which starts with the prefix.
+   */
+  #relocate(pos) {
+    const origin = this.#recovery?.origin;
+    if (!origin) {
+      return false;
+    }
+    const first = (pos.line === 1);
+    pos.byteOffset += origin.byteOffset - origin.bytes;
+    if (first) {
+      pos.column += origin.column - origin.prefix.length;
+    }
+    pos.line += origin.line - 1;
+    return first;
+  }
+
   /**
    * Stop parsing in the middle of a document, usually from an event handler.
    * @param {number} [resumable=0] 1 for resumable
@@ -1340,6 +3511,7 @@ export class XmlParser extends EventEmitter {
     let parser = false;
     let id = false;
     if (this.parser) {
+      this.#dropEntity();
       XmlParser.XML_ParserFree(this.parser);
       delete this.parser;
       parser = true;
@@ -1359,4 +3531,111 @@ export class XmlParser extends EventEmitter {
   }
 }
 
+/**
+ * A web-standard TransformStream that takes string or Uint8Array chunks and
+ * produces an {@link XmlEvent} for each parser event.  Works in browsers,
+ * Deno, and Node.
+ *
+ * @example
+ * const res = await fetch('https://example.com/feed.xml');
+ * const events = res.body.pipeThrough(new XmlTransformStream());
+ *
+ * @class XmlTransformStream
+ * @extends {TransformStream<string|Uint8Array, XmlEvent>}
+ */
+export class XmlTransformStream extends TransformStream {
+  /**
+   * Create a transform stream.
+   *
+   * @param {ParserOptions} [opts] Options for the underlying XmlParser.
+   */
+  constructor(opts = {}) {
+    const parser = new XmlParser(opts);
+
+    /**
+     * Parse a chunk, destroying the parser on error.
+     *
+     * @param {string|Uint8Array} chunk
+     * @param {number} final
+     */
+    function parse(chunk, final) {
+      try {
+        parser.parse(chunk, final);
+      } catch (e) {
+        parser.destroy();
+        throw e;
+      }
+    }
+
+    /**
+     * Transformer.cancel is not in the TypeScript types yet.
+     *
+     * @type {Transformer<string|Uint8Array, XmlEvent>
+     *   & {cancel(): void}}
+     */
+    const transformer = {
+      start(controller) {
+        parser.on('error', () => {
+          // Reported as an event
+        });
+        parser.on('*', (
+          /** @type {any} */ type,
+          /** @type {any} */ ...args
+        ) => {
+          if (type !== 'destroy') {
+            controller.enqueue({type, args});
+          }
+        });
+      },
+      transform(chunk) {
+        parse(chunk, 0);
+      },
+      flush() {
+        parse('', 1);
+        parser.destroy();
+      },
+      cancel() {
+        parser.destroy();
+      },
+    };
+    super(transformer);
+
+    /**
+     * The underlying parser.  Use this to call triple(), or to attach
+     * listeners for individual events.
+     *
+     * @type {XmlParser}
+     */
+    this.parser = parser;
+  }
+}
+
+export {C14N, Canonicalizer} from './c14n.js';
+export {
+  DomBuilder,
+  XmlCdata,
+  XmlComment,
+  XmlDocument,
+  XmlElement,
+  XmlNode,
+  XmlParentNode,
+  XmlProcessingInstruction,
+  XmlText,
+} from './dom.js';
+export {
+  AttributeDefault,
+  AttributeType,
+  ContentQuant,
+  ContentType,
+  Dtd,
+  DtdCollector,
+  contentModel,
+  serializeContentModel,
+} from './dtd.js';
+export {toJson} from './json.js';
+export {Selector} from './select.js';
+export {XmlValidityError} from './validate.js';
+export {XmlWriter} from './writer.js';
+export {XPath, XPathAttribute, XPathError, XPathNamespace} from './xpath.js';
+
 export default XmlParser;
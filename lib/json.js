@@ -0,0 +1,328 @@
+import {XmlDocument, XmlElement} from './dom.js';
+
+/**
+ * @typedef {import('./dom.js').XmlText} XmlText
+ * @typedef {import('./index.js').Pieces} Pieces
+ */
+
+/**
+ * How to turn an element or attribute name into a JSON key.
+ *
+ * - "prefixed": the name as it appeared in the input, such as "x:foo".
+ * - "local": just the local name, such as "foo".
+ * - "clark": Clark notation, such as "{urn:x}foo".
+ * - A function that gets the namespace URI, local name, and prefix.
+ *
+ * @typedef {"prefixed"
+ * | "local"
+ * | "clark"
+ * | ((pieces: Pieces) => string)
+ * } NameFormat
+ */
+
+/**
+ * Which set of rules to use.
+ *
+ * - "simple": Attributes are keys starting with "@", text is under
+ *   "#text".  Elements with only text and no attributes become strings.
+ * - "badgerfish": Like simple, but text is under "$", every element is an
+ *   object, and the namespaces in scope are listed in "@xmlns", with the
+ *   default namespace under "$".
+ * - "parker": Attributes are dropped, elements with no child elements
+ *   become strings (or null if empty), and the root element's name is not
+ *   included.  Text in elements that have child elements is dropped.
+ *
+ * @typedef {"simple"|"badgerfish"|"parker"} JsonConvention
+ */
+
+/**
+ * @typedef {object} JsonOptions
+ * @prop {JsonConvention} [convention="simple"] The rules for conversion.
+ * @prop {string} [attributePrefix="@"] Prefix for attribute keys.
+ * @prop {string} [textKey] Key for text content.  Defaults to "#text" for
+ *   simple and "$" for badgerfish.
+ * @prop {string[]|((key: string, element: XmlElement) => boolean)
+ * } [alwaysArray=[]] Keys of elements that should always be in an array,
+ *   even if there is only one of them.  Otherwise, an array is only used
+ *   when an element has more than one child with the same key.
+ * @prop {NameFormat} [names="prefixed"] How to format element and
+ *   attribute names as keys.
+ */
+
+/**
+ * @typedef {string|null|{[key: string]: JsonValue|JsonValue[]}} JsonValue
+ */
+
+/**
+ * @typedef {object} Converter
+ * @prop {JsonConvention} convention
+ * @prop {string} attributePrefix
+ * @prop {string} textKey
+ * @prop {(key: string, element: XmlElement) => boolean} alwaysArray
+ * @prop {(pieces: Pieces) => string} name
+ * @private
+ */
+
+/** @type {Record<string, (pieces: Pieces) => string>} */
+const NAME_FORMATS = {
+  prefixed: ({local, prefix}) => (prefix ? `${prefix}:${local}` : local),
+  local: ({local}) => local,
+  clark: ({ns, local}) => (ns ? `{${ns}}${local}` : local),
+};
+
+/**
+ * Get the name pieces of an element.
+ *
+ * @param {XmlElement} el
+ * @returns {Pieces}
+ */
+function elementPieces(el) {
+  /** @type {Pieces} */
+  const pieces = {local: el.local};
+  if (el.ns) {
+    pieces.ns = el.ns;
+  }
+  if (el.prefix) {
+    pieces.prefix = el.prefix;
+  }
+  return pieces;
+}
+
+/**
+ * Set a property on an object.  Unlike assignment, this works for keys
+ * from the document such as "__proto__", which would otherwise change the
+ * object's prototype instead.
+ *
+ * @param {Record<string, unknown>} obj
+ * @param {string} key
+ * @param {unknown} value
+ */
+function setKey(obj, key, value) {
+  Object.defineProperty(obj, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Add a value to an object, converting to an array if the key is
+ * repeated.
+ *
+ * @param {Record<string, JsonValue|JsonValue[]>} obj
+ * @param {string} key
+ * @param {JsonValue} value
+ * @param {boolean} array Always use an array?
+ */
+function addValue(obj, key, value, array) {
+  if (Object.hasOwn(obj, key)) {
+    const existing = obj[key];
+    if (Array.isArray(existing)) {
+      existing.push(value);
+    } else {
+      setKey(obj, key, [existing, value]);
+    }
+  } else {
+    setKey(obj, key, array ? [value] : value);
+  }
+}
+
+/**
+ * An element that is being converted.
+ *
+ * @typedef {object} Frame
+ * @prop {XmlElement} el
+ * @prop {Record<string, string>} scope Namespaces in scope.
+ * @prop {Record<string, JsonValue|JsonValue[]>} obj
+ * @prop {boolean} hasAttributes
+ * @prop {boolean} hasElements
+ * @prop {string} text
+ * @prop {number} next Index of the next child to convert.
+ * @private
+ */
+
+/**
+ * Start converting an element, with its attributes.
+ *
+ * @param {XmlElement} el
+ * @param {Converter} c
+ * @param {Record<string, string>} scope Namespaces in scope.
+ * @returns {Frame}
+ */
+function startElement(el, c, scope) {
+  /** @type {Frame} */
+  const f = {
+    el,
+    scope,
+    obj: {},
+    hasAttributes: false,
+    hasElements: false,
+    text: '',
+    next: 0,
+  };
+  if (c.convention === 'parker') {
+    return f;
+  }
+
+  if (c.convention === 'badgerfish') {
+    f.scope = {...scope, ...el.namespaces};
+    const entries = Object.entries(f.scope);
+    if (entries.length > 0) {
+      /** @type {Record<string, string>} */
+      const xmlns = {};
+      for (const [prefix, uri] of entries) {
+        setKey(xmlns, prefix || '$', uri);
+      }
+      setKey(f.obj, `${c.attributePrefix}xmlns`, xmlns);
+      f.hasAttributes = true;
+    }
+  }
+
+  for (const [qname, value] of Object.entries(el.attributes)) {
+    const colon = qname.indexOf(':');
+
+    /** @type {Pieces} */
+    const pieces = {local: qname};
+    if (colon !== -1) {
+      const ns = el.lookupNamespaceURI(qname.slice(0, colon));
+      if (ns) {
+        pieces.ns = ns;
+        pieces.local = qname.slice(colon + 1);
+        pieces.prefix = qname.slice(0, colon);
+      }
+    }
+    setKey(f.obj, c.attributePrefix + c.name(pieces), value);
+    f.hasAttributes = true;
+  }
+  return f;
+}
+
+/**
+ * Finish converting an element, once all of its children are done.
+ *
+ * @param {Frame} f
+ * @param {Converter} c
+ * @returns {JsonValue}
+ */
+function endElement(f, c) {
+  let {text} = f;
+  if (f.hasElements && !text.trim()) {
+    // Whitespace between elements is formatting, not content.
+    text = '';
+  }
+  if (c.convention === 'parker') {
+    return f.hasElements ? f.obj : (text || null);
+  }
+  if ((c.convention === 'simple') && !f.hasAttributes && !f.hasElements) {
+    return text;
+  }
+  if (text) {
+    setKey(f.obj, c.textKey, text);
+  }
+  return f.obj;
+}
+
+/**
+ * Convert an element to JSON.  Uses an explicit stack rather than
+ * recursion, so that deeply-nested documents do not overflow.
+ *
+ * @param {XmlElement} el
+ * @param {Converter} c
+ * @param {Record<string, string>} scope Namespaces in scope.
+ * @returns {JsonValue}
+ */
+function convertElement(el, c, scope) {
+  const stack = [startElement(el, c, scope)];
+  for (;;) {
+    const f = stack[stack.length - 1];
+    if (f.next < f.el.children.length) {
+      const child = f.el.children[f.next++];
+      switch (child.type) {
+        case 'element':
+          f.hasElements = true;
+          stack.push(startElement(
+            /** @type {XmlElement} */ (child), c, f.scope
+          ));
+          break;
+        case 'text':
+        case 'cdata':
+          f.text += /** @type {XmlText} */ (child).value;
+          break;
+      }
+    } else {
+      const value = endElement(f, c);
+      stack.pop();
+      if (stack.length === 0) {
+        return value;
+      }
+      const key = c.name(elementPieces(f.el));
+      addValue(
+        stack[stack.length - 1].obj, key, value, c.alwaysArray(key, f.el)
+      );
+    }
+  }
+}
+
+/**
+ * Convert a document or element from {@link XmlParser.parseDocument} to
+ * plain JSON-compatible objects.  Comments and processing instructions are
+ * ignored, and all values are strings.
+ *
+ * @example
+ * const doc = XmlParser.parseDocument('<foo a="b"><bar>1</bar></foo>');
+ * toJson(doc);
+ * // {foo: {'@a': 'b', bar: '1'}}
+ *
+ * @param {XmlDocument|XmlElement} node
+ * @param {JsonOptions} [opts]
+ * @returns {JsonValue}
+ */
+export function toJson(node, opts = {}) {
+  const convention = opts.convention ?? 'simple';
+  if (!['simple', 'badgerfish', 'parker'].includes(convention)) {
+    throw new Error(`Unknown convention: "${convention}"`);
+  }
+  const names = opts.names ?? 'prefixed';
+
+  /** @type {((pieces: Pieces) => string)|null} */
+  let name = null;
+  if (typeof names === 'function') {
+    name = names;
+  } else if (Object.hasOwn(NAME_FORMATS, names)) {
+    name = NAME_FORMATS[names];
+  }
+  if (!name) {
+    throw new Error(`Unknown name format: "${names}"`);
+  }
+  const alwaysArray = opts.alwaysArray ?? [];
+
+  /** @type {Converter} */
+  const c = {
+    convention,
+    attributePrefix: opts.attributePrefix ?? '@',
+    textKey: opts.textKey ?? ((convention === 'badgerfish') ? '$' : '#text'),
+    alwaysArray: (typeof alwaysArray === 'function') ?
+      alwaysArray :
+      key => alwaysArray.includes(key),
+    name,
+  };
+
+  const el = (node instanceof XmlDocument) ? node.root : node;
+  if (!el) {
+    return null;
+  }
+
+  // Namespaces declared on ancestors are still in scope.
+  /** @type {Record<string, string>} */
+  let scope = {};
+  for (let p = el.parent; p instanceof XmlElement; p = p.parent) {
+    scope = {...p.namespaces, ...scope};
+  }
+
+  const value = convertElement(el, c, scope);
+  if (convention === 'parker') {
+    return value;
+  }
+  return {[name(elementPieces(el))]: value};
+}
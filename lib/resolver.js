@@ -0,0 +1,270 @@
+import {fileURLToPath, pathToFileURL} from 'url';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {import('./index.js').ReadEntity} ReadEntity
+ * @typedef {import('./index.js').CheckEntity} CheckEntity
+ */
+
+/**
+ * Why an entity was not read.
+ *
+ * - "invalid": The system identifier could not be resolved to a URL.
+ * - "scheme": The URL is not a file: URL.
+ * - "outsideRoot": The file is not under any of the roots, including by
+ *   following a symlink.
+ * - "notFile": The path is not a regular file.
+ * - "entitySize": The entity is larger than maxEntityBytes.
+ * - "totalSize": Reading the entity would exceed maxTotalBytes.
+ * - "depth": The entity is nested more deeply than maxDepth.
+ * - "read": The file system reported an error, such as the file not
+ *   existing.  The error from the file system is the cause.
+ *
+ * @typedef {"invalid"
+ * | "scheme"
+ * | "outsideRoot"
+ * | "notFile"
+ * | "entitySize"
+ * | "totalSize"
+ * | "depth"
+ * | "read"
+ * } EntityAccessCode
+ */
+
+/**
+ * @typedef {object} FileResolverOptions
+ * @prop {string|URL|(string|URL)[]} roots Directories that entities may be
+ *   read from, as paths or file: URLs.  Required.
+ * @prop {number} [maxEntityBytes=1048576] Largest entity that will be
+ *   read, in bytes.
+ * @prop {number} [maxTotalBytes=16777216] Total number of bytes that the
+ *   resolver will read over its lifetime.  Create a new resolver for each
+ *   document to make this a per-document limit.
+ * @prop {number} [maxDepth=8] How deeply external entities may be nested.
+ *   An entity referenced from the document is at depth 1.
+ */
+
+/**
+ * An entity was not read because it was not allowed by the options of
+ * {@link createFileResolver}.  When thrown from systemEntity, the parser
+ * emits this as an "error" event, and then fails with an XmlParseError.
+ */
+export class EntityAccessError extends Error {
+  /**
+   * @param {EntityAccessCode} code
+   * @param {string} message
+   * @param {string|null} url The URL or system identifier of the entity.
+   * @param {ErrorOptions} [options]
+   */
+  constructor(code, message, url, options) {
+    super(message, options);
+    this.name = 'EntityAccessError';
+
+    /**
+     * Why the entity was not read.
+     *
+     * @type {EntityAccessCode}
+     */
+    this.code = code;
+    this.url = url;
+  }
+}
+
+/**
+ * Is file the same as dir, or inside of it?
+ *
+ * @param {string} dir
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isInside(dir, file) {
+  const rel = path.relative(dir, file);
+  return !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Convert a root to a real directory path.
+ *
+ * @param {string|URL} root
+ * @returns {string}
+ */
+function rootPath(root) {
+  const p = ((root instanceof URL) || root.startsWith('file:')) ?
+    fileURLToPath(root) :
+    path.resolve(root);
+  return fs.realpathSync(p);
+}
+
+/**
+ * Call a file system function, converting its errors to EntityAccessErrors.
+ *
+ * @template T
+ * @param {string} href The URL of the entity.
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function readFs(href, fn) {
+  try {
+    return fn();
+  } catch (e) {
+    throw new EntityAccessError(
+      'read', `Could not read entity: "${href}"`, href, {cause: e}
+    );
+  }
+}
+
+/**
+ * Create a function suitable for the systemEntity option of
+ * {@link index!XmlParser}, that only reads local files under the given root
+ * directories.  System identifiers are resolved against the base of the
+ * document or entity that references them (or the first root, if the
+ * parser has no base), and the file is only read if it is a regular file
+ * that is still under a root after all symlinks have been followed.
+ * Entities that the parser finds in its entityCache are checked the same
+ * way, and count towards maxTotalBytes, but are not read again.
+ *
+ * @example
+ * const parser = new XmlParser({
+ *   base: pathToFileURL('/srv/docs/index.xml').href,
+ *   systemEntity: createFileResolver({roots: '/srv/docs'}),
+ * });
+ * parser.on('error', er => {
+ *   if (er instanceof EntityAccessError) {
+ *     console.log(er.code, er.url);
+ *   }
+ * });
+ *
+ * @param {FileResolverOptions} opts
+ * @returns {ReadEntity}
+ */
+export function createFileResolver(opts) {
+  const {
+    maxEntityBytes = 0x100000,
+    maxTotalBytes = 0x1000000,
+    maxDepth = 8,
+  } = opts;
+  if (!opts.roots) {
+    throw new Error('roots is required');
+  }
+  const roots = (Array.isArray(opts.roots) ? opts.roots : [opts.roots])
+    .map(rootPath);
+  if (roots.length === 0) {
+    throw new Error('roots is required');
+  }
+  const defaultBase = pathToFileURL(roots[0] + path.sep).href;
+  let total = 0;
+
+  /**
+   * Check everything about an entity except its size.
+   *
+   * @param {string} base
+   * @param {string|null} systemId
+   * @param {number} depth
+   * @returns {{href: string, real: string, size: number}} The URL, the real
+   *   path, and the size of the file.
+   */
+  function locate(base, systemId, depth) {
+    if (systemId === null) {
+      throw new EntityAccessError(
+        'invalid', 'No system identifier for entity', null
+      );
+    }
+    let url = null;
+    try {
+      url = new URL(systemId, base || defaultBase);
+    } catch {
+      throw new EntityAccessError(
+        'invalid', `Invalid system identifier: "${systemId}"`, systemId
+      );
+    }
+    const {href} = url;
+    if (url.protocol !== 'file:') {
+      throw new EntityAccessError(
+        'scheme', `URL scheme not allowed: "${href}"`, href
+      );
+    }
+
+    if (depth > maxDepth) {
+      throw new EntityAccessError(
+        'depth', `Entities nested more than ${maxDepth} deep: "${href}"`, href
+      );
+    }
+
+    // Check the path before touching the filesystem, then again after
+    // symlinks are resolved.
+    let file = '';
+    try {
+      file = fileURLToPath(url);
+    } catch (e) {
+      throw new EntityAccessError(
+        'invalid', `Invalid file URL: "${href}"`, href, {cause: e}
+      );
+    }
+    if (!roots.some(r => isInside(r, file))) {
+      throw new EntityAccessError(
+        'outsideRoot', `Entity outside of allowed roots: "${href}"`, href
+      );
+    }
+    const real = readFs(href, () => fs.realpathSync(file));
+    if (!roots.some(r => isInside(r, real))) {
+      throw new EntityAccessError(
+        'outsideRoot', `Entity links outside of allowed roots: "${href}"`, href
+      );
+    }
+
+    const stat = readFs(href, () => fs.statSync(real));
+    if (!stat.isFile()) {
+      throw new EntityAccessError(
+        'notFile', `Entity is not a file: "${href}"`, href
+      );
+    }
+    return {href, real, size: stat.size};
+  }
+
+  /**
+   * Check that an entity of the given size may be used.
+   *
+   * @param {string} href
+   * @param {number} size
+   */
+  function checkSize(href, size) {
+    if (size > maxEntityBytes) {
+      throw new EntityAccessError(
+        'entitySize',
+        `Entity larger than ${maxEntityBytes} bytes: "${href}"`,
+        href
+      );
+    }
+    if (total + size > maxTotalBytes) {
+      throw new EntityAccessError(
+        'totalSize',
+        `Entities larger than ${maxTotalBytes} bytes in total: "${href}"`,
+        href
+      );
+    }
+  }
+
+  /** @type {ReadEntity} */
+  const read = (base, systemId, _publicId, depth = 1) => {
+    const {href, real, size} = locate(base, systemId, depth);
+    checkSize(href, size);
+    const data = readFs(href, () => fs.readFileSync(real));
+    // The file may have grown since stat.
+    checkSize(href, data.length);
+    total += data.length;
+    return {base: href, data};
+  };
+
+  /** @type {CheckEntity} */
+  // eslint-disable-next-line max-params
+  const check = (base, systemId, _publicId, depth, ent) => {
+    const {href} = locate(base, systemId, depth);
+    checkSize(href, ent.data.length);
+    total += ent.data.length;
+  };
+
+  return Object.assign(read, {check});
+}
+
+export default createFileResolver;
@@ -0,0 +1,511 @@
+import {
+  XmlCdata,
+  XmlComment,
+  XmlElement,
+  XmlProcessingInstruction,
+  XmlText,
+} from './dom.js';
+
+/**
+ * @typedef {import('./index.js').AttributeInfo} AttributeInfo
+ * @typedef {import('./index.js').XmlParser} XmlParser
+ * @typedef {import('./dom.js').XmlParentNode} XmlParentNode
+ */
+
+/**
+ * @typedef {object} SelectOptions
+ * @prop {Record<string, string>} [namespaces={}] Namespace URIs for the
+ *   prefixes used in the path.  The "" key, if given, is the namespace for
+ *   element names without a prefix; otherwise, they match elements that are
+ *   not in a namespace, as in XPath.
+ */
+
+/**
+ * Called for each match.  For a path that ends in an element, the element
+ * is a detached tree, with the namespaces in scope declared on it.  For a
+ * path that ends in text(), the text of the element and its descendants;
+ * for one that ends in an attribute, the attribute's value.
+ *
+ * @callback SelectCallback
+ * @param {XmlElement|string} match
+ * @returns {void}
+ */
+
+/**
+ * Matches names.  An undefined field matches anything.
+ *
+ * @typedef {object} NameTest
+ * @prop {string} [ns] Namespace URI, or "" for no namespace.
+ * @prop {string} [local]
+ */
+
+/**
+ * @typedef {object} Predicate
+ * @prop {number} [position] 1-based position among the siblings that
+ *   match the step so far.
+ * @prop {NameTest} [attribute] The attribute must exist.
+ * @prop {string} [value] The attribute must have this value.
+ * @prop {boolean} [negate] The attribute must exist, and not have value.
+ */
+
+/**
+ * @typedef {object} Step
+ * @prop {boolean} descendant Descendant axis, rather than child.
+ * @prop {NameTest} test
+ * @prop {Predicate[]} predicates
+ */
+
+/**
+ * @typedef {object} CompiledPath
+ * @prop {Step[]} steps Element steps.
+ * @prop {"element"|"text"|"attribute"} result What each match delivers.
+ * @prop {NameTest} [attribute] For "attribute" results.
+ */
+
+/**
+ * @typedef {object} SelectFrame
+ * @prop {Set<number>} states Number of steps matched by each of the ways
+ *   of reaching this element.
+ * @prop {Map<string, number>} counts Matches so far for position
+ *   predicates in the children, by state and predicate.
+ * @prop {Record<string, string>} scope Namespaces in scope.
+ * @private
+ */
+
+/**
+ * @typedef {object} Attr
+ * @prop {string} ns "" for no namespace.
+ * @prop {string} local
+ * @prop {string} [prefix]
+ * @prop {string} value
+ * @private
+ */
+
+/**
+ * @typedef {object} Capture
+ * @prop {XmlElement|null} root Null when collecting text.
+ * @prop {XmlParentNode|null} current
+ * @prop {string} text
+ * @prop {number} depth
+ * @private
+ */
+
+const TOKEN = /\s*(?:(?<slash>\/\/?)|(?<punct>[[\]@])|(?<op>!?=)|(?<num>\d+)|"(?<dq>[^"]*)"|'(?<sq>[^']*)'|(?<text>text\(\))|(?<name>\*|[^\s/[\]@=!"'()*:]+(?::(?:\*|[^\s/[\]@=!"'()*:]+))?))/y;
+
+/**
+ * Compile a path for {@link Selector}.  The path is a subset of XPath:
+ * steps separated by "/" (child) or "//" (descendant), starting with one of
+ * those.  Each step is a name, "prefix:name", "prefix:*", or "*", followed
+ * by any number of predicates: a position such as "[2]", "[@attr]",
+ * "[@attr='value']" or "[@attr!='value']".  The last step may instead be
+ * "text()" or "@attr".
+ *
+ * @param {string} path
+ * @param {Record<string, string>} [namespaces={}] See
+ *   {@link SelectOptions}.
+ * @returns {CompiledPath}
+ * @throws {Error} Invalid path, or unknown prefix.
+ */
+export function compilePath(path, namespaces = {}) {
+  /** @type {{type: string, value: string, offset: number}[]} */
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < path.trimEnd().length) {
+    const offset = TOKEN.lastIndex;
+    const m = TOKEN.exec(path);
+    if (!m?.groups) {
+      throw new Error(`Invalid path "${path}" at ${offset}`);
+    }
+    const [type, value] = /** @type {[string, string]} */ (
+      Object.entries(m.groups).find(([_k, v]) => v !== undefined)
+    );
+    tokens.push({type: (type === 'sq') ? 'dq' : type, value, offset});
+  }
+
+  let i = 0;
+
+  /**
+   * @param {string} type
+   * @param {string} [value]
+   * @returns {string}
+   */
+  const expect = (type, value) => {
+    const tok = tokens[i];
+    if (!tok || (tok.type !== type) || (value && (tok.value !== value))) {
+      throw new Error(`Invalid path "${path}" at ${tok?.offset ?? path.length}`);
+    }
+    i++;
+    return tok.value;
+  };
+
+  /**
+   * @param {string} qname
+   * @param {boolean} attribute Unprefixed attributes are never in a
+   *   namespace.
+   * @returns {NameTest}
+   */
+  const nameTest = (qname, attribute) => {
+    if (qname === '*') {
+      return {};
+    }
+    const colon = qname.indexOf(':');
+    let ns = attribute ? '' : (namespaces[''] ?? '');
+    if (colon !== -1) {
+      const prefix = qname.slice(0, colon);
+      if (!Object.hasOwn(namespaces, prefix)) {
+        throw new Error(`Unknown namespace prefix "${prefix}" in "${path}"`);
+      }
+      ns = namespaces[prefix];
+    }
+    const local = qname.slice(colon + 1);
+    return (local === '*') ? {ns} : {ns, local};
+  };
+
+  /** @type {CompiledPath} */
+  const ret = {steps: [], result: 'element'};
+  if (!tokens.length) {
+    throw new Error('Empty path');
+  }
+  while (i < tokens.length) {
+    const descendant = (expect('slash') === '//');
+    const tok = tokens[i];
+    if ((tok?.type === 'text') || (tok?.value === '@')) {
+      if (descendant || !ret.steps.length) {
+        throw new Error(`Invalid path "${path}" at ${tok.offset}`);
+      }
+      i++;
+      if (tok.type === 'text') {
+        ret.result = 'text';
+      } else {
+        ret.result = 'attribute';
+        ret.attribute = nameTest(expect('name'), true);
+      }
+      if (i < tokens.length) {
+        throw new Error(`Invalid path "${path}" at ${tokens[i].offset}`);
+      }
+      break;
+    }
+
+    /** @type {Step} */
+    const step = {
+      descendant,
+      test: nameTest(expect('name'), false),
+      predicates: [],
+    };
+    while (tokens[i]?.value === '[') {
+      i++;
+      if (tokens[i]?.type === 'num') {
+        const position = parseInt(expect('num'), 10);
+        step.predicates.push({position});
+      } else {
+        expect('punct', '@');
+
+        /** @type {Predicate} */
+        const pred = {attribute: nameTest(expect('name'), true)};
+        if (tokens[i]?.type === 'op') {
+          pred.negate = (expect('op') === '!=');
+          pred.value = expect('dq');
+        }
+        step.predicates.push(pred);
+      }
+      expect('punct', ']');
+    }
+    ret.steps.push(step);
+  }
+  return ret;
+}
+
+/**
+ * Does a name match a test?
+ *
+ * @param {NameTest} test
+ * @param {string} ns "" for no namespace.
+ * @param {string} local
+ * @returns {boolean}
+ */
+function matchName(test, ns, local) {
+  return ((test.local === undefined) || (test.local === local)) &&
+    ((test.ns === undefined) || (test.ns === ns));
+}
+
+/**
+ * Streams matches for a path from the events of a parser, without
+ * building a tree for the whole document.  Only the matching elements are
+ * built, so this works for very large inputs.  Usually created with
+ * {@link XmlParser#select select()}.
+ *
+ * Matches are delivered when they end, so a match nested inside another
+ * match is delivered first.
+ *
+ * @example
+ * const parser = new XmlParser();
+ * new Selector(parser, '/feed/entry[@type="x"]/title/text()', title => {
+ *   console.log(title);
+ * });
+ * for await (const chunk of stream) {
+ *   parser.parse(chunk, 0);
+ * }
+ * parser.parse('', 1);
+ */
+export class Selector {
+  /**
+   * @type {SelectFrame[]}
+   */
+  #stack = [];
+
+  /**
+   * @type {Capture[]}
+   */
+  #captures = [];
+
+  /**
+   * Namespaces declared for the next element.
+   *
+   * @type {Record<string, string>|null}
+   */
+  #namespaces = null;
+
+  /**
+   * Are we inside a CDATA section?
+   */
+  #cdata = false;
+
+  /**
+   * Are we inside the DOCTYPE?
+   */
+  #inDoctype = false;
+
+  /**
+   * Attach to a parser.  Listeners are added for the events needed.
+   *
+   * @param {XmlParser} parser
+   * @param {string} path See {@link compilePath}.
+   * @param {SelectCallback} callback Called for each match.
+   * @param {SelectOptions} [opts]
+   * @throws {Error} Invalid path.
+   */
+  constructor(parser, path, callback, opts = {}) {
+    this.parser = parser;
+    this.path = compilePath(path, opts.namespaces);
+    this.callback = callback;
+    this.reset();
+
+    parser
+      .on('startDoctypeDecl', () => {
+        this.#inDoctype = true;
+      })
+      .on('endDoctypeDecl', () => {
+        this.#inDoctype = false;
+      })
+      .on('startNamespaceDecl', (prefix, uri) => {
+        this.#namespaces ??= {};
+        this.#namespaces[prefix || ''] = uri || '';
+      })
+      .on('startElement', (name, attribs) => {
+        this.#startElement(name, attribs);
+      })
+      .on('endElement', () => {
+        this.#endElement();
+      })
+      .on('characterData', str => {
+        this.#characterData(str);
+      })
+      .on('startCdataSection', () => {
+        this.#cdata = true;
+        this.#add(() => new XmlCdata(''));
+      })
+      .on('endCdataSection', () => {
+        this.#cdata = false;
+      })
+      .on('comment', value => {
+        this.#add(() => new XmlComment(value));
+      })
+      .on('processingInstruction', (target, data) => {
+        this.#add(() => new XmlProcessingInstruction(target, data));
+      });
+  }
+
+  /**
+   * Forget about any partial matches.  Call this before parsing another
+   * document, unless the selector was created with
+   * {@link XmlParser#select select()}, which does it automatically.
+   */
+  reset() {
+    this.#stack = [{states: new Set([0]), counts: new Map(), scope: {}}];
+    this.#captures = [];
+    this.#namespaces = null;
+    this.#cdata = false;
+    this.#inDoctype = false;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Record<string, string>|AttributeInfo[]} attribs
+   */
+  #startElement(name, attribs) {
+    const parent = /** @type {SelectFrame} */ (this.#stack.at(-1));
+    const scope = this.#namespaces ?
+      {...parent.scope, ...this.#namespaces} :
+      parent.scope;
+    const declared = this.#namespaces ?? {};
+    this.#namespaces = null;
+
+    const {steps} = this.path;
+    const {ns = '', local, prefix = null} = this.parser.triple(name);
+
+    /** @type {Attr[]|undefined} */
+    let attrs = undefined;
+    const getAttrs = () => {
+      attrs ??= (Array.isArray(attribs) ?
+        attribs.map(({name: n, value}) => [n, value]) :
+        Object.entries(attribs)
+      ).map(([n, value]) => {
+        const a = this.parser.triple(n);
+        return {ns: a.ns ?? '', local: a.local, prefix: a.prefix, value};
+      });
+      return attrs;
+    };
+
+    /** @type {Set<number>} */
+    const states = new Set();
+    let matched = false;
+    for (const s of parent.states) {
+      const step = steps[s];
+      if (step.descendant) {
+        states.add(s);
+      }
+      if (this.#matchStep(s, parent, ns, local, getAttrs)) {
+        if (s + 1 < steps.length) {
+          states.add(s + 1);
+        } else {
+          matched = true;
+        }
+      }
+    }
+
+    const {result, attribute} = this.path;
+    if (matched) {
+      if (result === 'attribute') {
+        const test = /** @type {NameTest} */ (attribute);
+        const found = getAttrs().find(a => matchName(test, a.ns, a.local));
+        if (found) {
+          this.callback(found.value);
+        }
+      } else {
+        this.#captures.push({
+          root: null,
+          current: null,
+          text: '',
+          depth: 0,
+        });
+      }
+    }
+
+    for (const cap of this.#captures) {
+      cap.depth++;
+      if (result === 'element') {
+        const el = new XmlElement(local, ns || null, prefix);
+        for (const a of getAttrs()) {
+          el.attributes[a.prefix ? `${a.prefix}:${a.local}` : a.local] = a.value;
+        }
+        if (cap.current) {
+          el.namespaces = {...declared};
+          cap.current.appendChild(el);
+        } else {
+          el.namespaces = {...scope};
+          cap.root = el;
+        }
+        cap.current = el;
+      }
+    }
+    this.#stack.push({states, counts: new Map(), scope});
+  }
+
+  /**
+   * Does an element match a step?  Counts the element for position
+   * predicates as it goes.
+   *
+   * @param {number} s Index of the step.
+   * @param {SelectFrame} parent
+   * @param {string} ns
+   * @param {string} local
+   * @param {() => Attr[]} getAttrs
+   * @returns {boolean}
+   */
+  // eslint-disable-next-line max-params
+  #matchStep(s, parent, ns, local, getAttrs) {
+    const step = this.path.steps[s];
+    if (!matchName(step.test, ns, local)) {
+      return false;
+    }
+    for (const [i, pred] of step.predicates.entries()) {
+      if (pred.position) {
+        const key = `${s} ${i}`;
+        const count = (parent.counts.get(key) ?? 0) + 1;
+        parent.counts.set(key, count);
+        if (count !== pred.position) {
+          return false;
+        }
+      } else {
+        const test = /** @type {NameTest} */ (pred.attribute);
+        const found = getAttrs().find(a => matchName(test, a.ns, a.local));
+        if (!found) {
+          return false;
+        }
+        if ((pred.value !== undefined) &&
+            ((found.value === pred.value) === Boolean(pred.negate))) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  #endElement() {
+    this.#stack.pop();
+    for (const cap of this.#captures) {
+      cap.depth--;
+      cap.current = /** @type {XmlParentNode|null} */ (cap.current?.parent);
+    }
+    while (this.#captures.at(-1)?.depth === 0) {
+      const cap = /** @type {Capture} */ (this.#captures.pop());
+      this.callback(cap.root ?? cap.text);
+    }
+  }
+
+  /**
+   * @param {string} str
+   */
+  #characterData(str) {
+    for (const cap of this.#captures) {
+      if (this.path.result === 'text') {
+        cap.text += str;
+      } else {
+        const parent = /** @type {XmlParentNode} */ (cap.current);
+        const last = parent.children.at(-1);
+        if ((last instanceof XmlText) &&
+            ((last instanceof XmlCdata) === this.#cdata)) {
+          last.value += str;
+        } else {
+          parent.appendChild(
+            this.#cdata ? new XmlCdata(str) : new XmlText(str)
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Add a non-element node to each tree being captured.
+   *
+   * @param {() => import('./dom.js').XmlNode} create
+   */
+  #add(create) {
+    if (this.#inDoctype || (this.path.result !== 'element')) {
+      return;
+    }
+    for (const cap of this.#captures) {
+      cap.current?.appendChild(create());
+    }
+  }
+}
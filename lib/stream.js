@@ -0,0 +1,145 @@
+import {Transform} from 'stream';
+import {XmlParser} from './index.js';
+
+/**
+ * @typedef {import('./index.js').ParserOptions} ParserOptions
+ * @typedef {import('./index.js').XmlEvents} XmlEvents
+ * @typedef {import('stream').TransformOptions} TransformOptions
+ */
+
+/**
+ * An event record, as emitted from the readable side of an XmlParserStream.
+ * The first item is the event name, the rest are the parameters of the
+ * event.
+ *
+ * @typedef {[name: string, ...args: any[]]} EventRecord
+ */
+
+/**
+ * A Node.js Transform stream that parses the Buffer or string chunks written
+ * to it, and produces an object-mode event record (e.g.
+ * `['startElement', name, attribs]`) for each parser event.
+ *
+ * Backpressure is handled at the granularity of a written chunk: if the
+ * readable side is full after a chunk has been parsed, the next chunk will
+ * not be parsed until the reader catches up.  The underlying parser is
+ * destroyed when the stream is destroyed, including on error.
+ *
+ * @class XmlParserStream
+ * @extends {Transform}
+ */
+export class XmlParserStream extends Transform {
+  /**
+   * Currently inside of parser.parse()?
+   */
+  #parsing = false;
+
+  /**
+   * Has stop() been called?
+   */
+  #stopped = false;
+
+  /**
+   * Create a parser stream.
+   *
+   * @param {ParserOptions} [parserOptions] Options for the underlying
+   *   XmlParser.
+   * @param {TransformOptions} [streamOptions] Options for the stream.
+   *   readableObjectMode will always be set to true.
+   */
+  constructor(parserOptions = {}, streamOptions = {}) {
+    super({
+      ...streamOptions,
+      readableObjectMode: true,
+    });
+
+    /**
+     * The underlying parser.  Use this to call triple(), or to attach
+     * listeners for individual events.
+     *
+     * @type {XmlParser}
+     */
+    this.parser = new XmlParser(parserOptions);
+
+    // Errors from systemEntity are reported as records; the parse error
+    // that follows them will destroy the stream.
+    this.parser.on('error', () => {
+      // Ignored
+    });
+    this.parser.on('*', (
+      /** @type {string} */ event,
+      /** @type {any[]} */ ...args
+    ) => {
+      if (!this.#stopped && (event !== 'destroy')) {
+        this.push([event, ...args]);
+      }
+    });
+  }
+
+  /**
+   * Stop parsing.  May be called from an event handler on the underlying
+   * parser.  No more records will be produced, the readable side will end,
+   * and any further input will be ignored.
+   */
+  stop() {
+    if (this.#stopped) {
+      return;
+    }
+    this.#stopped = true;
+    if (this.#parsing) {
+      this.parser.stop();
+    }
+    this.push(null);
+  }
+
+  /**
+   * Parse a chunk, catching errors.
+   *
+   * @param {string|Buffer|Uint8Array} chunk
+   * @param {number} final
+   * @returns {Error|undefined}
+   */
+  #parse(chunk, final) {
+    if (this.#stopped) {
+      return undefined;
+    }
+    this.#parsing = true;
+    try {
+      this.parser.parse(chunk, final);
+    } catch (e) {
+      if (!this.#stopped) {
+        return /** @type {Error} */ (e);
+      }
+    } finally {
+      this.#parsing = false;
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {any} chunk
+   * @param {BufferEncoding} _encoding
+   * @param {import('stream').TransformCallback} callback
+   */
+  _transform(chunk, _encoding, callback) {
+    callback(this.#parse(chunk, 0));
+  }
+
+  /**
+   * @param {import('stream').TransformCallback} callback
+   */
+  _flush(callback) {
+    callback(this.#parse('', 1));
+  }
+
+  /**
+   * @param {Error|null} err
+   * @param {(error?: Error|null) => void} callback
+   */
+  _destroy(err, callback) {
+    this.parser.destroy();
+    callback(err);
+  }
+}
+
+export default XmlParserStream;
@@ -0,0 +1,576 @@
+import {
+  AttributeDefault,
+  ContentQuant,
+  ContentType,
+  Dtd,
+  DtdCollector,
+  serializeContentModel,
+} from './dtd.js';
+
+/**
+ * @typedef {import('./index.js').XmlParser} XmlParser
+ * @typedef {import('./index.js').AttributeInfo} AttributeInfo
+ * @typedef {import('./dtd.js').AttributeDecl} AttributeDecl
+ * @typedef {import('./dtd.js').ContentModel} ContentModel
+ * @typedef {import('./dtd.js').ElementDecl} ElementDecl
+ */
+
+/**
+ * @typedef {object} Location
+ * @prop {number} line
+ * @prop {number} column
+ * @prop {number} byteOffset
+ */
+
+/**
+ * @typedef {object} OpenElement
+ * @prop {string} name Qualified name.
+ * @prop {ElementDecl|undefined} decl
+ * @prop {Location} location Where the start tag is.
+ * @prop {string[]} children Names of the child elements so far.
+ * @prop {boolean} text Has there been any character data?
+ * @prop {boolean} nonWhitespace Has there been any character data that
+ *   is not whitespace?
+ * @private
+ */
+
+/**
+ * @typedef {object} IdRef
+ * @prop {string} id
+ * @prop {Location} location
+ * @private
+ */
+
+const NAME = /^[:A-Z_a-z\u00C0-\uFFFF][-.\w:\u00B7-\uFFFF]*$/;
+const NMTOKEN = /^[-.\w:\u00B7-\uFFFF]+$/;
+const XMLNS = /^xmlns(?::|$)/;
+
+/**
+ * The positions that can start and end a content particle, and whether it
+ * can match no elements at all.
+ *
+ * @typedef {object} Particle
+ * @prop {Set<number>} first
+ * @prop {Set<number>} last
+ * @prop {boolean} nullable
+ * @private
+ */
+
+/**
+ * @param {Set<number>} a
+ * @param {Set<number>} b
+ * @returns {Set<number>}
+ */
+function union(a, b) {
+  return new Set([...a, ...b]);
+}
+
+/**
+ * A content model compiled to a Glushkov automaton, which has one state for
+ * each element name in the model, plus a start state.  Matching keeps the
+ * set of states that the children so far could have reached, so it takes
+ * time proportional to the number of children, no matter how the model
+ * nests its quantifiers.
+ *
+ * @private
+ */
+class ContentAutomaton {
+  /**
+   * Element name for each position.
+   *
+   * @type {string[]}
+   */
+  #names = [];
+
+  /**
+   * Positions that may come after each position.
+   *
+   * @type {Set<number>[]}
+   */
+  #follow = [];
+
+  /**
+   * @type {Particle}
+   */
+  #root;
+
+  /**
+   * @param {ContentModel} model
+   */
+  constructor(model) {
+    this.#root = this.#compile(model);
+  }
+
+  /**
+   * Do the names of the children match the model?
+   *
+   * @param {string[]} children
+   * @returns {boolean}
+   */
+  matches(children) {
+    /** @type {Set<number>|null} */
+    let states = null;
+    for (const name of children) {
+      /** @type {Set<number>} */
+      const next = new Set();
+
+      /** @type {Iterable<number>[]} */
+      const candidates = states ?
+        [...states].map(p => this.#follow[p]) :
+        [this.#root.first];
+      for (const c of candidates) {
+        for (const p of c) {
+          if (this.#names[p] === name) {
+            next.add(p);
+          }
+        }
+      }
+      if (next.size === 0) {
+        return false;
+      }
+      states = next;
+    }
+    if (!states) {
+      return this.#root.nullable;
+    }
+    return [...states].some(p => this.#root.last.has(p));
+  }
+
+  /**
+   * Add the positions for a content particle, and the follow sets between
+   * them.
+   *
+   * @param {ContentModel} model
+   * @returns {Particle}
+   */
+  #compile(model) {
+    /** @type {Particle} */
+    let ret = {first: new Set(), last: new Set(), nullable: true};
+    switch (model.type) {
+      case ContentType.NAME: {
+        const pos = this.#names.push(String(model.name)) - 1;
+        this.#follow.push(new Set());
+        ret = {first: new Set([pos]), last: new Set([pos]), nullable: false};
+        break;
+      }
+      case ContentType.CHOICE:
+        ret.nullable = false;
+        for (const child of model.children) {
+          const c = this.#compile(child);
+          ret.first = union(ret.first, c.first);
+          ret.last = union(ret.last, c.last);
+          ret.nullable ||= c.nullable;
+        }
+        break;
+      case ContentType.SEQ:
+        for (const child of model.children) {
+          const c = this.#compile(child);
+          this.#link(ret.last, c.first);
+          ret.first = ret.nullable ? union(ret.first, c.first) : ret.first;
+          ret.last = c.nullable ? union(ret.last, c.last) : c.last;
+          ret.nullable &&= c.nullable;
+        }
+        break;
+      default:
+        break;
+    }
+    if ((model.quant === ContentQuant.REP) ||
+        (model.quant === ContentQuant.PLUS)) {
+      this.#link(ret.last, ret.first);
+    }
+    if ((model.quant === ContentQuant.REP) ||
+        (model.quant === ContentQuant.OPT)) {
+      ret.nullable = true;
+    }
+    return ret;
+  }
+
+  /**
+   * Allow each of the positions in to to follow each of the positions in
+   * from.
+   *
+   * @param {Set<number>} from
+   * @param {Set<number>} to
+   */
+  #link(from, to) {
+    for (const p of from) {
+      for (const q of to) {
+        this.#follow[p].add(q);
+      }
+    }
+  }
+}
+
+/**
+ * A document does not match its DTD.  Reported with the validityError
+ * event when the validate option is set; never thrown.
+ */
+export class XmlValidityError extends Error {
+  /**
+   * @param {string} message
+   * @param {Location} location Where the problem is.
+   */
+  constructor(message, location) {
+    super(message);
+    this.name = 'XmlValidityError';
+    this.line = location.line;
+    this.column = location.column;
+    this.byteOffset = location.byteOffset;
+  }
+}
+
+/**
+ * Checks the events from a parser against the DTD declared in the same
+ * document.  Created by {@link XmlParser} for the validate option.
+ *
+ * @private
+ */
+export class Validator {
+  /**
+   * @type {DtdCollector}
+   */
+  #collector;
+
+  /**
+   * @type {(err: XmlValidityError) => void}
+   */
+  #report;
+
+  /**
+   * @type {OpenElement[]}
+   */
+  #stack = [];
+
+  /**
+   * Was there a DOCTYPE?
+   */
+  #doctype = false;
+
+  /**
+   * Don't check anything else in the current document.
+   */
+  #disabled = false;
+
+  /**
+   * Where each ID was declared.
+   *
+   * @type {Map<string, Location>}
+   */
+  #ids = new Map();
+
+  /**
+   * @type {IdRef[]}
+   */
+  #refs = [];
+
+  /**
+   * Compiled content models, by element name.
+   *
+   * @type {Map<string, ContentAutomaton>}
+   */
+  #automata = new Map();
+
+  /**
+   * @param {XmlParser} parser Parser to listen to.
+   * @param {(err: XmlValidityError) => void} report Called for each problem.
+   */
+  constructor(parser, report) {
+    this.parser = parser;
+    this.#collector = new DtdCollector(parser);
+    this.#report = report;
+
+    parser
+      .on('startDoctypeDecl', () => {
+        this.#doctype = true;
+      })
+      .on('startElement', (name, attribs) => {
+        if (!this.#disabled) {
+          this.#startElement(this.#qname(name), attribs);
+        }
+      })
+      .on('endElement', () => {
+        if (!this.#disabled) {
+          this.#endElement();
+        }
+      })
+      .on('characterData', str => {
+        const top = this.#stack.at(-1);
+        if (top && str) {
+          top.text = true;
+          top.nonWhitespace ||= /\S/.test(str);
+        }
+      });
+  }
+
+  /**
+   * Forget everything about the previous document.
+   */
+  reset() {
+    this.#collector.dtd = new Dtd();
+    this.#stack = [];
+    this.#doctype = false;
+    this.#disabled = false;
+    this.#ids.clear();
+    this.#refs = [];
+    this.#automata.clear();
+  }
+
+  /**
+   * The DTD for the current document.
+   *
+   * @type {Dtd}
+   */
+  get dtd() {
+    return this.#collector.dtd;
+  }
+
+  /**
+   * Convert a name from an event to the qualified name used in the DTD.
+   *
+   * @param {string} name
+   * @returns {string}
+   */
+  #qname(name) {
+    const {local, prefix} = this.parser.triple(name);
+    return prefix ? `${prefix}:${local}` : local;
+  }
+
+  /**
+   * @returns {Location}
+   */
+  #location() {
+    return this.parser.location;
+  }
+
+  /**
+   * @param {string} message
+   * @param {Location} location
+   */
+  #error(message, location) {
+    this.#report(new XmlValidityError(message, location));
+  }
+
+  /**
+   * @param {string} name
+   * @param {Record<string, string>|AttributeInfo[]} attribs
+   */
+  #startElement(name, attribs) {
+    const location = this.#location();
+    const parent = this.#stack.at(-1);
+    if (parent) {
+      parent.children.push(name);
+      const content = parent.decl?.content;
+      if (content?.type === ContentType.MIXED) {
+        if (!content.children.some(c => c.name === name)) {
+          this.#error(
+            `Element "${name}" is not allowed in "${parent.name}"`,
+            location
+          );
+        }
+      }
+    } else if (this.#doctype) {
+      if (name !== this.dtd.name) {
+        this.#error(
+          `Root element "${name}" does not match DOCTYPE "${this.dtd.name}"`,
+          location
+        );
+      }
+    } else {
+      this.#error('No DTD to validate against', location);
+      this.#disabled = true;
+      return;
+    }
+
+    const decl = this.dtd.elements[name];
+    if (!decl) {
+      this.#error(`Element "${name}" is not declared`, location);
+    }
+    this.#stack.push({
+      name,
+      decl,
+      location,
+      children: [],
+      text: false,
+      nonWhitespace: false,
+    });
+    this.#attributes(name, attribs, location);
+  }
+
+  /**
+   * Check the attributes of an element against its ATTLIST.
+   *
+   * @param {string} element
+   * @param {Record<string, string>|AttributeInfo[]} attribs
+   * @param {Location} location
+   */
+  #attributes(element, attribs, location) {
+    const decls = this.dtd.attributes[element] ?? {};
+    const entries = Array.isArray(attribs) ?
+      attribs.map(({name, value}) => [name, value]) :
+      Object.entries(attribs);
+
+    /** @type {Set<string>} */
+    const seen = new Set();
+    for (const [n, value] of entries) {
+      const name = this.#qname(n);
+      seen.add(name);
+      const decl = Object.hasOwn(decls, name) ? decls[name] : undefined;
+      if (decl) {
+        this.#attribute(decl, value, location);
+      } else {
+        this.#error(
+          `Attribute "${name}" of "${element}" is not declared`,
+          location
+        );
+      }
+    }
+
+    const namespaces = (typeof this.parser.opts.separator === 'string');
+    for (const decl of Object.values(decls)) {
+      // Namespace declarations are not reported as attributes when
+      // namespaces are being processed.
+      if ((decl.defaultType === AttributeDefault.REQUIRED) &&
+          !seen.has(decl.name) &&
+          !(namespaces && XMLNS.test(decl.name))) {
+        this.#error(
+          `Required attribute "${decl.name}" of "${element}" is missing`,
+          location
+        );
+      }
+    }
+  }
+
+  /**
+   * Check the value of one attribute.
+   *
+   * @param {AttributeDecl} decl
+   * @param {string} value
+   * @param {Location} location
+   */
+  #attribute(decl, value, location) {
+    const what = `attribute "${decl.name}" of "${decl.element}"`;
+    if ((decl.defaultType === AttributeDefault.FIXED) &&
+        (value !== decl.value)) {
+      this.#error(
+        `Value "${value}" of ${what} must be "${decl.value}"`,
+        location
+      );
+    }
+
+    const tokens = value.split(' ');
+    switch (decl.type) {
+      case 'CDATA':
+        break;
+      case 'ID':
+        if (!NAME.test(value)) {
+          this.#error(`Value "${value}" of ${what} is not a Name`, location);
+        } else if (this.#ids.has(value)) {
+          this.#error(`Duplicate ID "${value}"`, location);
+        } else {
+          this.#ids.set(value, location);
+        }
+        break;
+      case 'IDREF':
+      case 'IDREFS':
+        if (((decl.type === 'IDREF') && (tokens.length !== 1)) ||
+            !tokens.every(t => NAME.test(t))) {
+          this.#error(`Value "${value}" of ${what} is not valid`, location);
+        } else {
+          for (const id of tokens) {
+            this.#refs.push({id, location});
+          }
+        }
+        break;
+      case 'ENTITY':
+      case 'ENTITIES':
+        for (const t of tokens) {
+          if (!this.dtd.entities[t]?.notation) {
+            this.#error(
+              `Value "${t}" of ${what} is not an unparsed entity`,
+              location
+            );
+          }
+        }
+        break;
+      case 'NMTOKEN':
+      case 'NMTOKENS':
+        if (((decl.type === 'NMTOKEN') && (tokens.length !== 1)) ||
+            !tokens.every(t => NMTOKEN.test(t))) {
+          this.#error(`Value "${value}" of ${what} is not valid`, location);
+        }
+        break;
+      default:
+        // ENUMERATION and NOTATION
+        if (!decl.values?.includes(value)) {
+          this.#error(
+            `Value "${value}" of ${what} is not one of (${decl.values?.join('|')})`,
+            location
+          );
+        }
+        break;
+    }
+  }
+
+  /**
+   * Check the content of the element that just ended.  At the end of the
+   * root element, check that every IDREF has a matching ID.
+   */
+  #endElement() {
+    const el = /** @type {OpenElement} */ (this.#stack.pop());
+    const content = el.decl?.content;
+    switch (content?.type) {
+      case ContentType.EMPTY:
+        if (el.text || (el.children.length > 0)) {
+          this.#error(
+            `Element "${el.name}" is declared EMPTY but has content`,
+            el.location
+          );
+        }
+        break;
+      case ContentType.CHOICE:
+      case ContentType.SEQ:
+        if (el.nonWhitespace) {
+          this.#error(
+            `Character data is not allowed in "${el.name}"`,
+            el.location
+          );
+        }
+        if (!this.#automaton(el.name, content).matches(el.children)) {
+          this.#error(
+            `Content of "${el.name}" does not match ${
+              serializeContentModel(content)
+            }`,
+            el.location
+          );
+        }
+        break;
+      default:
+        // ANY, MIXED (already checked), or not declared.
+        break;
+    }
+
+    if (this.#stack.length === 0) {
+      for (const {id, location} of this.#refs) {
+        if (!this.#ids.has(id)) {
+          this.#error(`No element has ID "${id}"`, location);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the compiled form of an element's content model.
+   *
+   * @param {string} name
+   * @param {ContentModel} content
+   * @returns {ContentAutomaton}
+   */
+  #automaton(name, content) {
+    let automaton = this.#automata.get(name);
+    if (!automaton) {
+      automaton = new ContentAutomaton(content);
+      this.#automata.set(name, automaton);
+    }
+    return automaton;
+  }
+}
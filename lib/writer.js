@@ -0,0 +1,734 @@
+import {Buffer} from 'buffer';
+
+/**
+ * @typedef {import('./index.js').AttributeInfo} AttributeInfo
+ * @typedef {import('./index.js').XmlParser} XmlParser
+ */
+
+/**
+ * Encodings that the writer can produce.  These are the ones that expat
+ * can read without help.
+ *
+ * @typedef {"UTF-8"|"UTF-16"|"ISO-8859-1"|"US-ASCII"} WriterEncoding
+ */
+
+/**
+ * @typedef {object} XmlWriterOptions
+ * @prop {WriterEncoding} [encoding="UTF-8"] Encoding for
+ *   {@link XmlWriter#toBytes toBytes()}.  Characters that can't be encoded
+ *   are written as character references.  Case-insensitive.  Encodings
+ *   other than UTF-8 always get an XML declaration.
+ * @prop {string|symbol} [separator='|'] The separator used in the names of
+ *   elements and attributes, to split them into namespace URI, local name,
+ *   and prefix.  Should match the parser that the events came from.  Use
+ *   XmlParser.NO_NAMESPACES to write all names as-is.
+ * @prop {boolean} [pretty=false] Indent elements that only contain other
+ *   elements.  Whitespace-only text in those elements is replaced.
+ *   Elements that contain other text, or are inside one that does, and
+ *   elements with xml:space="preserve" are left alone.
+ * @prop {string} [indent="  "] One level of indentation, if pretty.
+ */
+
+/**
+ * @typedef {object} OpenTag
+ * @prop {string} name Qualified name, as written.
+ * @prop {Map<string, string>} scope Namespace prefixes in scope inside the
+ *   element.  The default namespace has the prefix "".
+ * @prop {boolean} preserve Don't add or remove whitespace inside.
+ * @prop {boolean} children Does the element have child elements?
+ * @private
+ */
+
+/** @type {Record<string, WriterEncoding>} */
+const ENCODINGS = {
+  'utf-8': 'UTF-8',
+  'utf8': 'UTF-8',
+  'utf-16': 'UTF-16',
+  'utf16le': 'UTF-16',
+  'iso-8859-1': 'ISO-8859-1',
+  'latin1': 'ISO-8859-1',
+  'us-ascii': 'US-ASCII',
+  'ascii': 'US-ASCII',
+};
+
+/**
+ * Characters that can't be written in each encoding, and have to be
+ * character references instead.
+ *
+ * @type {Record<WriterEncoding, RegExp|null>}
+ */
+const UNENCODABLE = {
+  'UTF-8': null,
+  'UTF-16': null,
+  'ISO-8859-1': /[^\0-\xFF]/gu,
+  'US-ASCII': /[^\0-\x7F]/gu,
+};
+
+// Characters that are never allowed in XML 1.0.
+const INVALID = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/u;
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+/** @type {Record<string, string>} */
+const TEXT_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '\r': '&#xD;',
+};
+
+/** @type {Record<string, string>} */
+const ATTRIBUTE_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '"': '&quot;',
+  '\t': '&#x9;',
+  '\n': '&#xA;',
+  '\r': '&#xD;',
+};
+
+/**
+ * @param {string} c
+ * @returns {string}
+ */
+function charRef(c) {
+  const cp = /** @type {number} */ (c.codePointAt(0));
+  return `&#x${cp.toString(16).toUpperCase()};`;
+}
+
+/**
+ * Write well-formed XML, either from the events of an {@link XmlParser}
+ * (as passed to a "*" listener), or by calling the methods directly.
+ * Methods are named after the events that they handle, and take the same
+ * parameters.
+ *
+ * @example
+ * const parser = new XmlParser();
+ * const writer = new XmlWriter({pretty: true});
+ * parser.on('*', (...args) => writer.event(...args));
+ * parser.parse('<foo><bar a="&lt;"/></foo>');
+ * console.log(writer.toString());
+ *
+ * @example
+ * const writer = new XmlWriter();
+ * writer.startNamespaceDecl('x', 'urn:x');
+ * writer.startElement('urn:x|foo|x', {a: 'b'});
+ * writer.characterData('text');
+ * writer.endElement();
+ * writer.toString(); // '<x:foo xmlns:x="urn:x" a="b">text</x:foo>'
+ */
+export class XmlWriter {
+  /**
+   * Output so far.
+   *
+   * @type {string[]}
+   */
+  #out = [];
+
+  /**
+   * @type {OpenTag[]}
+   */
+  #stack = [];
+
+  /**
+   * Namespaces to declare on the next element.
+   *
+   * @type {Map<string, string>}
+   */
+  #pendingNamespaces = new Map();
+
+  /**
+   * Is a start tag waiting for its ">"?
+   */
+  #open = false;
+
+  /**
+   * Has the root element ended?
+   */
+  #done = false;
+
+  /**
+   * Are we in a CDATA section?
+   */
+  #cdata = false;
+
+  /**
+   * Are we inside the DOCTYPE?  Nothing from the internal subset is
+   * written.
+   */
+  #inDoctype = false;
+
+  /**
+   * Whitespace-only text that might be replaced by indentation.
+   */
+  #whitespace = '';
+
+  /**
+   * Number of namespace prefixes that have been made up.
+   */
+  #generated = 0;
+
+  /**
+   * @param {XmlWriterOptions} [opts]
+   */
+  constructor(opts = {}) {
+    const encoding = ENCODINGS[(opts.encoding ?? 'UTF-8').toLowerCase()];
+    if (!encoding) {
+      throw new Error(`Unsupported encoding: "${opts.encoding}"`);
+    }
+
+    /** @type {Required<XmlWriterOptions>} */
+    this.opts = {
+      separator: '|',
+      pretty: false,
+      indent: '  ',
+      ...opts,
+      encoding,
+    };
+  }
+
+  /**
+   * Handle an event tuple, as passed to a listener for the "*" event of
+   * {@link XmlParser}.  Events that don't affect the output, such as
+   * entityDecl, are ignored, as are extra parameters such as positions.
+   *
+   * @param {string|symbol} eventName
+   * @param {...any} args
+   * @returns {this}
+   */
+  event(eventName, ...args) {
+    switch (eventName) {
+      case 'xmlDecl':
+      case 'startDoctypeDecl':
+      case 'endDoctypeDecl':
+      case 'startNamespaceDecl':
+      case 'endNamespaceDecl':
+      case 'startElement':
+      case 'endElement':
+      case 'characterData':
+      case 'startCdataSection':
+      case 'endCdataSection':
+      case 'comment':
+      case 'processingInstruction':
+      case 'skippedEntity':
+        return this[eventName](...args);
+      default:
+        return this;
+    }
+  }
+
+  /**
+   * Write the XML declaration.  Ignored if anything has already been
+   * written, which also skips text declarations from external entities.
+   *
+   * @param {string} [version="1.0"]
+   * @param {string} [_encoding] Ignored; the encoding from the options is
+   *   used instead.
+   * @param {boolean} [standalone=false]
+   * @returns {this}
+   */
+  xmlDecl(version = '1.0', _encoding = undefined, standalone = false) {
+    if (this.#out.length === 0) {
+      const v = version || '1.0';
+      const sa = standalone ? ' standalone="yes"' : '';
+      this.#out.push(
+        `<?xml version="${v}" encoding="${this.opts.encoding}"${sa}?>`
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Write a DOCTYPE.  The internal subset is not written, and events are
+   * ignored until endDoctypeDecl.  Since entities have been expanded and
+   * default attributes filled in by the parser, the output does not need
+   * it to be well-formed.
+   *
+   * @param {string} name
+   * @param {string|null} [systemId]
+   * @param {string|null} [publicId]
+   * @returns {this}
+   */
+  startDoctypeDecl(name, systemId = null, publicId = null) {
+    let ext = '';
+    if (publicId) {
+      ext = ` PUBLIC "${publicId}" ${XmlWriter.#quote(systemId ?? '')}`;
+    } else if (systemId) {
+      ext = ` SYSTEM ${XmlWriter.#quote(systemId)}`;
+    }
+    this.#topLevel(`<!DOCTYPE ${name}${ext}>`);
+    this.#inDoctype = true;
+    return this;
+  }
+
+  /**
+   * @returns {this}
+   */
+  endDoctypeDecl() {
+    this.#inDoctype = false;
+    return this;
+  }
+
+  /**
+   * Declare a namespace on the next element.
+   *
+   * @param {string|null} prefix Null or "" for the default namespace.
+   * @param {string|null} uri Null or "" to undeclare the default namespace.
+   * @returns {this}
+   */
+  startNamespaceDecl(prefix, uri) {
+    this.#pendingNamespaces.set(prefix ?? '', uri ?? '');
+    return this;
+  }
+
+  /**
+   * Namespaces go out of scope with their element, so this does nothing.
+   *
+   * @returns {this}
+   */
+  endNamespaceDecl() {
+    return this;
+  }
+
+  /**
+   * Start an element.  Namespaces declared with startNamespaceDecl are
+   * written first, followed by any that are needed for the names of the
+   * element and its attributes.
+   *
+   * @param {string} name Qualified name, or URI, local name, and prefix
+   *   joined by the separator.
+   * @param {Record<string, string>|AttributeInfo[]} [attribs={}]
+   * @returns {this}
+   */
+  startElement(name, attribs = {}) {
+    if (this.#inDoctype) {
+      throw new Error('Element in DOCTYPE');
+    }
+    if (this.#done) {
+      throw new Error('Only one root element is allowed');
+    }
+    const parent = this.#stack.at(-1);
+    const scope = new Map(parent?.scope ?? [['', ''], ['xml', XML_NS]]);
+
+    /** @type {Map<string, string>} */
+    const decls = new Map();
+    for (const [prefix, uri] of this.#pendingNamespaces) {
+      scope.set(prefix, uri);
+      decls.set(prefix, uri);
+    }
+    this.#pendingNamespaces.clear();
+
+    const entries = Array.isArray(attribs) ?
+      attribs.map(({name: n, value}) => [n, value]) :
+      Object.entries(attribs);
+    const qname = this.#name(this.#qname(name, scope, decls, false));
+    const attrs = entries.map(([n, v]) => [
+      this.#name(this.#qname(n, scope, decls, true)),
+      v,
+    ]);
+
+    let preserve = Boolean(parent?.preserve);
+    const space = attrs.find(([n]) => n === 'xml:space');
+    if (space) {
+      preserve = (space[1] === 'preserve');
+    }
+
+    if (parent) {
+      this.#indent(parent);
+      parent.children = true;
+    } else {
+      this.#autoDecl();
+      this.#separate();
+    }
+
+    let str = `<${qname}`;
+    for (const [prefix, uri] of decls) {
+      const n = prefix ? `xmlns:${prefix}` : 'xmlns';
+      str += ` ${n}="${this.#escape(uri, ATTRIBUTE_ESCAPES)}"`;
+    }
+    for (const [n, v] of attrs) {
+      str += ` ${n}="${this.#escape(v, ATTRIBUTE_ESCAPES)}"`;
+    }
+    this.#out.push(str);
+    this.#open = true;
+    this.#stack.push({name: qname, scope, preserve, children: false});
+    return this;
+  }
+
+  /**
+   * End the current element.
+   *
+   * @param {string} [_name] Ignored; the current element is always the
+   *   one that ends.
+   * @returns {this}
+   */
+  endElement(_name) {
+    const el = this.#stack.pop();
+    if (!el) {
+      throw new Error('No element to end');
+    }
+    if (this.#open) {
+      this.#open = false;
+      this.#whitespace = '';
+      this.#out.push('/>');
+    } else {
+      if (el.children) {
+        this.#indent(el);
+      } else {
+        this.#flushWhitespace();
+      }
+      this.#out.push(`</${el.name}>`);
+    }
+    this.#done = (this.#stack.length === 0);
+    return this;
+  }
+
+  /**
+   * Write text, escaped as needed.
+   *
+   * @param {string} text
+   * @returns {this}
+   */
+  characterData(text) {
+    if (this.#inDoctype || !text) {
+      return this;
+    }
+    const el = this.#stack.at(-1);
+    if (!el) {
+      throw new Error('Text outside of the root element');
+    }
+    if (this.#cdata) {
+      this.#out.push(this.#cdataText(text));
+      return this;
+    }
+    this.#closeStart();
+    if (this.opts.pretty && !el.preserve && !/\S/.test(text)) {
+      // Might be replaced by indentation.
+      this.#whitespace += text;
+      return this;
+    }
+    // Mixed content.  Leave it alone from now on.
+    el.preserve = true;
+    this.#flushWhitespace();
+    this.#out.push(this.#escape(text, TEXT_ESCAPES));
+    return this;
+  }
+
+  /**
+   * @returns {this}
+   */
+  startCdataSection() {
+    if (!this.#inDoctype) {
+      const el = this.#stack.at(-1);
+      if (!el) {
+        throw new Error('CDATA outside of the root element');
+      }
+      this.#closeStart();
+      el.preserve = true;
+      this.#flushWhitespace();
+      this.#out.push('<![CDATA[');
+      this.#cdata = true;
+    }
+    return this;
+  }
+
+  /**
+   * @returns {this}
+   */
+  endCdataSection() {
+    if (this.#cdata) {
+      this.#out.push(']]>');
+      this.#cdata = false;
+    }
+    return this;
+  }
+
+  /**
+   * Write a comment.
+   *
+   * @param {string} text
+   * @returns {this}
+   * @throws {Error} The comment contains "--" or ends with "-".
+   */
+  comment(text) {
+    if (!this.#inDoctype) {
+      if (/--|-$/.test(text)) {
+        throw new Error(`Invalid comment: "${text}"`);
+      }
+      this.#markup(`<!--${this.#escape(text, {})}-->`);
+    }
+    return this;
+  }
+
+  /**
+   * Write a processing instruction.
+   *
+   * @param {string} target
+   * @param {string} [data]
+   * @returns {this}
+   * @throws {Error} Invalid target or data.
+   */
+  processingInstruction(target, data = '') {
+    if (!this.#inDoctype) {
+      if (/^xml$/i.test(target) || /\s/.test(target) || !target) {
+        throw new Error(`Invalid processing instruction target: "${target}"`);
+      }
+      if (data.includes('?>')) {
+        throw new Error(`Invalid processing instruction data: "${data}"`);
+      }
+      const d = data ? ` ${this.#escape(data, {})}` : '';
+      this.#markup(`<?${target}${d}?>`);
+    }
+    return this;
+  }
+
+  /**
+   * Write a reference to an entity that the parser did not expand.
+   *
+   * @param {string} name
+   * @param {boolean} [isParameterEntity=false] Parameter entities are
+   *   ignored, since they are only in the DTD.
+   * @returns {this}
+   */
+  skippedEntity(name, isParameterEntity = false) {
+    if (!isParameterEntity && !this.#inDoctype) {
+      if (!this.#stack.length) {
+        throw new Error('Entity reference outside of the root element');
+      }
+      this.#closeStart();
+      this.#flushWhitespace();
+      this.#out.push(`&${name};`);
+    }
+    return this;
+  }
+
+  /**
+   * @returns {string} The XML written so far.
+   */
+  toString() {
+    return this.#out.join('');
+  }
+
+  /**
+   * @returns {Uint8Array} The XML written so far, in the encoding from
+   *   the options.  UTF-16 is little-endian, with a byte order mark.
+   */
+  toBytes() {
+    const str = this.toString();
+    switch (this.opts.encoding) {
+      case 'UTF-16':
+        return Buffer.from(`\uFEFF${str}`, 'utf16le');
+      case 'ISO-8859-1':
+        return Buffer.from(str, 'latin1');
+      default:
+        // ASCII is a subset of UTF-8.
+        return Buffer.from(str, 'utf8');
+    }
+  }
+
+  /**
+   * Convert a name from an event into a qualified name, adding namespace
+   * declarations to the element as needed.
+   *
+   * @param {string} name
+   * @param {Map<string, string>} scope Modified in place.
+   * @param {Map<string, string>} decls Modified in place.
+   * @param {boolean} attribute Unprefixed attributes have no namespace.
+   * @returns {string}
+   */
+  #qname(name, scope, decls, attribute) {
+    const {separator} = this.opts;
+    if (typeof separator !== 'string') {
+      return name;
+    }
+    if (!name.includes(separator)) {
+      // No namespace.  Undeclare the default namespace if needed.
+      if (!attribute && !name.includes(':') && scope.get('')) {
+        scope.set('', '');
+        decls.set('', '');
+      }
+      return name;
+    }
+    const [uri, local, prefix] = name.split(separator);
+    if (prefix) {
+      if (scope.get(prefix) !== uri) {
+        scope.set(prefix, uri);
+        decls.set(prefix, uri);
+      }
+      return `${prefix}:${local}`;
+    }
+    if (!attribute && (scope.get('') === uri)) {
+      return local;
+    }
+    for (const [p, u] of scope) {
+      if (p && (u === uri)) {
+        return `${p}:${local}`;
+      }
+    }
+    if (!attribute) {
+      scope.set('', uri);
+      decls.set('', uri);
+      return local;
+    }
+    let p = '';
+    do {
+      p = `ns${++this.#generated}`;
+    } while (scope.has(p));
+    scope.set(p, uri);
+    decls.set(p, uri);
+    return `${p}:${local}`;
+  }
+
+  /**
+   * Check that a name can be written in the encoding.
+   *
+   * @param {string} name
+   * @returns {string}
+   * @throws {Error} Name can't be encoded.
+   */
+  #name(name) {
+    const bad = UNENCODABLE[this.opts.encoding];
+    if (bad && (name.search(bad) !== -1)) {
+      throw new Error(`Can't write "${name}" in ${this.opts.encoding}`);
+    }
+    return name;
+  }
+
+  /**
+   * Escape text, and replace characters that can't be encoded with
+   * character references.
+   *
+   * @param {string} str
+   * @param {Record<string, string>} escapes
+   * @returns {string}
+   * @throws {Error} Characters that aren't allowed in XML.
+   */
+  #escape(str, escapes) {
+    if (INVALID.test(str)) {
+      throw new Error(`Invalid XML character in "${str}"`);
+    }
+    const chars = Object.keys(escapes).join('');
+    let ret = chars ?
+      str.replace(new RegExp(`[${chars}]`, 'g'), c => escapes[c]) :
+      str;
+    const bad = UNENCODABLE[this.opts.encoding];
+    if (bad) {
+      if (!chars && (ret.search(bad) !== -1)) {
+        // Comments and PIs can't contain references.
+        throw new Error(`Can't write "${str}" in ${this.opts.encoding}`);
+      }
+      ret = ret.replace(bad, charRef);
+    }
+    return ret;
+  }
+
+  /**
+   * Text in a CDATA section.  "]]>" and characters that can't be encoded
+   * are written outside of the section.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  #cdataText(text) {
+    if (INVALID.test(text)) {
+      throw new Error(`Invalid XML character in "${text}"`);
+    }
+    let ret = text.replace(/\]\]>/g, ']]]]><![CDATA[>');
+    const bad = UNENCODABLE[this.opts.encoding];
+    if (bad) {
+      ret = ret.replace(bad, c => `]]>${charRef(c)}<![CDATA[`);
+    }
+    return ret;
+  }
+
+  /**
+   * @param {string} str
+   * @returns {string}
+   */
+  static #quote(str) {
+    return str.includes('"') ? `'${str}'` : `"${str}"`;
+  }
+
+  /**
+   * Write the XML declaration if the encoding needs one and nothing has
+   * been written yet.
+   */
+  #autoDecl() {
+    if ((this.#out.length === 0) && (this.opts.encoding !== 'UTF-8')) {
+      this.xmlDecl();
+    }
+  }
+
+  /**
+   * Top-level nodes go on their own lines.
+   */
+  #separate() {
+    if (this.#out.length > 0) {
+      this.#out.push('\n');
+    }
+  }
+
+  /**
+   * Write markup at the top level, before or after the root element.
+   *
+   * @param {string} str
+   */
+  #topLevel(str) {
+    this.#autoDecl();
+    this.#separate();
+    this.#out.push(str);
+  }
+
+  /**
+   * Write a comment or processing instruction, wherever we are.
+   *
+   * @param {string} str
+   */
+  #markup(str) {
+    const el = this.#stack.at(-1);
+    if (el) {
+      this.#indent(el);
+      el.children = true;
+      this.#out.push(str);
+    } else {
+      this.#topLevel(str);
+    }
+  }
+
+  /**
+   * If a start tag is waiting, finish it.
+   */
+  #closeStart() {
+    if (this.#open) {
+      this.#out.push('>');
+      this.#open = false;
+    }
+  }
+
+  /**
+   * Write any whitespace that was held back, as-is.
+   */
+  #flushWhitespace() {
+    if (this.#whitespace) {
+      this.#out.push(this.#escape(this.#whitespace, TEXT_ESCAPES));
+      this.#whitespace = '';
+    }
+  }
+
+  /**
+   * Start a new line inside of el, if pretty-printing, replacing any
+   * whitespace that was held back.
+   *
+   * @param {OpenTag} el
+   */
+  #indent(el) {
+    this.#closeStart();
+    if (this.opts.pretty && !el.preserve) {
+      this.#whitespace = '';
+      this.#out.push(`\n${this.opts.indent.repeat(this.#stack.length)}`);
+    } else {
+      this.#flushWhitespace();
+    }
+  }
+}
+
+export default XmlWriter;
@@ -0,0 +1,1535 @@
+import {XmlElement, XmlParentNode} from './dom.js';
+
+/**
+ * @typedef {import('./dom.js').XmlComment} XmlComment
+ * @typedef {import('./dom.js').XmlDocument} XmlDocument
+ * @typedef {import('./dom.js').XmlNode} XmlNode
+ * @typedef {import('./dom.js').XmlProcessingInstruction
+ * } XmlProcessingInstruction
+ * @typedef {import('./dom.js').XmlText} XmlText
+ */
+
+/**
+ * A node in the XPath data model.  Attribute and namespace nodes are
+ * created for each evaluation; the rest are nodes from the tree.  A run of
+ * adjacent text and CDATA nodes is one XPath text node, represented by the
+ * first node of the run.
+ *
+ * @typedef {XmlNode|XPathAttribute|XPathNamespace} XPathNode
+ */
+
+/**
+ * A node-set is an array of nodes in document order, without duplicates.
+ *
+ * @typedef {XPathNode[]|string|number|boolean} XPathValue
+ */
+
+/**
+ * The context an expression is evaluated in.
+ *
+ * @typedef {object} XPathContext
+ * @prop {XPathNode} node Context node.
+ * @prop {number} position Context position, starting at 1.
+ * @prop {number} size Context size.
+ * @prop {Env} env
+ */
+
+/**
+ * An extension function.  Arguments are evaluated before the call.
+ *
+ * @callback XPathFunction
+ * @param {XPathContext} context
+ * @param {...XPathValue} args
+ * @returns {XPathValue}
+ */
+
+/**
+ * @typedef {object} XPathOptions
+ * @prop {Record<string, string>} [namespaces={}] Namespace URIs for
+ *   prefixes in the expression.  Prefixes that are not listed here are
+ *   looked up in the scope of the context node, then in
+ *   {@link XmlDocument#namespaces}.
+ * @prop {Record<string, XPathValue>} [variables={}] Values for variable
+ *   references, by name without the "$".
+ * @prop {Record<string, XPathFunction>} [functions={}] Extension functions,
+ *   by name as written in the expression.
+ */
+
+/**
+ * @typedef {(ctx: XPathContext) => XPathValue} Evaluator
+ * @private
+ */
+
+/**
+ * @typedef {(node: XPathNode, env: Env) => boolean} NodeTest
+ * @private
+ */
+
+/**
+ * @typedef {object} Step
+ * @prop {string} axis
+ * @prop {NodeTest} test
+ * @prop {Evaluator[]} predicates
+ * @private
+ */
+
+/**
+ * @typedef {object} Token
+ * @prop {"num"|"str"|"name"|"op"|"end"} type
+ * @prop {string} value
+ * @prop {number} offset
+ * @private
+ */
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+const TOKEN = /[ \t\r\n]*(?:(?<num>\d+(?:\.\d*)?|\.\d+)|"(?<dq>[^"]*)"|'(?<sq>[^']*)'|(?<op>\/\/|::|\.\.|!=|<=|>=|[()[\].@,/|+\-=<>*$])|(?<name>[A-Z_a-z\u00C0-\uFFFF][-.\w\u00B7-\uFFFF]*(?::(?:[A-Z_a-z\u00C0-\uFFFF][-.\w\u00B7-\uFFFF]*|\*))?))/y;
+const WS = /[ \t\r\n]+/g;
+const NUMBER = /^[ \t\r\n]*-?(?:\d+(?:\.\d*)?|\.\d+)[ \t\r\n]*$/;
+const EXPONENT = /^(?<sign>-?)(?<int>\d)(?:\.(?<frac>\d+))?e(?<exp>[+-]\d+)$/;
+
+const OPERATORS = new Set([
+  'and',
+  'or',
+  'mod',
+  'div',
+  '*',
+  '/',
+  '//',
+  '|',
+  '+',
+  '-',
+  '=',
+  '!=',
+  '<',
+  '<=',
+  '>',
+  '>=',
+]);
+
+// After these, "*" is a name test and "and", "or", etc. are names.
+const NOT_OPERAND = new Set([...OPERATORS, '@', '::', '(', '[', ',']);
+
+const NODE_TYPES = new Set([
+  'comment', 'text', 'processing-instruction', 'node',
+]);
+
+const REVERSE_AXES = new Set([
+  'ancestor', 'ancestor-or-self', 'preceding', 'preceding-sibling',
+]);
+
+/**
+ * An error in an XPath expression, or in evaluating one.
+ */
+export class XPathError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} expression
+   * @param {number} [offset=-1] Where the problem is in the expression, if
+   *   known.
+   */
+  constructor(message, expression, offset = -1) {
+    super((offset >= 0) ?
+      `${message} at ${offset} in "${expression}"` :
+      `${message} in "${expression}"`);
+    this.name = 'XPathError';
+    this.expression = expression;
+    this.offset = offset;
+  }
+}
+
+/**
+ * An attribute of an element, as an XPath node.  Namespace declarations
+ * are not attributes.
+ */
+export class XPathAttribute {
+  /**
+   * @param {XmlElement} parent
+   * @param {string} name Qualified name.
+   * @param {string} value
+   */
+  constructor(parent, name, value) {
+    const colon = name.indexOf(':');
+
+    /** @type {"attribute"} */
+    this.type = 'attribute';
+    this.name = name;
+    this.local = name.slice(colon + 1);
+    this.prefix = (colon === -1) ? null : name.slice(0, colon);
+    this.ns = this.prefix ? parent.lookupNamespaceURI(this.prefix) : null;
+    this.value = value;
+    this.parent = parent;
+  }
+}
+
+/**
+ * A namespace in scope on an element, as an XPath node.
+ */
+export class XPathNamespace {
+  /**
+   * @param {XmlElement} parent
+   * @param {string} prefix "" for the default namespace.
+   * @param {string} value Namespace URI.
+   */
+  constructor(parent, prefix, value) {
+    /** @type {"namespace"} */
+    this.type = 'namespace';
+    this.prefix = prefix;
+    this.value = value;
+    this.parent = parent;
+  }
+}
+
+/**
+ * @param {XPathNode} node
+ * @returns {boolean}
+ */
+function isText(node) {
+  return (node.type === 'text') || (node.type === 'cdata');
+}
+
+/**
+ * @param {XPathNode} node
+ * @returns {node is XPathAttribute|XPathNamespace}
+ */
+function isAttrOrNs(node) {
+  return (node instanceof XPathAttribute) || (node instanceof XPathNamespace);
+}
+
+/**
+ * The children of a node, with each run of text as one node.
+ *
+ * @param {XPathNode} node
+ * @returns {XmlNode[]}
+ */
+function childNodes(node) {
+  if (!(node instanceof XmlParentNode)) {
+    return [];
+  }
+  return node.children.filter((c, i) => !isText(c) ||
+    !(i > 0 && isText(node.children[i - 1])));
+}
+
+/**
+ * @param {XPathNode} node
+ * @returns {XPathNode|null}
+ */
+function parentNode(node) {
+  return node.parent;
+}
+
+/**
+ * @param {XPathNode} node
+ * @returns {XPathNode} The document, or the top of a detached tree.
+ */
+function rootNode(node) {
+  let n = node;
+  for (let p = parentNode(n); p; p = parentNode(n)) {
+    n = p;
+  }
+  return n;
+}
+
+/**
+ * @param {XPathNode} node
+ * @param {XPathNode[]} out Appended to, in document order.
+ * @returns {XPathNode[]}
+ */
+function descendants(node, out = []) {
+  // Explicit stack, so that deeply-nested documents do not overflow.
+  const stack = childNodes(node).reverse();
+  while (stack.length) {
+    const n = /** @type {XmlNode} */ (stack.pop());
+    out.push(n);
+    const children = childNodes(n);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push(children[i]);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {XPathNode} node
+ * @returns {string}
+ */
+function stringValue(node) {
+  switch (node.type) {
+    case 'document':
+    case 'element':
+      return /** @type {XmlParentNode} */ (node).text;
+    case 'text':
+    case 'cdata': {
+      const siblings = /** @type {XmlParentNode|null} */ (
+        parentNode(node)
+      )?.children ?? [node];
+      let ret = '';
+      for (let i = siblings.indexOf(/** @type {XmlNode} */ (node));
+        (i < siblings.length) && isText(siblings[i]);
+        i++) {
+        ret += /** @type {XmlText} */ (siblings[i]).value;
+      }
+      return ret;
+    }
+    case 'comment':
+      return /** @type {XmlComment} */ (node).value;
+    case 'processingInstruction':
+      return /** @type {XmlProcessingInstruction} */ (node).data;
+    default:
+      return /** @type {XPathAttribute|XPathNamespace} */ (node).value;
+  }
+}
+
+/**
+ * @param {XPathNode} node
+ * @returns {{local: string, ns: string, name: string}}
+ */
+function expandedName(node) {
+  if (node instanceof XmlElement) {
+    return {local: node.local, ns: node.ns ?? '', name: node.name};
+  }
+  if (node instanceof XPathAttribute) {
+    return {local: node.local, ns: node.ns ?? '', name: node.name};
+  }
+  if (node instanceof XPathNamespace) {
+    return {local: node.prefix, ns: '', name: node.prefix};
+  }
+  if (node.type === 'processingInstruction') {
+    const {target} = /** @type {XmlProcessingInstruction} */ (node);
+    return {local: target, ns: '', name: target};
+  }
+  return {local: '', ns: '', name: ''};
+}
+
+/**
+ * Format a number as XPath does, without exponents.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function numberToString(n) {
+  if (Number.isNaN(n)) {
+    return 'NaN';
+  }
+  if (n === 0) {
+    return '0';
+  }
+  if (!Number.isFinite(n)) {
+    return (n > 0) ? 'Infinity' : '-Infinity';
+  }
+  const str = String(n);
+  const m = str.match(EXPONENT);
+  if (!m?.groups) {
+    return str;
+  }
+  const {sign, int, frac = '', exp} = m.groups;
+  const e = parseInt(exp, 10);
+  const digits = int + frac;
+  if (e > 0) {
+    return sign + digits.padEnd(e + 1, '0');
+  }
+  return `${sign}0.${'0'.repeat(-e - 1)}${digits}`;
+}
+
+/**
+ * @param {XPathValue} value
+ * @returns {string}
+ */
+function toString(value) {
+  if (Array.isArray(value)) {
+    return value.length ? stringValue(value[0]) : '';
+  }
+  if (typeof value === 'number') {
+    return numberToString(value);
+  }
+  return String(value);
+}
+
+/**
+ * @param {XPathValue} value
+ * @returns {number}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'boolean') {
+    return Number(value);
+  }
+  const str = toString(value);
+  return NUMBER.test(str) ? Number(str.replace(WS, '')) : NaN;
+}
+
+/**
+ * @param {XPathValue} value
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === 'number') {
+    return (value !== 0) && !Number.isNaN(value);
+  }
+  if (typeof value === 'string') {
+    return value.length > 0;
+  }
+  return value;
+}
+
+/**
+ * Compare two values that are not node-sets.
+ *
+ * @param {string} op
+ * @param {string|number|boolean} a
+ * @param {string|number|boolean} b
+ * @returns {boolean}
+ */
+function compareAtoms(op, a, b) {
+  switch (op) {
+    case '=':
+    case '!=': {
+      let eq = false;
+      if ((typeof a === 'boolean') || (typeof b === 'boolean')) {
+        eq = (toBoolean(a) === toBoolean(b));
+      } else if ((typeof a === 'number') || (typeof b === 'number')) {
+        eq = (toNumber(a) === toNumber(b));
+      } else {
+        eq = (a === b);
+      }
+      return (op === '=') ? eq : !eq;
+    }
+    case '<':
+      return toNumber(a) < toNumber(b);
+    case '<=':
+      return toNumber(a) <= toNumber(b);
+    case '>':
+      return toNumber(a) > toNumber(b);
+    default:
+      return toNumber(a) >= toNumber(b);
+  }
+}
+
+/**
+ * Compare two values, either of which might be a node-set.
+ *
+ * @param {string} op
+ * @param {XPathValue} a
+ * @param {XPathValue} b
+ * @returns {boolean}
+ */
+function compare(op, a, b) {
+  if (!Array.isArray(a) && !Array.isArray(b)) {
+    return compareAtoms(op, a, b);
+  }
+  if ((typeof a === 'boolean') || (typeof b === 'boolean')) {
+    return compareAtoms(op, toBoolean(a), toBoolean(b));
+  }
+  const as = Array.isArray(a) ? a.map(stringValue) : [a];
+  const bs = Array.isArray(b) ? b.map(stringValue) : [b];
+  return as.some(x => bs.some(y => compareAtoms(op, x, y)));
+}
+
+/**
+ * The state of one evaluation.
+ *
+ * @private
+ */
+class Env {
+  /**
+   * Position of each tree node in document order.
+   *
+   * @type {Map<XPathNode, number>}
+   */
+  #order = new Map();
+
+  /**
+   * Position of each attribute or namespace node among those of its
+   * element, with namespaces first.
+   *
+   * @type {Map<XPathNode, number>}
+   */
+  #sub = new Map();
+
+  /**
+   * @type {Map<XmlElement, XPathAttribute[]>}
+   */
+  #attributes = new Map();
+
+  /**
+   * @type {Map<XmlElement, XPathNamespace[]>}
+   */
+  #namespaces = new Map();
+
+  /**
+   * Namespace URIs, by prefix.
+   *
+   * @type {Map<string, string>}
+   */
+  #prefixes = new Map();
+
+  /**
+   * Elements by ID, for each tree.
+   *
+   * @type {Map<XPathNode, Map<string, XmlElement>>}
+   */
+  #ids = new Map();
+
+  /**
+   * @param {string} expression
+   * @param {Required<XPathOptions>} opts
+   * @param {XPathNode} context
+   */
+  constructor(expression, opts, context) {
+    this.expression = expression;
+    this.opts = opts;
+    this.context = context;
+  }
+
+  /**
+   * Find the namespace URI for a prefix.
+   *
+   * @param {string} prefix
+   * @returns {string}
+   * @throws {XPathError} Unknown prefix.
+   */
+  resolve(prefix) {
+    let ret = this.#prefixes.get(prefix);
+    if (ret === undefined) {
+      ret = this.#lookup(prefix);
+      this.#prefixes.set(prefix, ret);
+    }
+    return ret;
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {string}
+   * @throws {XPathError} Unknown prefix.
+   */
+  #lookup(prefix) {
+    if (Object.hasOwn(this.opts.namespaces, prefix)) {
+      return this.opts.namespaces[prefix];
+    }
+    if (prefix === 'xml') {
+      return XML_NS;
+    }
+    let el = isAttrOrNs(this.context) ? this.context.parent : this.context;
+    if (el.type === 'document') {
+      el = /** @type {XmlDocument} */ (el).root ?? el;
+    }
+    const uri = (el instanceof XmlElement) ?
+      el.lookupNamespaceURI(prefix) :
+      null;
+    if (uri) {
+      return uri;
+    }
+    const root = /** @type {Partial<XmlDocument>} */ (rootNode(this.context));
+    if (root.namespaces && Object.hasOwn(root.namespaces, prefix)) {
+      return root.namespaces[prefix];
+    }
+    throw new XPathError(
+      `Unknown namespace prefix "${prefix}"`,
+      this.expression
+    );
+  }
+
+  /**
+   * @param {XPathNode} node
+   * @returns {XPathAttribute[]}
+   */
+  attributes(node) {
+    if (!(node instanceof XmlElement)) {
+      return [];
+    }
+    let ret = this.#attributes.get(node);
+    if (!ret) {
+      ret = Object.entries(node.attributes)
+        .filter(([name]) => !/^xmlns(?::|$)/.test(name))
+        .map(([name, value]) => new XPathAttribute(node, name, value));
+      const offset = this.namespaces(node).length;
+      ret.forEach((a, i) => this.#sub.set(a, offset + i + 1));
+      this.#attributes.set(node, ret);
+    }
+    return ret;
+  }
+
+  /**
+   * @param {XPathNode} node
+   * @returns {XPathNamespace[]}
+   */
+  namespaces(node) {
+    if (!(node instanceof XmlElement)) {
+      return [];
+    }
+    let ret = this.#namespaces.get(node);
+    if (!ret) {
+      /** @type {Map<string, string>} */
+      const scope = new Map([['xml', XML_NS]]);
+      for (
+        let n = /** @type {XPathNode|null} */ (node);
+        n instanceof XmlElement;
+        n = n.parent
+      ) {
+        for (const [prefix, uri] of Object.entries(n.namespaces)) {
+          if (!scope.has(prefix)) {
+            scope.set(prefix, uri);
+          }
+        }
+      }
+      ret = [...scope]
+        .filter(([_prefix, uri]) => uri)
+        .sort(([a], [b]) => ((a < b) ? -1 : Number(a > b)))
+        .map(([prefix, uri]) => new XPathNamespace(node, prefix, uri));
+      ret.forEach((ns, i) => this.#sub.set(ns, i + 1));
+      this.#namespaces.set(node, ret);
+    }
+    return ret;
+  }
+
+  /**
+   * @param {XPathNode} node
+   * @returns {number}
+   */
+  #position(node) {
+    let ret = this.#order.get(node);
+    if (ret === undefined) {
+      const root = rootNode(node);
+      const all = [root, ...descendants(root)];
+      for (const n of all) {
+        this.#order.set(n, this.#order.size);
+      }
+
+      // Later text nodes in a run, which are not nodes in XPath.
+      ret = this.#order.get(node) ?? this.#order.size;
+    }
+    return ret;
+  }
+
+  /**
+   * Sort nodes into document order, removing duplicates.
+   *
+   * @param {XPathNode[]} nodes
+   * @returns {XPathNode[]}
+   */
+  sort(nodes) {
+    const ret = [...new Set(nodes)];
+    if (ret.length < 2) {
+      return ret;
+    }
+
+    /** @type {Map<XPathNode, [number, number]>} */
+    const keys = new Map();
+    for (const n of ret) {
+      keys.set(n, isAttrOrNs(n) ?
+        [this.#position(n.parent), this.#sub.get(n) ?? 0] :
+        [this.#position(n), 0]);
+    }
+    return ret.sort((a, b) => {
+      const [ap, as] = /** @type {[number, number]} */ (keys.get(a));
+      const [bp, bs] = /** @type {[number, number]} */ (keys.get(b));
+      return (ap - bp) || (as - bs);
+    });
+  }
+
+  /**
+   * Find the element with an ID, using xml:id and attributes declared with
+   * type ID in the DTD.
+   *
+   * @param {XPathNode} node Any node in the tree.
+   * @param {string} id
+   * @returns {XmlElement|undefined}
+   */
+  id(node, id) {
+    const root = rootNode(node);
+    let ids = this.#ids.get(root);
+    if (!ids) {
+      ids = new Map();
+      const types = /** @type {Partial<XmlDocument>} */ (root).idAttributes;
+      for (const n of [root, ...descendants(root)]) {
+        if (n instanceof XmlElement) {
+          const att = types?.[n.name];
+          const value = n.getAttribute('xml:id') ??
+            (att ? n.getAttribute(att) : null);
+          if ((value !== null) && !ids.has(value)) {
+            ids.set(value, n);
+          }
+        }
+      }
+      this.#ids.set(root, ids);
+    }
+    return ids.get(id);
+  }
+}
+
+/**
+ * Nodes along an axis, in proximity order.
+ *
+ * @type {Record<string, (node: XPathNode, env: Env) => XPathNode[]>}
+ */
+const AXES = {
+  'ancestor': node => {
+    const ret = [];
+    for (let p = parentNode(node); p; p = parentNode(p)) {
+      ret.push(p);
+    }
+    return ret;
+  },
+  'ancestor-or-self': (node, env) => [node, ...AXES.ancestor(node, env)],
+  'attribute': (node, env) => env.attributes(node),
+  'child': node => childNodes(node),
+  'descendant': node => descendants(node),
+  'descendant-or-self': node => descendants(node, [node]),
+  'following': (node, env) => {
+    let n = node;
+
+    /** @type {XPathNode[]} */
+    const ret = [];
+    if (isAttrOrNs(n)) {
+      n = n.parent;
+      descendants(n, ret);
+    }
+    for (; parentNode(n); n = /** @type {XPathNode} */ (parentNode(n))) {
+      for (const s of AXES['following-sibling'](n, env)) {
+        ret.push(s);
+        descendants(s, ret);
+      }
+    }
+    return ret;
+  },
+  'following-sibling': node => {
+    if (isAttrOrNs(node)) {
+      return [];
+    }
+    const siblings = childNodes(parentNode(node) ?? node);
+    return siblings.slice(siblings.indexOf(node) + 1);
+  },
+  'namespace': (node, env) => env.namespaces(node),
+  'parent': node => {
+    const p = parentNode(node);
+    return p ? [p] : [];
+  },
+  'preceding': (node, env) => {
+    /** @type {XPathNode} */
+    let n = isAttrOrNs(node) ? node.parent : node;
+
+    /** @type {XPathNode[]} */
+    const ret = [];
+    for (; parentNode(n); n = /** @type {XPathNode} */ (parentNode(n))) {
+      for (const s of AXES['preceding-sibling'](n, env)) {
+        const sub = descendants(s, [s]);
+        for (let i = sub.length - 1; i >= 0; i--) {
+          ret.push(sub[i]);
+        }
+      }
+    }
+    return ret;
+  },
+  'preceding-sibling': node => {
+    if (isAttrOrNs(node)) {
+      return [];
+    }
+    const siblings = childNodes(parentNode(node) ?? node);
+    const i = siblings.indexOf(node);
+    return (i === -1) ? [] : siblings.slice(0, i).reverse();
+  },
+  'self': node => [node],
+};
+
+/**
+ * Filter nodes, in proximity order, with a predicate.
+ *
+ * @param {XPathNode[]} nodes
+ * @param {Evaluator} predicate
+ * @param {Env} env
+ * @returns {XPathNode[]}
+ */
+function filter(nodes, predicate, env) {
+  const size = nodes.length;
+  return nodes.filter((node, i) => {
+    const res = predicate({node, position: i + 1, size, env});
+    return (typeof res === 'number') ? (res === i + 1) : toBoolean(res);
+  });
+}
+
+/**
+ * @param {XPathNode[]} nodes Context nodes.
+ * @param {Step[]} steps
+ * @param {Env} env
+ * @returns {XPathNode[]}
+ */
+function applySteps(nodes, steps, env) {
+  let ret = nodes;
+  for (const step of steps) {
+    /** @type {XPathNode[]} */
+    const found = [];
+    for (const node of ret) {
+      let matched = AXES[step.axis](node, env).filter(n => step.test(n, env));
+      for (const pred of step.predicates) {
+        matched = filter(matched, pred, env);
+      }
+      for (const m of matched) {
+        found.push(m);
+      }
+    }
+    ret = ((ret.length === 1) && !REVERSE_AXES.has(step.axis)) ?
+      found :
+      env.sort(found);
+  }
+  return ret;
+}
+
+/**
+ * @param {XPathValue} value
+ * @param {XPathContext} ctx
+ * @param {string} what
+ * @returns {XPathNode[]}
+ */
+function nodeSet(value, ctx, what) {
+  if (!Array.isArray(value)) {
+    throw new XPathError(`${what} requires a node-set`, ctx.env.expression);
+  }
+  return value;
+}
+
+/**
+ * The first node of an optional node-set argument, or the context node.
+ *
+ * @param {XPathContext} ctx
+ * @param {XPathValue[]} args
+ * @param {string} fn
+ * @returns {XPathNode|undefined}
+ */
+function firstArg(ctx, args, fn) {
+  return args.length ? nodeSet(args[0], ctx, `${fn}()`)[0] : ctx.node;
+}
+
+/**
+ * An optional argument, defaulting to a node-set of the context node.
+ *
+ * @param {XPathContext} ctx
+ * @param {XPathValue[]} args
+ * @returns {XPathValue}
+ */
+function optional(ctx, args) {
+  return args.length ? args[0] : [ctx.node];
+}
+
+/**
+ * The XPath 1.0 core function library: minimum and maximum number of
+ * arguments, and implementation.
+ *
+ * @type {Record<string, [number, number, XPathFunction]>}
+ */
+const FUNCTIONS = {
+  // Node-set functions
+  'last': [0, 0, ctx => ctx.size],
+  'position': [0, 0, ctx => ctx.position],
+  'count': [1, 1, (ctx, ns) => nodeSet(ns, ctx, 'count()').length],
+  'id': [1, 1, (ctx, obj) => {
+    const tokens = Array.isArray(obj) ?
+      obj.flatMap(n => stringValue(n).split(WS)) :
+      toString(obj).split(WS);
+    return ctx.env.sort(tokens.map(t => ctx.env.id(ctx.node, t))
+      .filter(n => n !== undefined));
+  }],
+  'local-name': [0, 1, (ctx, ...args) => {
+    const n = firstArg(ctx, args, 'local-name');
+    return n ? expandedName(n).local : '';
+  }],
+  'namespace-uri': [0, 1, (ctx, ...args) => {
+    const n = firstArg(ctx, args, 'namespace-uri');
+    return n ? expandedName(n).ns : '';
+  }],
+  'name': [0, 1, (ctx, ...args) => {
+    const n = firstArg(ctx, args, 'name');
+    return n ? expandedName(n).name : '';
+  }],
+
+  // String functions
+  'string': [0, 1, (ctx, ...args) => toString(optional(ctx, args))],
+  'concat': [2, Infinity, (_ctx, ...args) => args.map(toString).join('')],
+  'starts-with': [2, 2, (_ctx, s, t) => toString(s).startsWith(toString(t))],
+  'contains': [2, 2, (_ctx, s, t) => toString(s).includes(toString(t))],
+  'substring-before': [2, 2, (_ctx, s, t) => {
+    const str = toString(s);
+    const i = str.indexOf(toString(t));
+    return (i === -1) ? '' : str.slice(0, i);
+  }],
+  'substring-after': [2, 2, (_ctx, s, t) => {
+    const str = toString(s);
+    const sub = toString(t);
+    const i = str.indexOf(sub);
+    return (i === -1) ? '' : str.slice(i + sub.length);
+  }],
+  'substring': [2, 3, (_ctx, s, start, ...len) => {
+    const first = Math.round(toNumber(start));
+    const end = len.length ? first + Math.round(toNumber(len[0])) : Infinity;
+    return [...toString(s)]
+      .filter((_c, i) => (i + 1 >= first) && (i + 1 < end))
+      .join('');
+  }],
+  'string-length': [0, 1, (ctx, ...args) => [
+    ...toString(optional(ctx, args)),
+  ].length],
+  'normalize-space': [0, 1, (ctx, ...args) => toString(optional(ctx, args))
+    .replace(WS, ' ')
+    .replace(/^ | $/g, '')],
+  'translate': [3, 3, (_ctx, s, from, to) => {
+    const f = [...toString(from)];
+    const t = [...toString(to)];
+    return [...toString(s)].map(c => {
+      const i = f.indexOf(c);
+      return (i === -1) ? c : (t[i] ?? '');
+    }).join('');
+  }],
+
+  // Boolean functions
+  'boolean': [1, 1, (_ctx, obj) => toBoolean(obj)],
+  'not': [1, 1, (_ctx, obj) => !toBoolean(obj)],
+  'true': [0, 0, () => true],
+  'false': [0, 0, () => false],
+  'lang': [1, 1, (ctx, s) => {
+    const want = toString(s).toLowerCase();
+    for (const n of AXES['ancestor-or-self'](ctx.node, ctx.env)) {
+      if (n instanceof XmlElement) {
+        const lang = n.getAttribute('xml:lang')?.toLowerCase();
+        if (lang !== undefined) {
+          return (lang === want) || lang.startsWith(`${want}-`);
+        }
+      }
+    }
+    return false;
+  }],
+
+  // Number functions
+  'number': [0, 1, (ctx, ...args) => toNumber(optional(ctx, args))],
+  'sum': [1, 1, (ctx, ns) => nodeSet(ns, ctx, 'sum()')
+    .reduce((t, n) => t + toNumber(stringValue(n)), 0)],
+  'floor': [1, 1, (_ctx, n) => Math.floor(toNumber(n))],
+  'ceiling': [1, 1, (_ctx, n) => Math.ceil(toNumber(n))],
+  'round': [1, 1, (_ctx, n) => Math.round(toNumber(n))],
+};
+
+/**
+ * Compiles an expression into nested functions.
+ *
+ * @private
+ */
+class Compiler {
+  /**
+   * @type {Token[]}
+   */
+  #tokens = [];
+
+  #i = 0;
+
+  /**
+   * @param {string} expression
+   * @param {Required<XPathOptions>} opts
+   */
+  constructor(expression, opts) {
+    this.expression = expression;
+    this.opts = opts;
+
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < expression.trimEnd().length) {
+      const offset = TOKEN.lastIndex;
+      const m = TOKEN.exec(expression);
+      if (!m?.groups) {
+        throw new XPathError('Invalid character', expression, offset);
+      }
+      const [type, value] = /** @type {[string, string]} */ (
+        Object.entries(m.groups).find(([_k, v]) => v !== undefined)
+      );
+
+      /** @type {Token} */
+      const tok = {
+        type: /** @type {Token["type"]} */ (
+          ((type === 'dq') || (type === 'sq')) ? 'str' : type
+        ),
+        value,
+        offset: offset + m[0].length - m[0].trimStart().length,
+      };
+
+      // Disambiguate "*" and operator names, from section 3.7.
+      const prev = this.#tokens.at(-1);
+      const operand = !prev ||
+        ((prev.type === 'op') && NOT_OPERAND.has(prev.value));
+      if ((tok.type === 'op') && (tok.value === '*') && operand) {
+        tok.type = 'name';
+      } else if ((tok.type === 'name') && !operand &&
+        OPERATORS.has(tok.value)) {
+        tok.type = 'op';
+      }
+      this.#tokens.push(tok);
+    }
+    this.#tokens.push({type: 'end', value: '', offset: expression.length});
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  compile() {
+    const ret = this.#or();
+    if (this.#peek().type !== 'end') {
+      throw this.#error('Unexpected token');
+    }
+    return ret;
+  }
+
+  /**
+   * @param {number} [n=0]
+   * @returns {Token}
+   */
+  #peek(n = 0) {
+    return this.#tokens[Math.min(this.#i + n, this.#tokens.length - 1)];
+  }
+
+  /**
+   * @param {string} value
+   * @param {number} [n=0]
+   * @returns {boolean}
+   */
+  #isOp(value, n = 0) {
+    const tok = this.#peek(n);
+    return (tok.type === 'op') && (tok.value === value);
+  }
+
+  /**
+   * @param {string} value
+   * @returns {boolean}
+   */
+  #accept(value) {
+    if (this.#isOp(value)) {
+      this.#i++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} value
+   */
+  #expect(value) {
+    if (!this.#accept(value)) {
+      throw this.#error(`Expected "${value}"`);
+    }
+  }
+
+  /**
+   * @param {Token["type"]} type
+   * @returns {string}
+   */
+  #expectType(type) {
+    const tok = this.#peek();
+    if (tok.type !== type) {
+      throw this.#error(`Expected ${type}`);
+    }
+    this.#i++;
+    return tok.value;
+  }
+
+  /**
+   * @param {string} message
+   * @returns {XPathError}
+   */
+  #error(message) {
+    const tok = this.#peek();
+    return new XPathError(
+      tok.value ? `${message}, got "${tok.value}"` : message,
+      this.expression,
+      tok.offset
+    );
+  }
+
+  /**
+   * Parse a left-associative binary operator.
+   *
+   * @param {() => Evaluator} operand
+   * @param {string[]} ops
+   * @param {(op: string, a: Evaluator, b: Evaluator) => Evaluator} combine
+   * @returns {Evaluator}
+   */
+  #binary(operand, ops, combine) {
+    let left = operand();
+    for (;;) {
+      const op = ops.find(o => this.#isOp(o));
+      if (!op) {
+        return left;
+      }
+      this.#i++;
+      left = combine(op, left, operand());
+    }
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #or() {
+    return this.#binary(
+      () => this.#and(),
+      ['or'],
+      (_op, a, b) => ctx => toBoolean(a(ctx)) || toBoolean(b(ctx))
+    );
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #and() {
+    return this.#binary(
+      () => this.#equality(),
+      ['and'],
+      (_op, a, b) => ctx => toBoolean(a(ctx)) && toBoolean(b(ctx))
+    );
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #equality() {
+    return this.#binary(
+      () => this.#relational(),
+      ['=', '!='],
+      (op, a, b) => ctx => compare(op, a(ctx), b(ctx))
+    );
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #relational() {
+    return this.#binary(
+      () => this.#additive(),
+      ['<', '<=', '>', '>='],
+      (op, a, b) => ctx => compare(op, a(ctx), b(ctx))
+    );
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #additive() {
+    return this.#binary(
+      () => this.#multiplicative(),
+      ['+', '-'],
+      (op, a, b) => ((op === '+') ?
+        ctx => toNumber(a(ctx)) + toNumber(b(ctx)) :
+        ctx => toNumber(a(ctx)) - toNumber(b(ctx)))
+    );
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #multiplicative() {
+    return this.#binary(
+      () => this.#unary(),
+      ['*', 'div', 'mod'],
+      (op, a, b) => {
+        switch (op) {
+          case '*':
+            return ctx => toNumber(a(ctx)) * toNumber(b(ctx));
+          case 'div':
+            return ctx => toNumber(a(ctx)) / toNumber(b(ctx));
+          default:
+            return ctx => toNumber(a(ctx)) % toNumber(b(ctx));
+        }
+      }
+    );
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #unary() {
+    if (this.#accept('-')) {
+      const e = this.#unary();
+      return ctx => -toNumber(e(ctx));
+    }
+    return this.#binary(
+      () => this.#path(),
+      ['|'],
+      (_op, a, b) => ctx => ctx.env.sort([
+        ...nodeSet(a(ctx), ctx, 'Union'),
+        ...nodeSet(b(ctx), ctx, 'Union'),
+      ])
+    );
+  }
+
+  /**
+   * Is the next token the start of a primary expression, rather than a
+   * location path?
+   *
+   * @returns {boolean}
+   */
+  #primaryStart() {
+    const tok = this.#peek();
+    switch (tok.type) {
+      case 'num':
+      case 'str':
+        return true;
+      case 'op':
+        return (tok.value === '$') || (tok.value === '(');
+      case 'name':
+        return this.#isOp('(', 1) && !NODE_TYPES.has(tok.value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #path() {
+    if (!this.#primaryStart()) {
+      return this.#locationPath();
+    }
+    const primary = this.#primary();
+
+    /** @type {Evaluator[]} */
+    const predicates = [];
+    while (this.#isOp('[')) {
+      predicates.push(this.#predicate());
+    }
+
+    /** @type {Step[]} */
+    const steps = [];
+    if (this.#isOp('/') || this.#isOp('//')) {
+      this.#relative(steps);
+    }
+    if (!predicates.length && !steps.length) {
+      return primary;
+    }
+    return ctx => {
+      let nodes = nodeSet(primary(ctx), ctx, 'Filter');
+      for (const pred of predicates) {
+        nodes = filter(nodes, pred, ctx.env);
+      }
+      return applySteps(nodes, steps, ctx.env);
+    };
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #locationPath() {
+    let absolute = false;
+
+    /** @type {Step[]} */
+    const steps = [];
+    if (this.#accept('/')) {
+      absolute = true;
+      const next = this.#peek();
+      if ((next.type === 'name') ||
+          ((next.type === 'op') && ['.', '..', '@'].includes(next.value))) {
+        steps.push(this.#step());
+      }
+    } else if (this.#isOp('//')) {
+      absolute = true;
+    } else {
+      steps.push(this.#step());
+    }
+    this.#relative(steps);
+    return ctx => applySteps(
+      [absolute ? rootNode(ctx.node) : ctx.node],
+      steps,
+      ctx.env
+    );
+  }
+
+  /**
+   * Add "/step" and "//step" to a list of steps.
+   *
+   * @param {Step[]} steps
+   */
+  #relative(steps) {
+    for (;;) {
+      if (this.#accept('/')) {
+        steps.push(this.#step());
+      } else if (this.#accept('//')) {
+        steps.push({
+          axis: 'descendant-or-self',
+          test: () => true,
+          predicates: [],
+        });
+        steps.push(this.#step());
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * @returns {Step}
+   */
+  #step() {
+    if (this.#accept('.')) {
+      return {axis: 'self', test: () => true, predicates: []};
+    }
+    if (this.#accept('..')) {
+      return {axis: 'parent', test: () => true, predicates: []};
+    }
+    let axis = 'child';
+    if (this.#accept('@')) {
+      axis = 'attribute';
+    } else if ((this.#peek().type === 'name') && this.#isOp('::', 1)) {
+      axis = this.#peek().value;
+      if (!Object.hasOwn(AXES, axis)) {
+        throw this.#error('Unknown axis');
+      }
+      this.#i += 2;
+    }
+    const test = this.#nodeTest(axis);
+
+    /** @type {Evaluator[]} */
+    const predicates = [];
+    while (this.#isOp('[')) {
+      predicates.push(this.#predicate());
+    }
+    return {axis, test, predicates};
+  }
+
+  /**
+   * @param {string} axis
+   * @returns {NodeTest}
+   */
+  #nodeTest(axis) {
+    const name = this.#expectType('name');
+    if (NODE_TYPES.has(name) && this.#accept('(')) {
+      /** @type {NodeTest} */
+      let test = () => true;
+      switch (name) {
+        case 'comment':
+          test = n => n.type === 'comment';
+          break;
+        case 'text':
+          test = isText;
+          break;
+        case 'processing-instruction':
+          if (this.#peek().type === 'str') {
+            const target = this.#expectType('str');
+            test = n => (n.type === 'processingInstruction') &&
+              (/** @type {XmlProcessingInstruction} */ (n).target === target);
+          } else {
+            test = n => n.type === 'processingInstruction';
+          }
+          break;
+      }
+      this.#expect(')');
+      return test;
+    }
+
+    /** @type {(n: XPathNode) => boolean} */
+    let principal = n => n instanceof XmlElement;
+    if (axis === 'attribute') {
+      principal = n => n instanceof XPathAttribute;
+    } else if (axis === 'namespace') {
+      principal = n => n instanceof XPathNamespace;
+    }
+    if (name === '*') {
+      return principal;
+    }
+    const colon = name.indexOf(':');
+    const prefix = (colon === -1) ? null : name.slice(0, colon);
+    const local = name.slice(colon + 1);
+    return (n, env) => {
+      const ns = prefix ? env.resolve(prefix) : '';
+      if (!principal(n)) {
+        return false;
+      }
+      const en = expandedName(n);
+      return ((local === '*') || (en.local === local)) && (en.ns === ns);
+    };
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #predicate() {
+    this.#expect('[');
+    const ret = this.#or();
+    this.#expect(']');
+    return ret;
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #primary() {
+    const tok = this.#peek();
+    if (tok.type === 'num') {
+      this.#i++;
+      const n = Number(tok.value);
+      return () => n;
+    }
+    if (tok.type === 'str') {
+      this.#i++;
+      return () => tok.value;
+    }
+    if (this.#accept('$')) {
+      const name = this.#expectType('name');
+      if (!Object.hasOwn(this.opts.variables, name)) {
+        throw new XPathError(
+          `Unknown variable "$${name}"`,
+          this.expression,
+          tok.offset
+        );
+      }
+      const value = this.opts.variables[name];
+      return () => value;
+    }
+    if (this.#accept('(')) {
+      const ret = this.#or();
+      this.#expect(')');
+      return ret;
+    }
+    return this.#functionCall();
+  }
+
+  /**
+   * @returns {Evaluator}
+   */
+  #functionCall() {
+    const tok = this.#peek();
+    const name = this.#expectType('name');
+    this.#expect('(');
+
+    /** @type {Evaluator[]} */
+    const args = [];
+    if (!this.#accept(')')) {
+      do {
+        args.push(this.#or());
+      } while (this.#accept(','));
+      this.#expect(')');
+    }
+
+    /** @type {XPathFunction} */
+    let fn = () => false;
+    if (Object.hasOwn(this.opts.functions, name)) {
+      fn = this.opts.functions[name];
+    } else if (Object.hasOwn(FUNCTIONS, name)) {
+      const [min, max, impl] = FUNCTIONS[name];
+      if ((args.length < min) || (args.length > max)) {
+        throw new XPathError(
+          `Wrong number of arguments for ${name}()`,
+          this.expression,
+          tok.offset
+        );
+      }
+      fn = impl;
+    } else {
+      throw new XPathError(
+        `Unknown function ${name}()`,
+        this.expression,
+        tok.offset
+      );
+    }
+    return ctx => fn(ctx, ...args.map(a => a(ctx)));
+  }
+}
+
+/**
+ * A compiled XPath 1.0 expression, which can be evaluated against trees
+ * from {@link DomBuilder} or {@link XmlParser.parseDocument}.
+ *
+ * @example
+ * const doc = XmlParser.parseDocument(xml);
+ * const titles = XPath.select('//a:entry/a:title', doc, {
+ *   namespaces: {a: 'http://www.w3.org/2005/Atom'},
+ * });
+ * const count = XPath.evaluate('count(//a:entry)', doc);
+ */
+export class XPath {
+  /**
+   * @type {Evaluator}
+   */
+  #evaluator;
+
+  /**
+   * @param {string} expression
+   * @param {XPathOptions} [opts]
+   * @throws {XPathError} Syntax error, unknown function or variable.
+   */
+  constructor(expression, opts = {}) {
+    this.expression = expression;
+
+    /** @type {Required<XPathOptions>} */
+    this.opts = {
+      namespaces: {},
+      variables: {},
+      functions: {},
+      ...opts,
+    };
+    this.#evaluator = new Compiler(expression, this.opts).compile();
+  }
+
+  /**
+   * Evaluate the expression.
+   *
+   * @param {XPathNode} context Context node, usually an
+   *   {@link XmlDocument} or {@link XmlElement}.
+   * @returns {XPathValue}
+   * @throws {XPathError} Unknown prefix, or wrong type.
+   */
+  evaluate(context) {
+    let node = context;
+
+    // Use the first node of a run of text.
+    while (isText(node)) {
+      const siblings = /** @type {XmlParentNode|null} */ (
+        parentNode(node)
+      )?.children;
+      const i = siblings?.indexOf(/** @type {XmlNode} */ (node)) ?? 0;
+      const prev = siblings?.[i - 1];
+      if (!prev || !isText(prev)) {
+        break;
+      }
+      node = prev;
+    }
+    const env = new Env(this.expression, this.opts, node);
+    return this.#evaluator({node, position: 1, size: 1, env});
+  }
+
+  /**
+   * Evaluate an expression that selects nodes.
+   *
+   * @param {XPathNode} context
+   * @returns {XPathNode[]} In document order.
+   * @throws {XPathError} The expression does not return a node-set.
+   */
+  select(context) {
+    const ret = this.evaluate(context);
+    if (!Array.isArray(ret)) {
+      throw new XPathError('Result is not a node-set', this.expression);
+    }
+    return ret;
+  }
+
+  /**
+   * Compile and evaluate an expression.
+   *
+   * @param {string} expression
+   * @param {XPathNode} context
+   * @param {XPathOptions} [opts]
+   * @returns {XPathValue}
+   * @throws {XPathError}
+   */
+  static evaluate(expression, context, opts) {
+    return new XPath(expression, opts).evaluate(context);
+  }
+
+  /**
+   * Compile and evaluate an expression that selects nodes.
+   *
+   * @param {string} expression
+   * @param {XPathNode} context
+   * @param {XPathOptions} [opts]
+   * @returns {XPathNode[]}
+   * @throws {XPathError}
+   */
+  static select(expression, context, opts) {
+    return new XPath(expression, opts).select(context);
+  }
+}
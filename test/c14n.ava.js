@@ -0,0 +1,243 @@
+import {C14N, Canonicalizer, XmlParser} from '../lib/index.js';
+import {joinBase} from '../lib/c14n.js';
+import test from 'ava';
+
+const c14n = XmlParser.canonicalize;
+
+// Examples from section 3 of the Canonical XML 1.0 recommendation.
+const PIS = `<?xml version="1.0"?>
+
+<?xml-stylesheet   href="doc.xsl"
+   type="text/xsl"   ?>
+
+<!DOCTYPE doc SYSTEM "doc.dtd">
+
+<doc>Hello, world!<!-- Comment 1 --></doc>
+
+<?pi-without-data     ?>
+
+<!-- Comment 2 -->
+
+<!-- Comment 3 -->
+`;
+
+const TAGS = `<!DOCTYPE doc [<!ATTLIST e9 attr CDATA "default">]>
+<doc>
+   <e1   />
+   <e2   ></e2>
+   <e3   name = "elem3"   id="elem3"   />
+   <e4   name="elem4"   id="elem4"   ></e4>
+   <e5 a:attr="out" b:attr="sorted" attr2="all" attr="I'm"
+      xmlns:b="http://www.ietf.org"
+      xmlns:a="http://www.w3.org"
+      xmlns="http://example.org"/>
+   <e6 xmlns="" xmlns:a="http://www.w3.org">
+      <e7 xmlns="http://www.ietf.org">
+         <e8 xmlns="" xmlns:a="http://www.w3.org">
+            <e9 xmlns="" xmlns:a="http://www.ietf.org"/>
+         </e8>
+      </e7>
+   </e6>
+</doc>`;
+
+const CHARS = `<!DOCTYPE doc [
+<!ATTLIST normId id ID #IMPLIED>
+<!ATTLIST normNames attr NMTOKENS #IMPLIED>
+]>
+<doc>
+   <text>First line&#x0d;&#10;Second line</text>
+   <value>&#x32;</value>
+   <compute><![CDATA[value>"0" && value<"10" ?"valid":"error"]]></compute>
+   <compute expr='value>"0" &amp;&amp; value&lt;"10" ?"valid":"error"'>valid</compute>
+   <norm attr=' &apos;   &#x20;&#13;&#xa;&#9;   &apos; '/>
+   <normNames attr='   A   &#x20;&#13;&#xa;&#9;   B   '/>
+   <normId id=' &apos;   &#x20;&#13;&#xa;&#9;   &apos; '/>
+</doc>`;
+
+// From the Exclusive XML Canonicalization recommendation.
+const NESTED = `<n0:local xmlns:n0="foo:bar" xmlns:n3="ftp://example.org">
+   <n1:elem2 xmlns:n1="http://example.net" xml:lang="en">
+       <n3:stuff xmlns:n3="ftp://example.org"/>
+   </n1:elem2>
+</n0:local>`;
+
+/**
+ * Select the first element with the given local name.
+ *
+ * @param {string} local
+ * @returns {import('../lib/c14n.js').ElementFilter}
+ */
+function named(local) {
+  return name => (name.includes('|') ? name.split('|')[1] : name) === local;
+}
+
+test('outside the document element', t => {
+  t.is(c14n(PIS), `<?xml-stylesheet href="doc.xsl"
+   type="text/xsl"   ?>
+<doc>Hello, world!</doc>
+<?pi-without-data?>`);
+  t.is(c14n(PIS, {algorithm: C14N.C14N_10_COMMENTS}), `<?xml-stylesheet href="doc.xsl"
+   type="text/xsl"   ?>
+<doc>Hello, world!<!-- Comment 1 --></doc>
+<?pi-without-data?>
+<!-- Comment 2 -->
+<!-- Comment 3 -->`);
+  t.is(
+    c14n('<!--a--><doc/>', {algorithm: C14N.EXC_C14N, withComments: true}),
+    '<!--a-->\n<doc></doc>'
+  );
+  t.is(
+    c14n('<!--a--><doc/>', {
+      algorithm: C14N.C14N_11_COMMENTS,
+      withComments: false,
+    }),
+    '<doc></doc>'
+  );
+});
+
+test('start and end tags', t => {
+  t.is(c14n(TAGS), `<doc>
+   <e1></e1>
+   <e2></e2>
+   <e3 id="elem3" name="elem3"></e3>
+   <e4 id="elem4" name="elem4"></e4>
+   <e5 xmlns="http://example.org" xmlns:a="http://www.w3.org" xmlns:b="http://www.ietf.org" attr="I'm" attr2="all" b:attr="sorted" a:attr="out"></e5>
+   <e6 xmlns:a="http://www.w3.org">
+      <e7 xmlns="http://www.ietf.org">
+         <e8 xmlns="">
+            <e9 xmlns:a="http://www.ietf.org" attr="default"></e9>
+         </e8>
+      </e7>
+   </e6>
+</doc>`);
+});
+
+test('character modifications', t => {
+  t.is(c14n(CHARS), `<doc>
+   <text>First line&#xD;
+Second line</text>
+   <value>2</value>
+   <compute>value&gt;"0" &amp;&amp; value&lt;"10" ?"valid":"error"</compute>
+   <compute expr="value>&quot;0&quot; &amp;&amp; value&lt;&quot;10&quot; ?&quot;valid&quot;:&quot;error&quot;">valid</compute>
+   <norm attr=" '    &#xD;&#xA;&#x9;   ' "></norm>
+   <normNames attr="A &#xD;&#xA;&#x9; B"></normNames>
+   <normId id="' &#xD;&#xA;&#x9; '"></normId>
+</doc>`);
+
+  // Sorted by code point, not UTF-16 code unit.
+  t.is(
+    c14n('<doc xmlns:x="urn:\u{10400}" xmlns:y="urn:\uFB00" x:a="1" y:a="2"/>'),
+    '<doc xmlns:x="urn:\u{10400}" xmlns:y="urn:\uFB00" y:a="2" x:a="1"></doc>'
+  );
+});
+
+test('exclusive', t => {
+  const select = named('elem2');
+  t.is(c14n(NESTED, {select}), `<n1:elem2 xmlns:n0="foo:bar" xmlns:n1="http://example.net" xmlns:n3="ftp://example.org" xml:lang="en">
+       <n3:stuff></n3:stuff>
+   </n1:elem2>`);
+  t.is(c14n(NESTED, {select, algorithm: C14N.EXC_C14N}), `<n1:elem2 xmlns:n1="http://example.net" xml:lang="en">
+       <n3:stuff xmlns:n3="ftp://example.org"></n3:stuff>
+   </n1:elem2>`);
+  t.is(c14n(NESTED, {
+    select,
+    algorithm: C14N.EXC_C14N,
+    inclusiveNamespaces: 'n0 n3',
+  }), `<n1:elem2 xmlns:n0="foo:bar" xmlns:n1="http://example.net" xmlns:n3="ftp://example.org" xml:lang="en">
+       <n3:stuff></n3:stuff>
+   </n1:elem2>`);
+
+  const def = '<a xmlns="urn:a" xmlns:b="urn:b"><b:c d="e"><f/></b:c></a>';
+  t.is(
+    c14n(def, {select: named('c'), algorithm: C14N.EXC_C14N}),
+    '<b:c xmlns:b="urn:b" d="e"><f xmlns="urn:a"></f></b:c>'
+  );
+  t.is(
+    c14n(def, {
+      select: named('c'),
+      algorithm: C14N.EXC_C14N,
+      inclusiveNamespaces: ['#default'],
+    }),
+    '<b:c xmlns="urn:a" xmlns:b="urn:b" d="e"><f></f></b:c>'
+  );
+  t.is(
+    c14n('<a xmlns="urn:a"><b xmlns=""/></a>', {algorithm: C14N.EXC_C14N}),
+    '<a xmlns="urn:a"><b xmlns=""></b></a>'
+  );
+});
+
+test('inherited xml attributes', t => {
+  const doc = `<a xml:lang="en" xml:space="preserve" xml:id="i" xml:base="http://example.com/x/">
+  <b xml:base="y/"><c xml:lang="fr" xml:base="z/../w">text</c></b>
+</a>`;
+  t.is(
+    c14n(doc, {select: named('c')}),
+    '<c xml:base="z/../w" xml:id="i" xml:lang="fr" xml:space="preserve">text</c>'
+  );
+  t.is(
+    c14n(doc, {select: named('c'), algorithm: C14N.C14N_11}),
+    '<c xml:base="http://example.com/x/y/w" xml:lang="fr" xml:space="preserve">text</c>'
+  );
+  t.is(
+    c14n(doc, {select: named('b'), algorithm: C14N.C14N_11}),
+    '<b xml:base="http://example.com/x/y/" xml:lang="en" xml:space="preserve"><c xml:base="z/../w" xml:lang="fr">text</c></b>'
+  );
+  t.is(
+    c14n(doc, {select: named('c'), algorithm: C14N.EXC_C14N}),
+    '<c xml:base="z/../w" xml:lang="fr">text</c>'
+  );
+});
+
+test('joinBase', t => {
+  t.is(joinBase('', 'a/b'), 'a/b');
+  t.is(joinBase('a/b', ''), 'a/b');
+  t.is(joinBase('a/b', 'urn:c'), 'urn:c');
+  t.is(joinBase('http://example.com/a/b', '../c'), 'http://example.com/c');
+  t.is(joinBase('a/b/', '../../../c'), '../c');
+  t.is(joinBase('../a/', './b/.'), '../a/b/');
+  t.is(joinBase('a/', '/b'), '/b');
+});
+
+test('enveloped signature', t => {
+  const doc = '<doc xmlns:ds="http://www.w3.org/2000/09/xmldsig#"><data>x</data><ds:Signature><ds:SignedInfo/></ds:Signature></doc>';
+  t.is(
+    c14n(doc, {exclude: named('Signature')}),
+    '<doc xmlns:ds="http://www.w3.org/2000/09/xmldsig#"><data>x</data></doc>'
+  );
+  t.is(
+    c14n(doc, {
+      algorithm: C14N.EXC_C14N,
+      exclude: named('Signature'),
+    }),
+    '<doc><data>x</data></doc>'
+  );
+  t.is(
+    c14n(doc, {select: named('data'), exclude: named('Signature')}),
+    '<data xmlns:ds="http://www.w3.org/2000/09/xmldsig#">x</data>'
+  );
+  t.is(c14n(doc, {select: named('missing')}), '');
+});
+
+test('Canonicalizer', t => {
+  const parser = new XmlParser();
+  const canon = new Canonicalizer(parser, {algorithm: C14N.EXC_C14N});
+  parser.parse('<a>é</a>');
+  parser.destroy();
+  t.deepEqual(
+    canon.toBytes(),
+    new Uint8Array([0x3c, 0x61, 0x3e, 0xc3, 0xa9, 0x3c, 0x2f, 0x61, 0x3e])
+  );
+
+  t.throws(() => new Canonicalizer(new XmlParser({
+    separator: XmlParser.NO_NAMESPACES,
+  })), {message: /namespace processing/});
+  t.throws(() => new Canonicalizer(new XmlParser(), {algorithm: 'foo'}), {
+    message: /Unknown canonicalization algorithm/,
+  });
+
+  const skipped = new XmlParser();
+  const sc = new Canonicalizer(skipped);
+  skipped.parse('<!DOCTYPE a SYSTEM "a.dtd"><a>&ent;</a>');
+  skipped.destroy();
+  t.throws(() => sc.toString(), {message: /Entity "ent"/});
+});
@@ -0,0 +1,153 @@
+import {XmlParser} from '../lib/index.js';
+import {createCatalogResolver} from '../lib/catalog.js';
+import path from 'node:path';
+import test from 'ava';
+import url from 'node:url';
+
+const __filename = url.fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixtures = url.pathToFileURL(path.join(__dirname, 'fixtures')).href;
+const catalog = path.join(__dirname, 'fixtures', 'catalog', 'catalog.xml');
+
+/**
+ * @param {import('../lib/index.js').ReadEntity} systemEntity
+ * @param {string} doctype
+ * @param {import('../lib/index.js').ParserOptions} [opts]
+ * @returns {string}
+ */
+function companyName(systemEntity, doctype, opts) {
+  const p = new XmlParser({...opts, systemEntity});
+  let text = '';
+  p.on('characterData', str => {
+    text += str;
+  });
+  p.parse(`<!DOCTYPE foo ${doctype}><foo>&CompanyName;</foo>`);
+  p.destroy();
+  return text;
+}
+
+test('createCatalogResolver', t => {
+  const resolve = createCatalogResolver(catalog);
+  const base = 'file:///somewhere/doc.xml';
+
+  /**
+   * @param {string|null} sys
+   * @param {string} [pub]
+   * @returns {string}
+   */
+  const where = (sys, pub) => {
+    const ent = /** @type {import('../lib/index.js').EntityInfo} */ (
+      resolve(base, sys, pub)
+    );
+    return ent.base;
+  };
+
+  t.is(where('foo.dtd', '-//Test//DTD  Address//EN'), `${fixtures}/address.dtd`);
+  t.is(where('http://example.com/address.dtd'), `${fixtures}/address.dtd`);
+  t.is(
+    where('http://example.com/rw/ent.dtd'),
+    `${fixtures}/catalog/ent.dtd`
+  );
+  t.is(where(null, '-//Test//DTD System Preferred//EN'), `${fixtures}/address.dtd`);
+  t.is(
+    where(null, '-//Delegated//DTD Entity//EN'),
+    `${fixtures}/catalog/ent.dtd`
+  );
+  t.is(
+    where('urn:publicid:-:Delegated:DTD+Entity:EN'),
+    `${fixtures}/catalog/ent.dtd`
+  );
+  t.is(where('http://example.com/uri.dtd'), `${fixtures}/address.dtd`);
+  t.is(where('http://example.com/a/suffix.dtd'), `${fixtures}/catalog/ent.dtd`);
+
+  // The group has prefer="system", so its public id is ignored.
+  t.throws(() => where('foo.dtd', '-//Test//DTD System Preferred//EN'), {
+    message: /No catalog entry/,
+  });
+  // Delegation that fails does not fall through.
+  t.throws(() => where(null, '-//Delegated//DTD Other//EN'), {
+    message: /No catalog entry/,
+  });
+
+  t.is(companyName(resolve, 'PUBLIC "-//Test//DTD Address//EN" "x.dtd"'), 'Liquid Technologies Ltd');
+  t.is(companyName(resolve, 'SYSTEM "http://example.com/rw/ent.dtd"'), 'Catalog Ltd');
+});
+
+test('createCatalogResolver options', t => {
+  const delegated = path.join(__dirname, 'fixtures', 'catalog', 'delegated.xml');
+  const doctype = 'PUBLIC "-//Delegated//DTD Entity//EN" "x.dtd"';
+  const resolve = createCatalogResolver([url.pathToFileURL(delegated)], {
+    fallback(base, systemId) {
+      return {base, data: `<!ENTITY CompanyName '${systemId}'>`};
+    },
+    prefer: 'system',
+  });
+  t.is(companyName(resolve, 'SYSTEM "other.dtd"'), 'other.dtd');
+  t.is(companyName(resolve, doctype), 'x.dtd');
+  t.is(companyName(createCatalogResolver(delegated), doctype), 'Catalog Ltd');
+
+  const rewrite = createCatalogResolver(catalog);
+  t.throws(() => rewrite('', 'http://example.com/rw/missing.dtd'), {
+    code: 'ENOENT',
+  });
+
+  t.throws(() => createCatalogResolver('missing.xml'), {code: 'ENOENT'});
+  t.throws(() => createCatalogResolver(path.join(__dirname, 'fixtures', 'address.dtd')));
+  t.throws(
+    () => createCatalogResolver(path.join(__dirname, 'fixtures', 'external.xml')),
+    {message: /Not an XML catalog/}
+  );
+});
+
+test('createCatalogResolver entityCache', t => {
+  const entityCache = new Map();
+  let refuse = false;
+  const fallback = Object.assign(
+    /** @type {import('../lib/index.js').ReadEntity} */ (_base, systemId) => ({
+      base: `${fixtures}/${systemId}`,
+      data: `<!ENTITY CompanyName '${systemId}'>`,
+    }),
+    {
+      check() {
+        if (refuse) {
+          throw new Error('Refused');
+        }
+      },
+    }
+  );
+  const resolve = createCatalogResolver(catalog, {fallback});
+  const other = 'SYSTEM "other.dtd"';
+  const address = 'SYSTEM "http://example.com/address.dtd"';
+  t.is(companyName(resolve, other, {entityCache}), 'other.dtd');
+  t.is(
+    companyName(resolve, address, {entityCache}),
+    'Liquid Technologies Ltd'
+  );
+  t.is(entityCache.size, 2);
+
+  // Only entities that came from the fallback are checked by it.
+  refuse = true;
+  t.is(
+    companyName(resolve, address, {entityCache}),
+    'Liquid Technologies Ltd'
+  );
+  t.throws(() => companyName(resolve, other, {entityCache}), {
+    message: 'Refused',
+  });
+});
+
+test('createCatalogResolver cycles', t => {
+  const resolve = createCatalogResolver(
+    path.join(__dirname, 'fixtures', 'catalog', 'cycle-a.xml')
+  );
+  const ent = /** @type {import('../lib/index.js').EntityInfo} */ (
+    resolve('', 'http://example.com/found.dtd')
+  );
+  t.is(ent.base, `${fixtures}/address.dtd`);
+  t.throws(() => resolve('', 'http://example.com/other.dtd'), {
+    message: /No catalog entry/,
+  });
+  t.throws(() => resolve('', 'http://example.com/loop/x.dtd'), {
+    message: /No catalog entry/,
+  });
+});
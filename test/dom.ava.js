@@ -0,0 +1,200 @@
+import {
+  DomBuilder,
+  XmlCdata,
+  XmlComment,
+  XmlElement,
+  XmlParseError,
+  XmlParser,
+  XmlProcessingInstruction,
+  XmlText,
+} from '../lib/index.js';
+import test from 'ava';
+
+test('parseDocument', t => {
+  const doc = XmlParser.parseDocument(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE x:foo SYSTEM "foo.dtd" [
+  <!-- Not in the tree -->
+  <?nor-this?>
+]>
+<?pi before?>
+<x:foo xmlns:x="urn:x" xmlns="urn:d" a="b" x:c="d" xml:lang="en">
+  <!--ack-->
+  <bar>one<![CDATA[<two>]]>three</bar>
+  <?pi inside?>
+  <baz xmlns="">four&amp;five</baz>
+</x:foo>`);
+
+  t.deepEqual(doc.xmlDecl, {
+    version: '1.0',
+    encoding: 'UTF-8',
+    standalone: false,
+  });
+  t.deepEqual(doc.doctype, {
+    name: 'x:foo',
+    systemId: 'foo.dtd',
+    publicId: null,
+  });
+  t.is(doc.parent, null);
+  t.is(doc.children.length, 2);
+  t.true(doc.children[0] instanceof XmlProcessingInstruction);
+
+  const foo = /** @type {XmlElement} */ (doc.root);
+  t.true(foo instanceof XmlElement);
+  t.is(foo.parent, doc);
+  t.is(foo.name, 'x:foo');
+  t.is(foo.local, 'foo');
+  t.is(foo.ns, 'urn:x');
+  t.is(foo.prefix, 'x');
+  t.deepEqual(foo.attributes, {'a': 'b', 'x:c': 'd', 'xml:lang': 'en'});
+  t.deepEqual(foo.namespaces, {'x': 'urn:x', '': 'urn:d'});
+  t.is(foo.getAttribute('a'), 'b');
+  t.is(foo.getAttribute('c'), null);
+  t.is(foo.getAttributeNS(null, 'a'), 'b');
+  t.is(foo.getAttributeNS('urn:x', 'c'), 'd');
+  t.is(foo.getAttributeNS('urn:d', 'c'), null);
+  t.is(foo.getAttributeNS(
+    'http://www.w3.org/XML/1998/namespace', 'lang'
+  ), 'en');
+
+  t.deepEqual(foo.children.map(c => c.type), [
+    'text',
+    'comment',
+    'text',
+    'element',
+    'text',
+    'processingInstruction',
+    'text',
+    'element',
+    'text',
+  ]);
+  t.true(foo.children[1] instanceof XmlComment);
+  t.is(/** @type {XmlComment} */ (foo.children[1]).value, 'ack');
+
+  const [bar, baz] = foo.elements;
+  t.is(bar.name, 'bar');
+  t.is(bar.ns, 'urn:d');
+  t.is(bar.prefix, null);
+  t.is(bar.lookupNamespaceURI(null), 'urn:d');
+  t.is(bar.lookupNamespaceURI('x'), 'urn:x');
+  t.is(bar.lookupNamespaceURI('y'), null);
+  t.deepEqual(bar.children.map(c => c.constructor), [
+    XmlText,
+    XmlCdata,
+    XmlText,
+  ]);
+  t.is(bar.text, 'one<two>three');
+
+  t.is(baz.ns, null);
+  t.is(baz.lookupNamespaceURI(''), null);
+  t.is(baz.children.length, 1);
+  t.is(baz.text, 'four&five');
+
+  const [,,,,, pi] = /** @type {XmlProcessingInstruction[]} */ (foo.children);
+  t.is(pi.target, 'pi');
+  t.is(pi.data, 'inside');
+
+  t.is(foo.text.trim().replace(/\s+/g, ' '), 'one<two>three four&five');
+  t.notThrows(() => JSON.stringify(doc));
+});
+
+test('parseDocument options', t => {
+  const doc = XmlParser.parseDocument('<a:foo xmlns:a="urn:a"><bar/></a:foo>', {
+    separator: XmlParser.NO_NAMESPACES,
+  });
+  t.is(doc.root?.name, 'a:foo');
+  t.is(doc.root?.ns, null);
+  t.deepEqual(doc.root?.attributes, {'xmlns:a': 'urn:a'});
+  t.is(doc.xmlDecl, null);
+  t.is(doc.doctype, null);
+
+  const pos = XmlParser.parseDocument('<foo>\n  <bar>text</bar><![CDATA[]]></foo>', {
+    positions: true,
+  });
+  const foo = /** @type {XmlElement} */ (pos.root);
+  t.is(pos.position, undefined);
+  t.deepEqual(foo.position, {
+    line: 1,
+    column: 0,
+    byteOffset: 0,
+    byteCount: 5,
+  });
+  t.deepEqual(foo.children[0].position, {
+    line: 1,
+    column: 5,
+    byteOffset: 5,
+    byteCount: 3,
+  });
+  t.deepEqual(foo.children[1].position, {
+    line: 2,
+    column: 2,
+    byteOffset: 8,
+    byteCount: 5,
+  });
+  t.deepEqual(foo.elements[0].children[0].position, {
+    line: 2,
+    column: 7,
+    byteOffset: 13,
+    byteCount: 4,
+  });
+  t.is(foo.children[2].type, 'cdata');
+  t.is(/** @type {XmlCdata} */ (foo.children[2]).value, '');
+});
+
+test('parseDocument errors', t => {
+  t.throws(() => XmlParser.parseDocument('<foo>'), {
+    instanceOf: XmlParseError,
+  });
+  t.throws(() => XmlParser.parseDocument(
+    '<!DOCTYPE foo SYSTEM "foo.dtd"><foo/>',
+    {
+      systemEntity() {
+        throw new Error('Intentional error');
+      },
+    }
+  ), {instanceOf: XmlParseError});
+});
+
+test('parseDocument __proto__', t => {
+  const doc = XmlParser.parseDocument(`<!DOCTYPE __proto__ [
+<!ATTLIST __proto__ __proto__ ID #IMPLIED>
+]>
+<__proto__ __proto__="a" xmlns:__proto__="urn:p"><__proto__:b/></__proto__>`);
+  const el = /** @type {XmlElement} */ (doc.root);
+  t.is(Object.getPrototypeOf(el.attributes), Object.prototype);
+  t.deepEqual(Object.keys(el.attributes), ['__proto__']);
+  t.is(el.getAttribute('__proto__'), 'a');
+  t.deepEqual(Object.entries(el.namespaces), [['__proto__', 'urn:p']]);
+  t.deepEqual(Object.entries(doc.namespaces), [['__proto__', 'urn:p']]);
+  t.deepEqual(Object.entries(doc.idAttributes), [['__proto__', '__proto__']]);
+  const [b] = el.elements;
+  t.is(b.ns, 'urn:p');
+});
+
+test('deep text', t => {
+  const depth = 20000;
+  const doc = XmlParser.parseDocument(
+    `${'<a>'.repeat(depth)}text${'</a>'.repeat(depth)}`
+  );
+  t.is(doc.text, 'text');
+});
+
+test('DomBuilder', t => {
+  const parser = new XmlParser();
+  const builder = new DomBuilder(parser);
+  for (const chunk of ['<foo>b', 'ar<b', 'az/>', 'qu', 'ux</foo>']) {
+    parser.parse(chunk, 0);
+  }
+  parser.parse('', 1);
+  parser.destroy();
+
+  const foo = /** @type {XmlElement} */ (builder.document.root);
+  t.is(foo.children.length, 3);
+  t.is(/** @type {XmlText} */ (foo.children[0]).value, 'bar');
+  t.is(/** @type {XmlText} */ (foo.children[2]).value, 'quux');
+  t.is(foo.elements[0].parent, foo);
+
+  const el = new XmlElement('foo');
+  t.is(el.parent, null);
+  t.is(el.appendChild(new XmlText('bar')).parent, el);
+  t.is(el.text, 'bar');
+});
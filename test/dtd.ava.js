@@ -0,0 +1,148 @@
+import {
+  AttributeDefault,
+  AttributeType,
+  ContentQuant,
+  ContentType,
+  DtdCollector,
+  XmlParser,
+  serializeContentModel,
+} from '../lib/index.js';
+import test from 'ava';
+
+const DTD = `<!DOCTYPE a SYSTEM "a.dtd" [
+<!ELEMENT a (b|c)*>
+<!ELEMENT b (#PCDATA)>
+<!ELEMENT c (#PCDATA|b|d)*>
+<!ELEMENT d (b, (c|e)+, f?)>
+<!ENTITY % pe "<!ELEMENT e EMPTY>">
+%pe;
+<!ATTLIST a
+  x CDATA #IMPLIED
+  y (one|two) "one"
+  z NOTATION (gif) #REQUIRED
+  w CDATA #FIXED "f&amp;x">
+<!ATTLIST a x CDATA "dup">
+<!ATTLIST g id ID #REQUIRED>
+<!NOTATION gif SYSTEM "image/gif">
+<!NOTATION pub PUBLIC "-//P//EN">
+<!ENTITY foo "a &#38;#60; &amp; &#37; 'q' &#34;">
+<!ENTITY foo "dup">
+<!ENTITY ext SYSTEM "ext.xml">
+<!ENTITY img SYSTEM 'i".gif' NDATA gif>
+<!ENTITY pubent PUBLIC "-//X//EN" "x.ent">
+]>`;
+
+/**
+ * @param {string} doc
+ * @returns {import('../lib/dtd.js').Dtd}
+ */
+function collect(doc) {
+  const parser = new XmlParser({
+    // The external subset.
+    systemEntity: (_base, systemId) => ({
+      base: `file:///${systemId}`,
+      data: '<!ELEMENT f ANY>',
+    }),
+  });
+  const collector = new DtdCollector(parser);
+  parser.parse(doc);
+  parser.destroy();
+  return collector.dtd;
+}
+
+test('DtdCollector', t => {
+  const dtd = collect(`${DTD}<a/>`);
+  t.is(dtd.name, 'a');
+  t.is(dtd.systemId, 'a.dtd');
+  t.is(dtd.publicId, null);
+
+  t.deepEqual(dtd.elements.a.content, {
+    type: ContentType.CHOICE,
+    quant: ContentQuant.REP,
+    children: [
+      {type: ContentType.NAME, quant: ContentQuant.NONE, name: 'b', children: []},
+      {type: ContentType.NAME, quant: ContentQuant.NONE, name: 'c', children: []},
+    ],
+  });
+  t.is(dtd.elements.b.content.type, ContentType.MIXED);
+  t.is(dtd.elements.e.content.type, ContentType.EMPTY);
+  t.is(dtd.elements.f.content.type, ContentType.ANY);
+  t.is(serializeContentModel(dtd.elements.d.content), '(b,(c|e)+,f?)');
+
+  const {x, y, z, w} = dtd.attributes.a;
+  t.is(x.defaultType, AttributeDefault.IMPLIED);
+  t.is(x.value, null);
+  t.is(y.type, AttributeType.ENUMERATION);
+  t.deepEqual(y.values, ['one', 'two']);
+  t.is(y.defaultType, AttributeDefault.DEFAULT);
+  t.is(y.value, 'one');
+  t.is(z.type, AttributeType.NOTATION);
+  t.deepEqual(z.values, ['gif']);
+  t.is(z.defaultType, AttributeDefault.REQUIRED);
+  t.is(w.defaultType, AttributeDefault.FIXED);
+  t.is(w.value, 'f&x');
+  t.is(dtd.attributes.g.id.type, AttributeType.ID);
+  t.is(dtd.elements.g, undefined);
+
+  t.is(dtd.entities.foo.value, 'a &#60; &amp; % \'q\' "');
+  t.is(dtd.entities.img.notation, 'gif');
+  t.is(dtd.entities.pubent.publicId, '-//X//EN');
+  t.is(dtd.parameterEntities.pe.value, '<!ELEMENT e EMPTY>');
+  t.is(dtd.notations.pub.systemId, null);
+  t.is(dtd.notations.pub.publicId, '-//P//EN');
+});
+
+test('Dtd toString', t => {
+  const str = collect(`${DTD}<a/>`).toString();
+  t.is(str, `<!ENTITY % pe "<!ELEMENT e EMPTY>">
+<!ENTITY foo "a &#38;#60; &amp; &#37; 'q' &#34;">
+<!ENTITY ext SYSTEM "ext.xml">
+<!ENTITY img SYSTEM 'i".gif' NDATA gif>
+<!ENTITY pubent PUBLIC "-//X//EN" "x.ent">
+<!NOTATION gif SYSTEM "image/gif">
+<!NOTATION pub PUBLIC "-//P//EN">
+<!ELEMENT a (b|c)*>
+<!ATTLIST a
+  x CDATA #IMPLIED
+  y (one|two) "one"
+  z NOTATION (gif) #REQUIRED
+  w CDATA #FIXED "f&amp;x"
+>
+<!ELEMENT b (#PCDATA)>
+<!ELEMENT c (#PCDATA|b|d)*>
+<!ELEMENT d (b,(c|e)+,f?)>
+<!ELEMENT e EMPTY>
+<!ELEMENT f ANY>
+<!ATTLIST g
+  id ID #REQUIRED
+>
+`);
+
+  // Round trip.
+  const again = collect(`<!DOCTYPE a [\n${str}]><a/>`);
+  t.is(again.systemId, null);
+  t.is(again.toString(), str);
+  t.is(again.entities.foo.value, 'a &#60; &amp; % \'q\' "');
+});
+
+test('empty defaults', t => {
+  const dtd = collect(`<!DOCTYPE a [
+<!ATTLIST a
+  d CDATA ""
+  f CDATA #FIXED ""
+  r CDATA #REQUIRED>
+]><a r="1"/>`);
+  const {d, f, r} = dtd.attributes.a;
+  t.is(d.defaultType, AttributeDefault.DEFAULT);
+  t.is(d.value, '');
+  t.is(f.defaultType, AttributeDefault.FIXED);
+  t.is(f.value, '');
+  t.is(r.defaultType, AttributeDefault.REQUIRED);
+  t.is(r.value, null);
+  t.is(dtd.toString(), `<!ATTLIST a
+  d CDATA ""
+  f CDATA #FIXED ""
+  r CDATA #REQUIRED
+>
+`);
+});
@@ -1,6 +1,6 @@
+import {XmlParseError, XmlParser} from '../lib/index.js';
 import {Buffer} from 'node:buffer';
 import {ParseStream} from './stream.js';
-import XmlParser from '../lib/index.js';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import test from 'ava';
@@ -122,6 +122,93 @@ test('encoding', t => {
   q.destroy();
 });
 
+test('unknown encoding', t => {
+  const koi8 = Buffer.from('<?xml version="1.0" encoding="KOI8-R"?><a>\xf0\xd2\xc9\xd7\xc5\xd4</a>', 'latin1');
+  const p = new XmlParser({unknownEncoding: true});
+  const ps = new ParseStream(p);
+  p.parse(koi8);
+  t.deepEqual(ps.events.slice(1), [
+    ['startElement', 'a', {}],
+    ['characterData', 'Привет'],
+    ['endElement', 'a'],
+  ]);
+
+  // Multi-byte, and survives reset.
+  ps.events = [];
+  p.parse(Buffer.from('<?xml version="1.0" encoding="Shift_JIS"?><a>\x82\xa0\x82\xa2</a>', 'latin1'));
+  t.deepEqual(ps.events.slice(2, -1), [
+    ['characterData', 'あい'],
+  ]);
+
+  t.throws(() => p.parse('<?xml version="1.0" encoding="bogus"?><a/>'), {
+    instanceOf: XmlParseError,
+    message: /unknown encoding/,
+  });
+  p.destroy();
+
+  // Encoding option
+  const q = new XmlParser({
+    encoding: 'ISO-8859-15',
+    unknownEncoding: true,
+  });
+  const qs = new ParseStream(q);
+  q.parse(Buffer.from('<a>\xa4</a>', 'latin1'));
+  t.deepEqual(qs.events[1], ['characterData', '€']);
+  q.destroy();
+
+  // Not enabled
+  const r = new XmlParser();
+  t.throws(() => r.parse(koi8), {message: /unknown encoding/});
+  r.destroy();
+
+  // Custom
+  const rot = {
+    map: Array.from({length: 256}, (_, i) => i),
+    convert() {
+      return -1;
+    },
+  };
+  rot.map[0x80] = 0x263A;
+  rot.map[0x81] = -2;
+  const u = new XmlParser({
+    unknownEncoding(name) {
+      if (name === 'smiley') {
+        return rot;
+      }
+      if (name === 'throws') {
+        throw new Error('Intentional error');
+      }
+      return null;
+    },
+  });
+  const us = new ParseStream(u);
+  u.parse(Buffer.from('<?xml version="1.0" encoding="smiley"?><a>\x80</a>', 'latin1'));
+  t.deepEqual(us.events[2], ['characterData', '☺']);
+  t.throws(() => u.parse(Buffer.from('<?xml version="1.0" encoding="smiley"?><a>\x81\x81</a>', 'latin1')));
+  t.throws(() => u.parse('<?xml version="1.0" encoding="other"?><a/>'));
+  let er = null;
+  u.on('error', e => (er = e));
+  t.throws(() => u.parse('<?xml version="1.0" encoding="throws"?><a/>'));
+  t.is(er?.message, 'Intentional error');
+  u.destroy();
+});
+
+test('decoderEncoding', t => {
+  const iso = XmlParser.decoderEncoding('ISO-8859-15');
+  t.is(iso?.map[0xA4], 0x20AC);
+  t.is(iso?.map[0x41], 0x41);
+  t.is(XmlParser.decoderEncoding('iso-8859-15'), iso);
+
+  const jis = XmlParser.decoderEncoding('EUC-JP');
+  t.is(jis?.map[0xA4], -2);
+  t.is(jis?.map[0x8F], -3);
+  t.is(jis?.convert?.(Uint8Array.of(0xA4, 0xA2)), 0x3042);
+  t.is(jis?.convert?.(Uint8Array.of(0xA4, 0x01)), -1);
+
+  t.is(XmlParser.decoderEncoding('UTF-16LE'), null);
+  t.is(XmlParser.decoderEncoding('bogus'), null);
+});
+
 test('separator', t => {
   t.throws(() => new XmlParser(null, Symbol('wrong')));
   const p = new XmlParser(null, ',');
@@ -227,6 +314,117 @@ test('base', async t => {
   q.destroy();
 });
 
+test('async systemEntity', async t => {
+  const external = await fs.readFile(path.join(__dirname, 'fixtures', 'external.xml'));
+  const doc = `<!DOCTYPE foo [
+  <!ENTITY chap SYSTEM "chap.xml">
+  <!ENTITY inner SYSTEM "inner.xml">
+]>
+<foo>&chap;<bar/></foo>`;
+
+  /**
+   * @param {import('../lib/index.js').ReadEntity} systemEntity
+   */
+  function create(systemEntity) {
+    return new XmlParser({
+      base: 'file:///fixtures/doc.xml',
+      systemEntity,
+    });
+  }
+
+  /**
+   * @param {string} base
+   * @param {string|null} sysId
+   * @param {string} data
+   * @returns {import('../lib/index.js').EntityInfo}
+   */
+  function entity(base, sysId, data) {
+    return {base: new URL(String(sysId), base).toString(), data};
+  }
+
+  const p = create((base, sysId) => entity(base, sysId, '<chap>One</chap>'));
+  const ps = new ParseStream(p);
+  p.parse(doc);
+  p.destroy();
+
+  const q = create(async (base, sysId) => {
+    await new Promise(resolve => {
+      setTimeout(resolve, 1);
+    });
+    return entity(base, sysId, '<chap>One</chap>');
+  });
+  const qs = new ParseStream(q);
+  t.is(await q.parseAsync(doc), 1);
+  t.deepEqual(qs.events, ps.events);
+  t.is(q.status, 'initialized');
+
+  // Synchronous parse gets suspended.
+  t.is(q.parse(doc), 2);
+  t.throws(() => q.resume());
+  q.reset();
+  q.destroy();
+
+  const r = create(() => Promise.reject(new Error('Intentional error')));
+  await t.throwsAsync(() => r.parseAsync(doc), {
+    message: 'Intentional error',
+  });
+  t.is(r.status, 'initialized');
+
+  // Destroyed while waiting
+  let w = r.parseAsync(doc);
+  r.destroy();
+  await t.throwsAsync(w);
+
+  const b = create((base, sysId) => Promise.resolve(
+    entity(base, sysId, '<chap>')
+  ));
+  await t.throwsAsync(() => b.parseAsync(doc), {
+    instanceOf: XmlParseError,
+  });
+
+  // Destroyed while waiting, after the entity is read.
+  w = b.parseAsync(doc);
+  b.destroy();
+  await t.throwsAsync(w, {message: 'Invalid state'});
+
+  const eepc = XmlParser.XML_ExternalEntityParserCreate;
+  XmlParser.XML_ExternalEntityParserCreate = () => 0;
+  const m = create((base, sysId) => Promise.resolve(
+    entity(base, sysId, '<chap>One</chap>')
+  ));
+  let er = null;
+  m.on('error', e => (er = e));
+  await t.throwsAsync(() => m.parseAsync(doc));
+  t.is(er?.message, 'Out of memory');
+  m.destroy();
+  // eslint-disable-next-line require-atomic-updates
+  XmlParser.XML_ExternalEntityParserCreate = eepc;
+
+  const n = create((base, sysId) => Promise.resolve(
+    entity(base, sysId, (sysId === 'chap.xml') ? '<chap>&inner;</chap>' : '<i/>')
+  ));
+  n.on('error', e => (er = e));
+  await t.throwsAsync(() => n.parseAsync(doc));
+  t.is(er?.message, 'Nested external entities must be read synchronously');
+  n.destroy();
+
+  // The external DTD subset is a parameter entity, which expat needs to
+  // read before the handler returns.
+  const d = create((base, sysId) => Promise.resolve(
+    entity(base, sysId, '<!ENTITY CompanyName "Async">')
+  ));
+  d.on('error', e => (er = e));
+  await t.throwsAsync(() => d.parseAsync(external), {
+    instanceOf: XmlParseError,
+  });
+  t.is(
+    er?.message,
+    'External parameter entities, including the DTD, must be read synchronously'
+  );
+  t.is(d.status, 'initialized');
+  d.destroy();
+});
+
 test('stop parser', t => {
   const p = new XmlParser();
   const ps = new ParseStream(p);
@@ -240,6 +438,64 @@ test('stop parser', t => {
   t.throws(() => q.stop());
 });
 
+test('pause and resume', t => {
+  const p = new XmlParser();
+  const ps = new ParseStream(p);
+  t.is(p.status, 'initialized');
+  p.on('startElement', name => {
+    if (name === 'bar') {
+      t.is(p.status, 'parsing');
+      p.pause();
+    }
+  });
+  t.is(p.parse('<foo><bar/><baz/></foo>'), 2);
+  t.is(p.status, 'suspended');
+  t.deepEqual(ps.events, [
+    ['startElement', 'foo', {}],
+    ['startElement', 'bar', {}],
+    ['endElement', 'bar'], // Expat delivers this before suspending
+  ]);
+  t.throws(() => p.parse('<foo/>'));
+  t.is(p.resume(), 1);
+  t.is(p.status, 'initialized');
+  t.deepEqual(ps.events.slice(3), [
+    ['startElement', 'baz', {}],
+    ['endElement', 'baz'],
+    ['endElement', 'foo'],
+  ]);
+  t.throws(() => p.resume());
+
+  // Input that was not yet passed to expat when suspended.
+  const cs = XmlParser.CHUNK_SIZE;
+  XmlParser.CHUNK_SIZE = 4;
+  ps.events = [];
+  t.is(p.parse('<foo><bar/><bar/>', 0), 2);
+  t.is(ps.events.length, 3);
+  t.is(p.resume(), 2);
+  t.is(ps.events.length, 5);
+  t.is(p.resume(), 1);
+  t.is(p.status, 'parsing');
+  t.is(p.parse('</foo>'), 1);
+  XmlParser.CHUNK_SIZE = cs;
+  t.deepEqual(ps.events.map(([e]) => e), [
+    'startElement',
+    'startElement',
+    'endElement',
+    'startElement',
+    'endElement',
+    'endElement',
+  ]);
+
+  // Error after resume
+  t.is(p.parse('<foo><bar/></baz>'), 2);
+  t.throws(() => p.resume(), {instanceOf: XmlParseError});
+  t.is(p.status, 'initialized');
+
+  p.destroy();
+  t.throws(() => p.status);
+  t.throws(() => p.resume());
+});
+
 test('double destroy', t => {
   const p = new XmlParser();
   const ps = new ParseStream(p);
@@ -259,3 +515,527 @@ test('XML_SetBase', t => {
   t.throws(() => new XmlParser({base: 'foo'}));
   XmlParser.XML_SetBase = sb;
 });
+
+test('reset', t => {
+  const p = new XmlParser({base: 'file:///x'});
+  const q = new XmlParser();
+  const ps = new ParseStream(p);
+  const qs = new ParseStream(q);
+  p.parse('<a/>');
+  p.reset();
+  p.parse('<b/>');
+  t.is(qs.events.length, 0);
+  t.deepEqual(ps.events.map(([e, n]) => `${e} ${n}`), [
+    'startElement a',
+    'endElement a',
+    'startElement b',
+    'endElement b',
+  ]);
+  t.is(XmlParser.XML_GetBase(/** @type {number} */ (p.parser)), 'file:///x');
+  p.destroy();
+  q.destroy();
+});
+
+test('amplification limits', t => {
+  const lol = `<!DOCTYPE lolz [
+  <!ENTITY lol "lollollollollollollollollollol">
+  <!ENTITY lol1 "&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;">
+  <!ENTITY lol2 "&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;">
+]>
+<lolz>&lol2;</lolz>`;
+
+  // Under the default threshold of 8MiB
+  let p = new XmlParser();
+  t.is(p.parse(lol), 1);
+  p.destroy();
+
+  p = new XmlParser({
+    maxAmplification: 2,
+    amplificationThreshold: 1024,
+  });
+  t.throws(() => p.parse(lol), {
+    instanceOf: XmlParseError,
+    message: /amplification/,
+  });
+  try {
+    p.parse(lol);
+  } catch (e) {
+    t.is(/** @type {XmlParseError} */ (e).code,
+      XmlParseError.AMPLIFICATION_LIMIT_BREACH);
+  }
+
+  // Limits survive reset()
+  p.reset();
+  t.throws(() => p.parse(lol), {instanceOf: XmlParseError});
+  p.destroy();
+
+  p = new XmlParser({
+    maxAllocAmplification: 1,
+    allocThreshold: 0,
+  });
+  t.throws(() => p.parse('<foo/>'), {instanceOf: XmlParseError});
+  try {
+    p.parse('<foo/>');
+  } catch (e) {
+    t.is(/** @type {XmlParseError} */ (e).code, XmlParseError.NO_MEMORY);
+  }
+  p.destroy();
+
+  t.throws(() => new XmlParser({maxAmplification: 0.5}), {
+    message: /maxAmplification/,
+  });
+  t.throws(() => new XmlParser({maxAllocAmplification: 0.5}), {
+    message: /maxAllocAmplification/,
+  });
+
+  p = new XmlParser({maxAllocBytes: 0});
+  try {
+    p.parse('<foo/>');
+    t.fail('maxAllocBytes not enforced');
+  } catch (e) {
+    t.is(/** @type {XmlParseError} */ (e).code, XmlParseError.NO_MEMORY);
+  }
+  p.destroy();
+
+  p = new XmlParser({maxAllocBytes: 0x1000000});
+  t.is(p.parse('<foo/>'), 1);
+  p.destroy();
+
+  t.throws(() => new XmlParser({maxAllocBytes: 1, allocThreshold: 1}), {
+    message: /maxAllocBytes or allocThreshold/,
+  });
+  t.throws(() => new XmlParser({maxAllocBytes: -1}), {
+    message: /Invalid maxAllocBytes/,
+  });
+});
+
+test('hashSalt', t => {
+  const p = new XmlParser({hashSalt: 0x1234});
+  const ps = new ParseStream(p);
+  p.parse('<foo a="1" b="2"/>');
+  p.reset();
+  p.parse('<foo a="1" b="2"/>');
+  t.deepEqual(ps.events.slice(0, 2), ps.events.slice(2));
+  p.destroy();
+
+  t.throws(() => new XmlParser({hashSalt: -1}), {message: /hashSalt/});
+  t.throws(() => new XmlParser({hashSalt: 1.5}), {message: /hashSalt/});
+  t.throws(() => new XmlParser({hashSalt: 2 ** 32}), {message: /hashSalt/});
+});
+
+test('reparseDeferral', t => {
+  const p = new XmlParser({reparseDeferral: false});
+  const ps = new ParseStream(p);
+  p.parse('<foo>', 0);
+  t.is(ps.events.length, 1);
+  for (const c of '<bar a="') {
+    p.parse(c, 0);
+  }
+  for (const c of 'x'.repeat(100)) {
+    p.parse(c, 0);
+  }
+  t.is(ps.events.length, 1);
+  p.parse('"/>', 0);
+  t.deepEqual(ps.events.slice(1), [
+    ['startElement', 'bar', {a: 'x'.repeat(100)}],
+    ['endElement', 'bar'],
+  ]);
+  p.parse('</foo>');
+  p.destroy();
+});
+
+test('positions', t => {
+  const p = new XmlParser({
+    positions: true,
+    systemEntity(base, sysId) {
+      return {
+        base: new URL(sysId, base).toString(),
+        data: '<!ENTITY e "ent">\n<!--in dtd-->',
+      };
+    },
+    base: 'file:///fixtures/positions.xml',
+  });
+  const ps = new ParseStream(p);
+  const stars = [];
+  p.on('*', (...args) => stars.push(args));
+  p.parse('<!DOCTYPE foo SYSTEM "foo.dtd">\n<foo a="b">\n  bar&e;</foo>');
+  p.destroy();
+
+  t.deepEqual(ps.events.find(([e]) => e === 'comment'), ['comment', 'in dtd', {
+    line: 2,
+    column: 0,
+    byteOffset: 18,
+    byteCount: 13,
+  }]);
+  t.deepEqual(ps.events.find(([e]) => e === 'startElement'), [
+    'startElement',
+    'foo',
+    {a: 'b'},
+    {line: 2, column: 0, byteOffset: 32, byteCount: 11},
+  ]);
+  t.deepEqual(ps.events.filter(([e]) => e === 'characterData'), [
+    ['characterData', '\n', {
+      line: 2,
+      column: 11,
+      byteOffset: 43,
+      byteCount: 1,
+    }],
+    ['characterData', '  bar', {
+      line: 3,
+      column: 0,
+      byteOffset: 44,
+      byteCount: 5,
+    }],
+    ['characterData', 'ent', {
+      line: 3,
+      column: 5,
+      byteOffset: 49,
+      byteCount: 0,
+    }],
+  ]);
+  t.deepEqual(ps.events.find(([e]) => e === 'endElement'), [
+    'endElement',
+    'foo',
+    {line: 3, column: 8, byteOffset: 52, byteCount: 6},
+  ]);
+  t.deepEqual(stars.at(-1), ['destroy', true]);
+  t.deepEqual(stars.length, ps.events.length);
+});
+
+test('error context', t => {
+  const p = new XmlParser();
+  const err = t.throws(() => p.parse('<foo>\n\t<bar></baz>\n</foo>'), {
+    instanceOf: XmlParseError,
+  });
+  t.is(err.line, 2);
+  t.is(err.context, '\t<bar></baz>');
+  t.is(err.contextOffset, 8);
+  t.is(err.codeFrame, '2 | \t<bar></baz>\n  | \t       ^');
+  t.is(String(err), `Error: XML Parse Error: "mismatched tag"
+2 | \t<bar></baz>
+  | \t       ^`);
+
+  const long = `<foo>${'a'.repeat(200)}&;${'b'.repeat(200)}</foo>`;
+  const err2 = t.throws(() => p.parse(long), {instanceOf: XmlParseError});
+  t.is(err2.context, long);
+  t.is(err2.contextOffset, 206);
+  t.is(err2.codeFrame, `1 | …${'a'.repeat(59)}&;${'b'.repeat(59)}…
+  | ${' '.repeat(61)}^`);
+
+  // Context is decoded with the encoding of the input.
+  const latin1 = t.throws(() => p.parse(Buffer.from(
+    '<?xml version="1.0" encoding="ISO-8859-1"?>\n<a>\xe9<b></a>', 'latin1'
+  )), {instanceOf: XmlParseError});
+  t.is(latin1.context, '<a>\xe9<b></a>');
+  t.is(latin1.contextOffset, 9);
+  p.destroy();
+
+  const utf16 = new XmlParser({encoding: 'UTF-16'});
+  const err3 = t.throws(() => utf16.parse('<a>\xe9<b></a>'), {
+    instanceOf: XmlParseError,
+  });
+  t.is(err3.context, '<a>\xe9<b></a>');
+  t.is(err3.contextOffset, 9);
+  utf16.destroy();
+
+  const be = new XmlParser();
+  const err4 = t.throws(
+    () => be.parse(Buffer.from('\ufeff<a>\xe9<b></a>', 'utf16le').swap16()),
+    {instanceOf: XmlParseError}
+  );
+  t.is(err4.context, '<a>\xe9<b></a>');
+  t.is(err4.contextOffset, 9);
+  be.destroy();
+});
+
+test('recover', t => {
+  const p = new XmlParser({recover: true});
+  const events = [];
+  const diags = [];
+  p.on('*', (name, ...args) => {
+    if (name === 'diagnostic') {
+      diags.push(args[0]);
+    } else if (name.endsWith('Element')) {
+      events.push(`${name}:${args[0]}`);
+    }
+  });
+  p.parse('<a>\n<b>text</c>\n  <d/></b></a>');
+  t.deepEqual(events, [
+    'startElement:a',
+    'startElement:b',
+    'startElement:d',
+    'endElement:d',
+    'endElement:b',
+    'endElement:a',
+  ]);
+  t.is(p.diagnostics.length, 1);
+  t.is(diags[0], p.diagnostics[0]);
+  t.true(p.diagnostics[0] instanceof XmlParseError);
+  t.is(p.diagnostics[0].xmlMessage, 'mismatched tag');
+  t.is(p.diagnostics[0].line, 2);
+  t.is(p.diagnostics[0].column, 9);
+  t.is(p.diagnostics[0].byteOffset, 13);
+
+  // Unclosed elements are closed at the end.
+  events.length = 0;
+  p.parse('<a><b>one & two');
+  t.deepEqual(events, [
+    'startElement:a',
+    'startElement:b',
+    'endElement:b',
+    'endElement:a',
+  ]);
+  t.is(p.diagnostics.length, 1);
+  t.is(p.diagnostics[0].xmlMessage, 'not well-formed (invalid token)');
+
+  // A new root element after the first one.
+  events.length = 0;
+  p.parse('<a/><b/>');
+  t.deepEqual(events, [
+    'startElement:a',
+    'endElement:a',
+    'startElement:b',
+    'endElement:b',
+  ]);
+  t.is(p.diagnostics.length, 1);
+  t.is(p.diagnostics[0].code, XmlParseError.JUNK_AFTER_DOC_ELEMENT);
+
+  // Namespaces stay in scope.
+  events.length = 0;
+  p.parse('<a xmlns="urn:x"><b>&bad;</b><c/></a>');
+  t.deepEqual(events, [
+    'startElement:urn:x|a',
+    'startElement:urn:x|b',
+    'endElement:urn:x|b',
+    'startElement:urn:x|c',
+    'endElement:urn:x|c',
+    'endElement:urn:x|a',
+  ]);
+  t.is(p.diagnostics[0].xmlMessage, 'undefined entity');
+
+  // The rest of the input is read with the same encoding.
+  const abc = [
+    'startElement:a',
+    'startElement:b',
+    'endElement:b',
+    'startElement:c\xe9',
+    'endElement:c\xe9',
+    'endElement:a',
+  ];
+  events.length = 0;
+  p.parse(Buffer.from(`<?xml version="1.0" encoding="ISO-8859-1"?>
+<a><b>&bad;</b><c\xe9/></a>`, 'latin1'));
+  t.deepEqual(events, abc);
+  t.is(p.diagnostics.length, 1);
+
+  const utf16 = Buffer.from('\ufeff<a><b>&bad;</b><c\xe9/></a>', 'utf16le');
+  events.length = 0;
+  p.parse(utf16);
+  t.deepEqual(events, abc);
+  t.is(p.diagnostics.length, 1);
+
+  events.length = 0;
+  p.parse(Buffer.from(utf16).swap16());
+  t.deepEqual(events, abc);
+  t.is(p.diagnostics.length, 1);
+
+  // A new parser would not have the declarations from the DTD, so there is
+  // no recovery.
+  t.throws(() => p.parse('<!DOCTYPE a [<!ENTITY e "x">]><a>&bad;&e;</a>'), {
+    instanceOf: XmlParseError,
+    message: /undefined entity/,
+  });
+  t.throws(() => p.parse('<!DOCTYPE a SYSTEM "a.dtd"><a><b></c></a>'), {
+    instanceOf: XmlParseError,
+    message: /mismatched tag/,
+  });
+  p.parse('<!DOCTYPE a><a>&bad;</a>');
+  t.is(p.diagnostics.length, 1);
+  p.destroy();
+});
+
+test('attributeInfo', t => {
+  const p = new XmlParser({attributeInfo: true});
+  let attribs = null;
+  p.on('startElement', (_name, a) => {
+    attribs = a;
+  });
+  p.parse(`<!DOCTYPE foo [<!ATTLIST foo id ID #IMPLIED d CDATA "def">]>
+<foo b="1" id="x"/>`);
+  t.deepEqual(attribs, [
+    {
+      name: 'b',
+      value: '1',
+      specified: true,
+      isId: false,
+      start: 66,
+      end: 70,
+      valueStart: 69,
+    },
+    {
+      name: 'id',
+      value: 'x',
+      specified: true,
+      isId: true,
+      start: 72,
+      end: 77,
+      valueStart: 76,
+    },
+    {
+      name: 'd',
+      value: 'def',
+      specified: false,
+      isId: false,
+      start: null,
+      end: null,
+      valueStart: null,
+    },
+  ]);
+
+  const doc = XmlParser.parseDocument('<foo a="b"/>', {attributeInfo: true});
+  t.deepEqual(doc.root?.attributes, {a: 'b'});
+  p.destroy();
+});
+
+test('notStandalone', t => {
+  const doc = '<!DOCTYPE foo SYSTEM "foo.dtd"><foo/>';
+  const p = new XmlParser();
+  let count = 0;
+  p.on('notStandalone', () => count++);
+  p.parse(doc);
+  t.is(count, 1);
+  p.parse(`<?xml version="1.0" standalone="yes"?>${doc}`);
+  t.is(count, 1);
+  p.destroy();
+
+  const strict = new XmlParser({requireStandalone: true});
+  t.throws(() => strict.parse(doc), {
+    instanceOf: XmlParseError,
+    message: /not standalone/,
+  });
+  t.notThrows(() => strict.parse('<foo/>'));
+  strict.destroy();
+});
+
+test('foreignDTD', t => {
+  const ids = [];
+  const p = new XmlParser({
+    foreignDTD: true,
+    systemEntity(base, sysId) {
+      ids.push(sysId);
+      return {base, data: '<!ENTITY nbsp "&#160;">'};
+    },
+  });
+  const text = [];
+  p.on('characterData', str => text.push(str));
+  p.parse('<p>a&nbsp;b</p>');
+  t.deepEqual(ids, [null]);
+  t.is(text.join(''), 'a\xa0b');
+
+  // Reset keeps the option.
+  text.length = 0;
+  p.parse('<p>&nbsp;</p>');
+  t.is(text.join(''), '\xa0');
+  p.destroy();
+
+  t.throws(() => new XmlParser({foreignDTD: true}), {
+    message: /requires systemEntity/,
+  });
+});
+
+test('entityCache and dependencies', t => {
+  const nested = path.join(__dirname, 'fixtures', 'nested');
+  const base = url.pathToFileURL(path.join(nested, 'doc.xml')).href;
+  const reads = [];
+  const entityCache = new Map();
+  const opts = {
+    base,
+    entityCache,
+    systemEntity(b, sysId) {
+      const u = new URL(sysId, b);
+      reads.push(u.pathname.split('/').pop());
+      return {
+        base: u.href,
+        data: u.pathname.endsWith('outer.dtd') ?
+          '<!ENTITY % inner SYSTEM "inner.dtd">\n%inner;' :
+          '<!ENTITY CompanyName "Cached">',
+      };
+    },
+  };
+  const doc = '<!DOCTYPE foo SYSTEM "outer.dtd"><foo>&CompanyName;</foo>';
+  const outer = url.pathToFileURL(path.join(nested, 'outer.dtd')).href;
+  const inner = url.pathToFileURL(path.join(nested, 'inner.dtd')).href;
+
+  const p1 = new XmlParser(opts);
+  p1.parse(doc);
+  t.deepEqual(p1.dependencies, [outer, inner]);
+  t.deepEqual([...entityCache.keys()], [outer, inner]);
+  t.true(entityCache.get(outer).data instanceof Uint8Array);
+  p1.parse('<foo/>');
+  t.deepEqual(p1.dependencies, []);
+  p1.destroy();
+
+  const p2 = new XmlParser(opts);
+  let text = '';
+  p2.on('characterData', s => {
+    text += s;
+  });
+  p2.parse(doc);
+  t.is(text, 'Cached');
+  t.is(p2.dependencies.length, 2);
+  t.deepEqual(reads, ['outer.dtd', 'inner.dtd']);
+  p2.destroy();
+
+  // Keys include the public ID.
+  const p3 = new XmlParser(opts);
+  p3.parse('<!DOCTYPE foo PUBLIC "-//Foo//EN" "outer.dtd"><foo/>');
+  t.deepEqual(reads, ['outer.dtd', 'inner.dtd', 'outer.dtd']);
+  t.true(entityCache.has(`${outer}\n-//Foo//EN`));
+  p3.destroy();
+});
+
+test('nested entity errors', t => {
+  const entities = {
+    'outer.dtd': '<!-- outer -->\n<!ENTITY % inner SYSTEM "inner.dtd">\n%inner;',
+    'inner.dtd': '<!ENTITY ok "1">\n  <<<',
+  };
+  const p = new XmlParser({
+    base: 'file:///fixtures/doc.xml',
+    systemEntity(base, sysId) {
+      const u = new URL(sysId, base);
+      const data = entities[u.pathname.split('/').pop()];
+      if (!data) {
+        throw new Error(`Not found: ${sysId}`);
+      }
+      return {base: u.href, data};
+    },
+  });
+  const errors = [];
+  p.on('error', e => errors.push(e));
+
+  const err = t.throws(
+    () => p.parse('<?xml version="1.0"?>\n<!DOCTYPE foo SYSTEM "outer.dtd">\n<foo/>'),
+    {instanceOf: XmlParseError}
+  );
+  t.is(errors.length, 2);
+  t.is(err.cause, errors[1]);
+  t.is(err.cause.cause, errors[0]);
+  const frames = err.includeStack.map(({base, line, column}) => ({
+    base, line, column,
+  }));
+  t.deepEqual(frames, [
+    {base: 'file:///fixtures/inner.dtd', line: 2, column: 3},
+    {base: 'file:///fixtures/outer.dtd', line: 3, column: 0},
+    {base: 'file:///fixtures/doc.xml', line: 2, column: 32},
+  ]);
+
+  // Errors that are not from parsing end the chain.
+  const missing = t.throws(() => p.parse('<!DOCTYPE foo SYSTEM "missing.dtd">\n<foo/>'));
+  t.is(missing.cause.message, 'Not found: missing.dtd');
+  t.is(missing.includeStack.length, 1);
+
+  // The next error does not get a stale cause.
+  const plain = t.throws(() => p.parse('<foo>'));
+  t.is(plain.cause, undefined);
+  p.destroy();
+});
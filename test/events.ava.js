@@ -0,0 +1,171 @@
+import {XmlParseError, XmlParser, XmlTransformStream} from '../lib/index.js';
+import {Buffer} from 'node:buffer';
+import test from 'ava';
+
+const FOO = [
+  {type: 'startElement', args: ['foo', {a: 'b'}]},
+  {type: 'characterData', args: ['bar']},
+  {type: 'endElement', args: ['foo']},
+];
+
+/**
+ * @param {AsyncIterable<any>} iter
+ * @returns {Promise<any[]>}
+ */
+async function collect(iter) {
+  const events = [];
+  for await (const e of iter) {
+    events.push(e);
+  }
+  return events;
+}
+
+/**
+ * @param {string[]} chunks
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function readable(chunks) {
+  const enc = new TextEncoder();
+  return new ReadableStream({
+    pull(controller) {
+      const chunk = chunks.shift();
+      if (chunk == null) {
+        controller.close();
+      } else {
+        controller.enqueue(enc.encode(chunk));
+      }
+    },
+  });
+}
+
+test('events', async t => {
+  t.deepEqual(await collect(XmlParser.events(['<foo a="b">bar</foo>'])), FOO);
+  t.deepEqual(await collect(XmlParser.events(readable([
+    '<fo',
+    'o a="b">bar',
+    '</foo>',
+  ]))), FOO);
+
+  async function *gen() {
+    yield Buffer.from('<foo a="b">');
+    yield 'bar</foo>';
+  }
+  t.deepEqual(await collect(XmlParser.events(gen())), FOO);
+
+  const res = new Response('<foo a="b">bar</foo>');
+  t.deepEqual(await collect(XmlParser.events(
+    /** @type {ReadableStream<Uint8Array>} */ (res.body)
+  )), FOO);
+
+  t.deepEqual(await collect(XmlParser.events(['<f:g xmlns:f="foo"/>'], {
+    separator: ',',
+  })), [
+    {type: 'startNamespaceDecl', args: ['f', 'foo']},
+    {type: 'startElement', args: ['foo,g,f', {}]},
+    {type: 'endElement', args: ['foo,g,f']},
+    {type: 'endNamespaceDecl', args: ['f']},
+  ]);
+});
+
+test('events errors', async t => {
+  await t.throwsAsync(
+    () => collect(XmlParser.events(['<foo>', '<<'])),
+    {instanceOf: XmlParseError}
+  );
+
+  const types = [];
+  await t.throwsAsync(async () => {
+    for await (const {type} of XmlParser.events(
+      ['<!DOCTYPE foo SYSTEM "foo.dtd"><foo/>'],
+      {
+        systemEntity() {
+          throw new Error('Intentional error');
+        },
+      }
+    )) {
+      types.push(type);
+    }
+  });
+  t.deepEqual(types, ['startDoctypeDecl', 'error']);
+
+  // Return early
+  const gen = XmlParser.events(['<foo/>']);
+  const first = await gen.next();
+  t.is(first.value?.type, 'startElement');
+  await gen.return();
+
+  // Stopping early cancels a stream
+  let cancelled = 0;
+  const stream = new ReadableStream({
+    pull(controller) {
+      controller.enqueue(new TextEncoder().encode('<foo>'));
+    },
+    cancel() {
+      cancelled++;
+    },
+  });
+  const rgen = XmlParser.events(stream);
+  t.is((await rgen.next()).value?.type, 'startElement');
+  await rgen.return();
+  t.is(cancelled, 1);
+  t.false(stream.locked);
+
+  const errStream = new ReadableStream({
+    pull(controller) {
+      controller.enqueue(new TextEncoder().encode('<<'));
+    },
+    cancel() {
+      cancelled++;
+    },
+  });
+  await t.throwsAsync(() => collect(XmlParser.events(errStream)), {
+    instanceOf: XmlParseError,
+  });
+  t.is(cancelled, 2);
+});
+
+test('transform stream', async t => {
+  t.deepEqual(await collect(
+    readable(['<fo', 'o a="b">bar', '</foo>'])
+      .pipeThrough(new XmlTransformStream())
+  ), FOO);
+
+  const ts = new XmlTransformStream({separator: ','});
+  t.truthy(ts.parser);
+  t.deepEqual(await collect(
+    readable(['<f:g xmlns:f="foo"/>']).pipeThrough(ts)
+  ), [
+    {type: 'startNamespaceDecl', args: ['f', 'foo']},
+    {type: 'startElement', args: ['foo,g,f', {}]},
+    {type: 'endElement', args: ['foo,g,f']},
+    {type: 'endNamespaceDecl', args: ['f']},
+  ]);
+  t.is(ts.parser.parser, undefined);
+});
+
+test('transform stream errors', async t => {
+  const ts = new XmlTransformStream();
+  await t.throwsAsync(
+    () => collect(readable(['<foo>', '<<']).pipeThrough(ts)),
+    {instanceOf: XmlParseError}
+  );
+  t.is(ts.parser.parser, undefined);
+
+  const vs = new XmlTransformStream({
+    systemEntity() {
+      throw new Error('Intentional error');
+    },
+  });
+  await t.throwsAsync(
+    () => collect(readable(['<!DOCTYPE foo SYSTEM "foo.dtd"><foo/>'])
+      .pipeThrough(vs)),
+    {instanceOf: XmlParseError}
+  );
+
+  const us = new XmlTransformStream();
+  const rs = readable(['<foo>', '<bar/>', '</foo>']).pipeThrough(us);
+  const reader = rs.getReader();
+  await reader.read();
+  await reader.cancel();
+  t.pass();
+});
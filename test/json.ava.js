@@ -0,0 +1,165 @@
+import {XmlParser, toJson} from '../lib/index.js';
+import test from 'ava';
+
+const DOC = `<x:feed xmlns:x="urn:x" xmlns="urn:d" lang="en" x:v="2">
+  <title>Hello</title>
+  <entry id="1"><name>one</name></entry>
+  <entry id="2"><name>two</name><x:tag>a</x:tag><x:tag>b</x:tag></entry>
+  <empty/>
+  <mixed>before<b>bold</b>after</mixed>
+  <!-- ignored -->
+</x:feed>`;
+
+test('simple', t => {
+  t.deepEqual(XmlParser.parseJson(DOC), {
+    'x:feed': {
+      '@lang': 'en',
+      '@x:v': '2',
+      'title': 'Hello',
+      'entry': [
+        {'@id': '1', 'name': 'one'},
+        {'@id': '2', 'name': 'two', 'x:tag': ['a', 'b']},
+      ],
+      'empty': '',
+      'mixed': {'b': 'bold', '#text': 'beforeafter'},
+    },
+  });
+
+  t.deepEqual(XmlParser.parseJson('<a><b>1</b></a>', {
+    alwaysArray: ['b', 'c'],
+  }), {a: {b: ['1']}});
+  t.deepEqual(XmlParser.parseJson('<a><b>1</b><c/></a>', {
+    alwaysArray: key => key === 'c',
+    attributePrefix: '_',
+    textKey: 'text',
+  }), {a: {b: '1', c: ['']}});
+  t.deepEqual(XmlParser.parseJson('<a d="e">f</a>', {
+    attributePrefix: '_',
+    textKey: 'text',
+  }), {a: {_d: 'e', text: 'f'}});
+});
+
+test('badgerfish', t => {
+  t.deepEqual(XmlParser.parseJson(DOC, {convention: 'badgerfish'}), {
+    'x:feed': {
+      '@xmlns': {x: 'urn:x', $: 'urn:d'},
+      '@lang': 'en',
+      '@x:v': '2',
+      'title': {'@xmlns': {x: 'urn:x', $: 'urn:d'}, '$': 'Hello'},
+      'entry': [
+        {
+          '@xmlns': {x: 'urn:x', $: 'urn:d'},
+          '@id': '1',
+          'name': {'@xmlns': {x: 'urn:x', $: 'urn:d'}, '$': 'one'},
+        },
+        {
+          '@xmlns': {x: 'urn:x', $: 'urn:d'},
+          '@id': '2',
+          'name': {'@xmlns': {x: 'urn:x', $: 'urn:d'}, '$': 'two'},
+          'x:tag': [
+            {'@xmlns': {x: 'urn:x', $: 'urn:d'}, '$': 'a'},
+            {'@xmlns': {x: 'urn:x', $: 'urn:d'}, '$': 'b'},
+          ],
+        },
+      ],
+      'empty': {'@xmlns': {x: 'urn:x', $: 'urn:d'}},
+      'mixed': {
+        '@xmlns': {x: 'urn:x', $: 'urn:d'},
+        'b': {'@xmlns': {x: 'urn:x', $: 'urn:d'}, '$': 'bold'},
+        '$': 'beforeafter',
+      },
+    },
+  });
+  t.deepEqual(XmlParser.parseJson('<a><b/></a>', {convention: 'badgerfish'}), {
+    a: {b: {}},
+  });
+});
+
+test('parker', t => {
+  t.deepEqual(XmlParser.parseJson(DOC, {convention: 'parker'}), {
+    title: 'Hello',
+    entry: [
+      {name: 'one'},
+      {'name': 'two', 'x:tag': ['a', 'b']},
+    ],
+    empty: null,
+    mixed: {b: 'bold'},
+  });
+  t.is(XmlParser.parseJson('<a>b</a>', {convention: 'parker'}), 'b');
+});
+
+test('names', t => {
+  t.deepEqual(XmlParser.parseJson(DOC, {
+    names: 'clark',
+    convention: 'parker',
+  }), {
+    '{urn:d}title': 'Hello',
+    '{urn:d}entry': [
+      {'{urn:d}name': 'one'},
+      {'{urn:d}name': 'two', '{urn:x}tag': ['a', 'b']},
+    ],
+    '{urn:d}empty': null,
+    '{urn:d}mixed': {'{urn:d}b': 'bold'},
+  });
+
+  const loc = /** @type {any} */ (XmlParser.parseJson(DOC, {
+    names: 'local',
+  }));
+  t.deepEqual(Object.keys(loc.feed), [
+    '@lang', '@v', 'title', 'entry', 'empty', 'mixed',
+  ]);
+
+  t.deepEqual(XmlParser.parseJson('<x:a xmlns:x="urn:x" x:b="c"/>', {
+    names: ({ns, local}) => (ns ? `${ns}#${local}` : local),
+  }), {'urn:x#a': {'@urn:x#b': 'c'}});
+
+  t.deepEqual(XmlParser.parseJson('<x:a xmlns:x="urn:x"/>', {
+    separator: XmlParser.NO_NAMESPACES,
+    names: 'clark',
+  }), {'x:a': {'@xmlns:x': 'urn:x'}});
+});
+
+test('toJson', t => {
+  const doc = XmlParser.parseDocument('<a xmlns:x="urn:x"><b><x:c/></b></a>');
+  const [b] = doc.root?.elements ?? [];
+  t.deepEqual(toJson(b, {convention: 'badgerfish'}), {
+    b: {'@xmlns': {x: 'urn:x'}, 'x:c': {'@xmlns': {x: 'urn:x'}}},
+  });
+  t.throws(() => toJson(doc, {
+    convention: /** @type {any} */ ('foo'),
+  }), {message: /convention/});
+  t.throws(() => toJson(doc, {
+    names: /** @type {any} */ ('foo'),
+  }), {message: /name format/});
+  t.throws(() => toJson(doc, {
+    names: /** @type {any} */ ('constructor'),
+  }), {message: /Unknown name format/});
+});
+
+test('deep', t => {
+  const depth = 20000;
+  const xml = `${'<a>'.repeat(depth)}text${'</a>'.repeat(depth)}`;
+  let res = /** @type {any} */ (XmlParser.parseJson(xml));
+  for (let i = 0; i < depth - 1; i++) {
+    res = res.a;
+  }
+  t.deepEqual(res, {a: 'text'});
+  t.truthy(XmlParser.parseJson(xml, {convention: 'parker'}));
+});
+
+test('unsafe keys', t => {
+  const proto = '__proto__';
+  const res = /** @type {any} */ (XmlParser.parseJson(
+    '<a><__proto__><polluted>1</polluted></__proto__><x>2</x></a>'
+  ));
+  t.deepEqual(Object.keys(res.a), [proto, 'x']);
+  t.deepEqual(res.a[proto], {polluted: '1'});
+  t.is(res.a.polluted, undefined);
+  t.is(Object.getPrototypeOf(res.a), Object.prototype);
+
+  const text = /** @type {any} */ (XmlParser.parseJson('<a b="c">d</a>', {
+    textKey: proto,
+  }));
+  t.true(Object.hasOwn(text.a, proto));
+  t.is(text.a[proto], 'd');
+});
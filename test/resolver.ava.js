@@ -0,0 +1,176 @@
+import {EntityAccessError, createFileResolver} from '../lib/resolver.js';
+import {XmlParseError, XmlParser} from '../lib/index.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'ava';
+import url from 'node:url';
+
+const __filename = url.fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixtures = path.join(__dirname, 'fixtures');
+const base = url.pathToFileURL(path.join(fixtures, 'doc.xml')).href;
+
+/**
+ * Parse a document with a DOCTYPE, returning the text and the errors that
+ * were emitted.
+ *
+ * @param {import('../lib/index.js').ReadEntity} systemEntity
+ * @param {string} sysId
+ * @param {import('../lib/index.js').ParserOptions} [opts]
+ * @returns {{text: string, errors: unknown[]}}
+ */
+function parse(systemEntity, sysId, opts) {
+  const p = new XmlParser({base, ...opts, systemEntity});
+  let text = '';
+
+  /** @type {unknown[]} */
+  const errors = [];
+  p.on('characterData', str => {
+    text += str;
+  });
+  p.on('error', e => errors.push(e));
+  try {
+    p.parse(`<!DOCTYPE foo SYSTEM "${sysId}"><foo>&CompanyName;</foo>`);
+  } catch (e) {
+    errors.push(e);
+  }
+  p.destroy();
+  return {text, errors};
+}
+
+/**
+ * @param {{errors: unknown[]}} res
+ * @returns {string|undefined}
+ */
+function code(res) {
+  const [er, parseError] = res.errors;
+  if (!(er instanceof EntityAccessError) ||
+      !(parseError instanceof XmlParseError)) {
+    return undefined;
+  }
+  return er.code;
+}
+
+test('createFileResolver', t => {
+  const resolve = createFileResolver({roots: fixtures});
+  t.deepEqual(parse(resolve, 'address.dtd'), {
+    text: 'Liquid Technologies Ltd',
+    errors: [],
+  });
+  t.is(parse(resolve, 'nested/outer.dtd').text, 'Nested Ltd');
+
+  t.is(code(parse(resolve, '../../package.json')), 'outsideRoot');
+  t.is(code(parse(resolve, 'nested/%2e%2e/%2e%2e/lib/index.js')), 'outsideRoot');
+  t.is(code(parse(resolve, '/etc/passwd')), 'outsideRoot');
+  t.is(code(parse(resolve, 'http://example.com/address.dtd')), 'scheme');
+  t.is(code(parse(resolve, 'nested')), 'notFile');
+  t.is(code(parse(resolve, 'http://[')), 'invalid');
+
+  const host = parse(resolve, 'file://evil/etc/passwd');
+  t.is(code(host), 'invalid');
+  t.is(
+    /** @type {any} */ (host.errors[0]).cause.code,
+    'ERR_INVALID_FILE_URL_HOST'
+  );
+  const slash = parse(resolve, 'a%2F..%2Fx');
+  t.is(code(slash), 'invalid');
+  t.is(
+    /** @type {any} */ (slash.errors[0]).cause.code,
+    'ERR_INVALID_FILE_URL_PATH'
+  );
+  t.throws(() => resolve(base, null), {instanceOf: EntityAccessError});
+
+  const missing = parse(resolve, 'missing.dtd');
+  t.is(code(missing), 'read');
+  t.is(/** @type {any} */ (missing.errors[0]).cause.code, 'ENOENT');
+
+  // Without a base, relative to the first root.
+  const ent = /** @type {import('../lib/index.js').EntityInfo} */ (
+    resolve('', 'address.dtd')
+  );
+  t.is(ent.base, url.pathToFileURL(path.join(fixtures, 'address.dtd')).href);
+
+  t.throws(() => createFileResolver(/** @type {any} */ ({})), {
+    message: /roots/,
+  });
+  t.throws(() => createFileResolver({roots: []}), {message: /roots/});
+});
+
+test('createFileResolver limits', t => {
+  t.is(code(parse(createFileResolver({
+    roots: url.pathToFileURL(fixtures),
+    maxDepth: 1,
+  }), 'nested/outer.dtd')), 'depth');
+
+  // Depth follows the chain of entities, not the URLs that have been read
+  // before.
+  const deep = createFileResolver({roots: fixtures, maxDepth: 2});
+  const inner = url.pathToFileURL(path.join(fixtures, 'nested/inner.dtd'));
+  t.is(parse(deep, 'nested/outer.dtd').text, 'Nested Ltd');
+  t.is(parse(deep, 'outer.dtd', {base: inner.href}).text, 'Nested Ltd');
+  t.throws(() => deep(base, 'address.dtd', undefined, 3), {
+    instanceOf: EntityAccessError,
+    message: /nested more than 2 deep/,
+  });
+  t.is(code(parse(createFileResolver({
+    roots: [fixtures],
+    maxEntityBytes: 10,
+  }), 'address.dtd')), 'entitySize');
+
+  const total = createFileResolver({roots: fixtures, maxTotalBytes: 60});
+  t.is(parse(total, 'address.dtd').text, 'Liquid Technologies Ltd');
+  t.is(code(parse(total, 'address.dtd')), 'totalSize');
+});
+
+test('createFileResolver entityCache', t => {
+  const entityCache = new Map();
+  const total = createFileResolver({roots: fixtures, maxTotalBytes: 60});
+  t.is(
+    parse(total, 'address.dtd', {entityCache}).text,
+    'Liquid Technologies Ltd'
+  );
+  t.is(entityCache.size, 1);
+
+  // Entities from the cache are not read again, but still count.
+  t.is(code(parse(total, 'address.dtd', {entityCache})), 'totalSize');
+
+  // A resolver with other options does not use what another one read.
+  const nested = path.join(fixtures, 'nested');
+  t.is(code(parse(createFileResolver({
+    roots: nested,
+  }), 'address.dtd', {entityCache})), 'outsideRoot');
+  t.is(code(parse(createFileResolver({
+    roots: fixtures,
+    maxEntityBytes: 10,
+  }), 'address.dtd', {entityCache})), 'entitySize');
+
+  const resolve = createFileResolver({roots: fixtures});
+  t.is(
+    parse(resolve, 'nested/outer.dtd', {entityCache}).text,
+    'Nested Ltd'
+  );
+  t.is(entityCache.size, 3);
+  t.is(code(parse(createFileResolver({
+    roots: fixtures,
+    maxDepth: 1,
+  }), 'nested/outer.dtd', {entityCache})), 'depth');
+});
+
+test('createFileResolver symlinks', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'expat-wasm-'));
+  try {
+    fs.symlinkSync(
+      path.join(fixtures, 'address.dtd'),
+      path.join(root, 'link.dtd')
+    );
+    const link = url.pathToFileURL(path.join(root, 'link.dtd')).href;
+    t.is(code(parse(createFileResolver({roots: root}), link)), 'outsideRoot');
+    t.is(
+      parse(createFileResolver({roots: [root, fixtures]}), link).text,
+      'Liquid Technologies Ltd'
+    );
+  } finally {
+    fs.rmSync(root, {recursive: true, force: true});
+  }
+});
@@ -0,0 +1,159 @@
+import {Selector, XmlElement, XmlParser} from '../lib/index.js';
+import {compilePath} from '../lib/select.js';
+import test from 'ava';
+
+const FEED = `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:x="urn:x">
+  <entry type="x"><title>One</title><id>1</id></entry>
+  <entry type="y"><title>Two</title><id>2</id></entry>
+  <entry type="x" x:rank="3"><title>Three <b>bold</b></title><id>3</id></entry>
+  <other><entry type="x"><title>Nested</title></entry></other>
+</feed>`;
+
+const ATOM = {a: 'http://www.w3.org/2005/Atom', x: 'urn:x'};
+
+/**
+ * Collect all of the matches for a path.
+ *
+ * @param {string} xml
+ * @param {string} path
+ * @param {import('../lib/select.js').SelectOptions} [opts]
+ * @returns {(XmlElement|string)[]}
+ */
+function select(xml, path, opts) {
+  /** @type {(XmlElement|string)[]} */
+  const ret = [];
+  const parser = new XmlParser();
+  parser.select(path, m => ret.push(m), opts);
+  parser.parse(xml);
+  parser.destroy();
+  return ret;
+}
+
+test('compilePath', t => {
+  t.deepEqual(compilePath('/a//b:*[2][@c = "d"]/@e', {b: 'urn:b'}), {
+    steps: [
+      {descendant: false, test: {ns: '', local: 'a'}, predicates: []},
+      {
+        descendant: true,
+        test: {ns: 'urn:b'},
+        predicates: [
+          {position: 2},
+          {attribute: {ns: '', local: 'c'}, negate: false, value: 'd'},
+        ],
+      },
+    ],
+    result: 'attribute',
+    attribute: {ns: '', local: 'e'},
+  });
+  t.deepEqual(compilePath(' //* ', {'': 'urn:d'}), {
+    steps: [{descendant: true, test: {}, predicates: []}],
+    result: 'element',
+  });
+  t.throws(() => compilePath(''), {message: /Empty/});
+  t.throws(() => compilePath('a'), {message: /at 0/});
+  t.throws(() => compilePath('/a['), {message: /at 3/});
+  t.throws(() => compilePath('/a[@b=c]'), {message: /at 6/});
+  t.throws(() => compilePath('/a/text()/b'), {message: /at 9/});
+  t.throws(() => compilePath('//text()'), {message: /at 2/});
+  t.throws(() => compilePath('/@a'), {message: /at 1/});
+  t.throws(() => compilePath('/a)'), {message: /at 2/});
+  t.throws(() => compilePath('/p:a'), {message: /Unknown namespace prefix "p"/});
+});
+
+test('child and descendant', t => {
+  t.deepEqual(select(FEED, '/a:feed/a:entry/a:title/text()', {
+    namespaces: ATOM,
+  }), ['One', 'Two', 'Three bold']);
+  t.deepEqual(select(FEED, '//title/text()', {
+    namespaces: {'': ATOM.a},
+  }), ['One', 'Two', 'Three bold', 'Nested']);
+  t.deepEqual(select(FEED, '//a:other//a:title/text()', {
+    namespaces: ATOM,
+  }), ['Nested']);
+  t.deepEqual(select(FEED, '//title'), []);
+  t.deepEqual(select('<a><b/><c><b/></c></a>', '/*/*').map(
+    e => /** @type {XmlElement} */ (e).name
+  ), ['b', 'c']);
+});
+
+test('predicates', t => {
+  const opts = {namespaces: ATOM};
+  t.deepEqual(
+    select(FEED, '/a:feed/a:entry[@type="x"]/a:id/text()', opts),
+    ['1', '3']
+  );
+  t.deepEqual(
+    select(FEED, "//a:entry[@type!='x']/a:id/text()", opts),
+    ['2']
+  );
+  t.deepEqual(select(FEED, '//a:entry[@x:rank]/a:id/text()', opts), ['3']);
+  t.deepEqual(select(FEED, '//a:entry[2]/a:id/text()', opts), ['2']);
+  t.deepEqual(
+    select(FEED, '//a:entry[@type="x"][2]/a:id/text()', opts),
+    ['3']
+  );
+  t.deepEqual(
+    select(FEED, '//a:entry[1]/a:title/text()', opts),
+    ['One', 'Nested']
+  );
+  t.deepEqual(select(FEED, '//a:entry/@type', opts), ['x', 'y', 'x', 'x']);
+  t.deepEqual(select(FEED, '//a:entry/@x:rank', opts), ['3']);
+  t.deepEqual(select(FEED, '/a:feed/*[3]/@*', opts), ['x']);
+});
+
+test('subtrees', t => {
+  const [title] = select(FEED, '//a:entry[3]/a:title', {namespaces: ATOM});
+  t.true(title instanceof XmlElement);
+  const el = /** @type {XmlElement} */ (title);
+  t.is(el.parent, null);
+  t.is(el.ns, ATOM.a);
+  t.is(el.text, 'Three bold');
+  t.deepEqual(el.namespaces, {'': ATOM.a, 'x': 'urn:x'});
+  t.is(el.elements[0].name, 'b');
+  t.is(el.elements[0].lookupNamespaceURI('x'), 'urn:x');
+
+  const [mixed] = select(
+    '<r><a p:b="c" xmlns:p="urn:p">t<![CDATA[<d>]]><!--e--><?f g?>h<i/></a></r>',
+    '/r/a'
+  );
+  const a = /** @type {XmlElement} */ (mixed);
+  t.deepEqual(a.attributes, {'p:b': 'c'});
+  t.deepEqual(a.children.map(c => c.type), [
+    'text', 'cdata', 'comment', 'processingInstruction', 'text', 'element',
+  ]);
+  t.is(a.text, 't<d>h');
+
+  // Nested matches are delivered when they end.
+  t.deepEqual(
+    select('<a id="1"><a id="2"/></a>', '//a')
+      .map(e => /** @type {XmlElement} */ (e).attributes.id),
+    ['2', '1']
+  );
+});
+
+test('Selector', t => {
+  const parser = new XmlParser();
+
+  /** @type {(XmlElement|string)[]} */
+  const found = [];
+  const sel = new Selector(parser, '/a/b/text()', m => found.push(m));
+  t.is(sel.path.result, 'text');
+  t.throws(() => parser.parse('<a><b>one</b><b>two'));
+  t.deepEqual(found, ['one']);
+  parser.reset();
+  sel.reset();
+  parser.parse('<a><b>three</b></a>');
+  t.deepEqual(found, ['one', 'three']);
+  parser.destroy();
+
+  // Selectors added with select() are reset for each document, so partial
+  // matches from a failed document are forgotten.
+  const p = new XmlParser();
+  found.length = 0;
+  p.select('/a/b/text()', m => found.push(m));
+  t.throws(() => p.parse('<a><b>one</b><b>two'));
+  p.reset();
+  p.parse('<a><b>three</b></a>');
+  t.deepEqual(found, ['one', 'three']);
+  p.destroy();
+});
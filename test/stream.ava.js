@@ -0,0 +1,118 @@
+import {Readable, Writable} from 'node:stream';
+import {Buffer} from 'node:buffer';
+import {XmlParseError} from '../lib/index.js';
+import {XmlParserStream} from '../lib/stream.js';
+import {pipeline} from 'node:stream/promises';
+import test from 'ava';
+
+/**
+ * @param {XmlParserStream} ps
+ * @param {(string|Buffer)[]} chunks
+ * @returns {Promise<any[]>}
+ */
+async function collect(ps, chunks) {
+  /** @type {any[]} */
+  const events = [];
+  await pipeline(
+    Readable.from(chunks),
+    ps,
+    new Writable({
+      objectMode: true,
+      write(chunk, _enc, cb) {
+        events.push(chunk);
+        cb();
+      },
+    })
+  );
+  return events;
+}
+
+test('stream', async t => {
+  const ps = new XmlParserStream();
+  const events = await collect(ps, ['<fo', Buffer.from('o a="b">'), '</foo>']);
+  t.deepEqual(events, [
+    ['startElement', 'foo', {a: 'b'}],
+    ['endElement', 'foo'],
+  ]);
+  t.is(ps.parser.parser, undefined);
+});
+
+test('stream options', async t => {
+  const ps = new XmlParserStream({
+    separator: ',',
+  }, {
+    highWaterMark: 1,
+  });
+  const events = await collect(ps, ['<f:g xmlns:f="foo"/>']);
+  t.deepEqual(events, [
+    ['startNamespaceDecl', 'f', 'foo'],
+    ['startElement', 'foo,g,f', {}],
+    ['endElement', 'foo,g,f'],
+    ['endNamespaceDecl', 'f'],
+  ]);
+});
+
+test('stream error', async t => {
+  const ps = new XmlParserStream();
+  await t.throwsAsync(() => collect(ps, ['<foo>', '<<']), {
+    instanceOf: XmlParseError,
+  });
+  t.true(ps.destroyed);
+  t.is(ps.parser.parser, undefined);
+
+  const qs = new XmlParserStream({
+    systemEntity() {
+      throw new Error('Intentional error');
+    },
+  });
+  const events = [];
+  qs.on('data', e => events.push(e));
+  const p = new Promise((resolve, reject) => {
+    qs.on('error', reject);
+    qs.on('end', resolve);
+  });
+  qs.end('<!DOCTYPE foo SYSTEM "foo.dtd"><foo/>');
+  await t.throwsAsync(p);
+  t.deepEqual(events.map(([e]) => e), ['startDoctypeDecl', 'error']);
+});
+
+test('stream stop', async t => {
+  const ps = new XmlParserStream();
+  ps.parser.on('startElement', name => {
+    if (name === 'bar') {
+      ps.stop();
+      ps.stop(); // Idempotent
+    }
+  });
+  const events = await collect(ps, ['<foo>', '<bar/>', '<baz/></foo>']);
+  t.deepEqual(events, [
+    ['startElement', 'foo', {}],
+  ]);
+
+  const qs = new XmlParserStream();
+  qs.stop();
+  t.deepEqual(await collect(qs, ['<foo/>']), []);
+});
+
+test('stream backpressure', async t => {
+  const ps = new XmlParserStream({}, {highWaterMark: 1});
+  ps.write('<foo><bar/><bar/><bar/>');
+  ps.write('</foo>');
+  ps.end();
+
+  /** @type {any[]} */
+  const events = [];
+  for await (const e of ps) {
+    events.push(e[0]);
+  }
+  t.deepEqual(events, [
+    'startElement',
+    'startElement',
+    'endElement',
+    'startElement',
+    'endElement',
+    'startElement',
+    'endElement',
+    'endElement',
+  ]);
+});
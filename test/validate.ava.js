@@ -0,0 +1,159 @@
+import {XmlParser, XmlValidityError} from '../lib/index.js';
+import test from 'ava';
+
+const DTD = `<!DOCTYPE doc [
+<!ELEMENT doc (head?, item+)>
+<!ELEMENT head (#PCDATA)>
+<!ELEMENT item (#PCDATA|b)*>
+<!ELEMENT b EMPTY>
+<!ATTLIST doc
+  xmlns:x CDATA #REQUIRED
+  version CDATA #FIXED "1">
+<!ATTLIST item
+  id ID #REQUIRED
+  ref IDREF #IMPLIED
+  refs IDREFS #IMPLIED
+  kind (a|b) "a"
+  tok NMTOKEN #IMPLIED
+  img ENTITY #IMPLIED>
+<!NOTATION gif SYSTEM "image/gif">
+<!ENTITY logo SYSTEM "logo.gif" NDATA gif>
+]>
+`;
+
+/**
+ * @param {string} doc
+ * @param {import('../lib/index.js').ParserOptions} [opts]
+ * @returns {XmlValidityError[]}
+ */
+function validate(doc, opts = {}) {
+  const parser = new XmlParser({validate: true, ...opts});
+
+  /** @type {XmlValidityError[]} */
+  const errors = [];
+  parser.on('validityError', e => errors.push(e));
+  parser.parse(doc);
+  parser.destroy();
+  return errors;
+}
+
+test('valid', t => {
+  t.deepEqual(validate(`${DTD}<doc xmlns:x="urn:x">
+  <head>title</head>
+  <item id="i1" ref="i2" kind="b" tok="1.0" img="logo">one<b/></item>
+  <item id="i2" refs="i1 i2">two</item>
+</doc>`), []);
+
+  // Without namespaces, xmlns attributes are checked like the others.
+  const errors = validate(`${DTD}<doc><item id="i1"/></doc>`, {
+    separator: XmlParser.NO_NAMESPACES,
+  });
+  t.deepEqual(errors.map(e => e.message), [
+    'Required attribute "xmlns:x" of "doc" is missing',
+  ]);
+
+  // Not validating.
+  const parser = new XmlParser();
+  parser.on('validityError', () => t.fail());
+  parser.parse(`${DTD}<bad/>`);
+  parser.destroy();
+});
+
+test('content', t => {
+  const errors = validate(`${DTD}<doc xmlns:x="urn:x">
+  <item id="i1">one<head/></item>
+  <head>two</head>
+  text
+  <item id="i2"><b>x</b></item>
+  <foo/>
+</doc>`);
+  t.true(errors.every(e => e instanceof XmlValidityError));
+  t.deepEqual(errors.map(e => [e.message, e.line]), [
+    ['Element "head" is not allowed in "item"', 20],
+    ['Element "b" is declared EMPTY but has content', 23],
+    ['Element "foo" is not declared', 24],
+    ['Character data is not allowed in "doc"', 19],
+    ['Content of "doc" does not match (head?,item+)', 19],
+  ]);
+  t.is(errors[0].column, 19);
+  t.is(errors[0].byteOffset, DTD.length + 41);
+
+  t.deepEqual(validate(`${DTD}<item id="i1"/>`).map(e => e.message), [
+    'Root element "item" does not match DOCTYPE "doc"',
+  ]);
+  t.deepEqual(validate('<doc><foo/></doc>').map(e => e.message), [
+    'No DTD to validate against',
+  ]);
+});
+
+test('attributes', t => {
+  const errors = validate(`${DTD}<doc xmlns:x="urn:x" version="2" other="">
+  <item id="i1" kind="c" tok="a b" img="nope"/>
+  <item id="i1" ref="i3" refs="i1 9"/>
+  <item/>
+</doc>`);
+  t.deepEqual(errors.map(e => [e.message, e.line]), [
+    ['Value "2" of attribute "version" of "doc" must be "1"', 19],
+    ['Attribute "other" of "doc" is not declared', 19],
+    ['Value "c" of attribute "kind" of "item" is not one of (a|b)', 20],
+    ['Value "a b" of attribute "tok" of "item" is not valid', 20],
+    ['Value "nope" of attribute "img" of "item" is not an unparsed entity', 20],
+    ['Duplicate ID "i1"', 21],
+    ['Value "i1 9" of attribute "refs" of "item" is not valid', 21],
+    ['Required attribute "id" of "item" is missing', 22],
+    ['No element has ID "i3"', 21],
+  ]);
+
+  // Each document is checked on its own.
+  const parser = new XmlParser({validate: true});
+  const messages = [];
+  parser.on('validityError', e => messages.push(e.message));
+  parser.parse(`${DTD}<doc xmlns:x="urn:x"><item id="i1"/></doc>`);
+  parser.parse(`${DTD}<doc xmlns:x="urn:x"><item id="i1" ref="i2"/></doc>`);
+  parser.destroy();
+  t.deepEqual(messages, ['No element has ID "i2"']);
+});
+
+test('external subset', t => {
+  const errors = validate('<!DOCTYPE doc SYSTEM "doc.dtd"><doc><b/></doc>', {
+    systemEntity: () => ({
+      base: 'file:///doc.dtd',
+      data: '<!ELEMENT doc (a)><!ELEMENT a EMPTY><!ELEMENT b EMPTY>',
+    }),
+  });
+  t.deepEqual(errors.map(e => e.message), [
+    'Content of "doc" does not match (a)',
+  ]);
+});
+
+test('content models', t => {
+  /**
+   * @param {string} model
+   * @param {string} children One letter for each child element.
+   * @returns {boolean}
+   */
+  function matches(model, children) {
+    const decls = ['a', 'b', 'c', 'd']
+      .map(n => `<!ELEMENT ${n} EMPTY>`)
+      .join('');
+    const kids = children.replace(/\w/g, '<$&/>');
+    return validate(`<!DOCTYPE r [<!ELEMENT r ${model}>${decls}]><r>${kids}</r>`)
+      .length === 0;
+  }
+
+  t.true(matches('(a,(b|c)*,d?)', 'a'));
+  t.true(matches('(a,(b|c)*,d?)', 'abcbd'));
+  t.false(matches('(a,(b|c)*,d?)', 'abdc'));
+  t.false(matches('(a,(b|c)*,d?)', ''));
+  t.true(matches('(a?,b?)*', ''));
+  t.true(matches('(a?,b?)*', 'bab'));
+  t.true(matches('(a+|b)+', 'aabaa'));
+  t.false(matches('(a,b)+', 'aba'));
+  t.true(matches('((a,b)|(a,c))', 'ac'));
+
+  // Nested quantifiers that take exponential time with backtracking.
+  const start = Date.now();
+  t.false(matches('((a*)*,b)', 'a'.repeat(5000)));
+  t.true(matches('((a*)*,b)', `${'a'.repeat(5000)}b`));
+  t.true(Date.now() - start < 2000);
+});
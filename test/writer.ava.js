@@ -0,0 +1,178 @@
+import {XmlParser, XmlWriter} from '../lib/index.js';
+import {Buffer} from 'node:buffer';
+import test from 'ava';
+
+/**
+ * Parse, then write.
+ *
+ * @param {string} xml
+ * @param {import('../lib/writer.js').XmlWriterOptions} [opts]
+ * @param {import('../lib/index.js').ParserOptions} [parserOpts]
+ * @returns {string}
+ */
+function roundTrip(xml, opts = {}, parserOpts = {}) {
+  const parser = new XmlParser(parserOpts);
+  const writer = new XmlWriter(opts);
+  parser.on('*', (...args) => writer.event(...args));
+  parser.parse(xml);
+  parser.destroy();
+  return writer.toString();
+}
+
+const DOC = `<?xml version="1.0"?>
+<!DOCTYPE x:foo SYSTEM "foo.dtd" [ <!-- c --> <!ENTITY e "ent&amp;"> ]>
+<!-- before -->
+<x:foo xmlns:x="urn:x" xmlns="urn:d" a="b&quot;&#9;" x:c="d" xml:lang="en">
+  <bar>one<![CDATA[<two>]]>three &e;</bar>
+  <?pi inside?>
+  <baz xmlns="">four&amp;five<i/> </baz>
+  <x:q><x:r/></x:q>
+</x:foo>
+<?after?>`;
+
+test('round trip', t => {
+  const out = roundTrip(DOC);
+  t.is(out, `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE x:foo SYSTEM "foo.dtd">
+<!-- before -->
+<x:foo xmlns:x="urn:x" xmlns="urn:d" a="b&quot;&#x9;" x:c="d" xml:lang="en">
+  <bar>one<![CDATA[<two>]]>three ent&amp;</bar>
+  <?pi inside?>
+  <baz xmlns="">four&amp;five<i/> </baz>
+  <x:q><x:r/></x:q>
+</x:foo>
+<?after?>`);
+  t.is(roundTrip(out), out);
+
+  t.is(
+    roundTrip('<a xmlns:x="urn:x" x:b="1"/>', {
+      separator: XmlParser.NO_NAMESPACES,
+    }, {
+      separator: XmlParser.NO_NAMESPACES,
+    }),
+    '<a xmlns:x="urn:x" x:b="1"/>'
+  );
+  t.is(
+    roundTrip('<!DOCTYPE a [<!ENTITY e SYSTEM "e.xml">]><a>&e;</a>'),
+    '<!DOCTYPE a>\n<a>&e;</a>'
+  );
+});
+
+test('pretty', t => {
+  t.is(roundTrip(DOC, {pretty: true}), `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE x:foo SYSTEM "foo.dtd">
+<!-- before -->
+<x:foo xmlns:x="urn:x" xmlns="urn:d" a="b&quot;&#x9;" x:c="d" xml:lang="en">
+  <bar>one<![CDATA[<two>]]>three ent&amp;</bar>
+  <?pi inside?>
+  <baz xmlns="">four&amp;five<i/> </baz>
+  <x:q>
+    <x:r/>
+  </x:q>
+</x:foo>
+<?after?>`);
+  t.is(
+    roundTrip('<a><b> <c/></b><d xml:space="preserve"><e/></d></a>', {
+      pretty: true,
+      indent: '\t',
+    }),
+    '<a>\n\t<b>\n\t\t<c/>\n\t</b>\n\t<d xml:space="preserve"><e/></d>\n</a>'
+  );
+});
+
+test('builder', t => {
+  const w = new XmlWriter({pretty: true});
+  w.startElement('urn:a|root')
+    .startElement('urn:b|kid', {'urn:c|att': 'v', 'plain': '1'})
+    .endElement()
+    .startElement('other')
+    .characterData('t\r\n')
+    .endElement()
+    .startElement('urn:a|kid', [{
+      name: 'urn:c|att',
+      value: '<"\n">',
+      specified: true,
+      isId: false,
+      start: null,
+      end: null,
+      valueStart: null,
+    }])
+    .endElement()
+    .startNamespaceDecl('y', 'urn:y')
+    .startElement('urn:y|kid|y')
+    .comment(' ok ')
+    .processingInstruction('pi')
+    .endElement()
+    .endElement();
+  t.is(w.toString(), `<root xmlns="urn:a">
+  <kid xmlns="urn:b" xmlns:ns1="urn:c" ns1:att="v" plain="1"/>
+  <other xmlns="">t&#xD;
+</other>
+  <kid xmlns:ns2="urn:c" ns2:att="&lt;&quot;&#xA;&quot;>"/>
+  <y:kid xmlns:y="urn:y">
+    <!-- ok -->
+    <?pi?>
+  </y:kid>
+</root>`);
+
+  t.throws(() => w.startElement('again'), {message: /one root/});
+  t.throws(() => w.characterData('text'), {message: /outside/});
+  t.throws(() => w.endElement(), {message: /No element/});
+  t.throws(() => w.comment('--'), {message: /Invalid comment/});
+  t.throws(() => w.processingInstruction('XML'), {message: /target/});
+  t.throws(() => w.processingInstruction('p', '?>'), {message: /data/});
+  t.throws(() => new XmlWriter({encoding: 'EBCDIC'}), {message: /Unsupported/});
+
+  const bad = new XmlWriter();
+  bad.startElement('a');
+  t.throws(() => bad.characterData('\x01'), {message: /Invalid XML/});
+  t.is(bad.event('entityDecl', 'foo'), bad);
+});
+
+test('encoding', t => {
+  t.is(
+    roundTrip('<a b="é">é\u{1F600}<![CDATA[xé]]>y]]&gt;</a>', {
+      encoding: 'us-ascii',
+    }),
+    '<?xml version="1.0" encoding="US-ASCII"?>\n<a b="&#xE9;">&#xE9;&#x1F600;<![CDATA[x]]>&#xE9;<![CDATA[]]>y]]&gt;</a>'
+  );
+
+  const cdata = new XmlWriter();
+  cdata.startElement('a')
+    .startCdataSection()
+    .characterData('<]]>')
+    .endCdataSection()
+    .endElement();
+  t.is(cdata.toString(), '<a><![CDATA[<]]]]><![CDATA[>]]></a>');
+
+  const w = new XmlWriter({encoding: 'ISO-8859-1'});
+  w.startElement('a')
+    .characterData('é€')
+    .endElement();
+  t.deepEqual(
+    w.toBytes(),
+    Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?>\n<a>\xE9&#x20AC;</a>', 'latin1')
+  );
+  t.throws(() => w.comment('€'), {message: /Can't write/});
+  t.is(
+    XmlParser.parseDocument(w.toBytes()).root?.text,
+    'é€'
+  );
+
+  const u = new XmlWriter({encoding: 'utf-16'});
+  u.xmlDecl('1.0', 'UTF-8', true);
+  u.startElement('é')
+    .endElement();
+  const bytes = u.toBytes();
+  t.deepEqual([...bytes.subarray(0, 4)], [0xFF, 0xFE, 0x3C, 0]);
+  t.is(XmlParser.parseDocument(bytes).root?.name, 'é');
+  t.throws(
+    () => new XmlWriter({encoding: 'US-ASCII'}).startElement('é'),
+    {message: /Can't write/}
+  );
+
+  const plain = new XmlWriter();
+  plain.startElement('a')
+    .endElement();
+  t.deepEqual(plain.toBytes(), Buffer.from('<a/>'));
+});
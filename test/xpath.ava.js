@@ -0,0 +1,295 @@
+import {
+  XPath,
+  XPathAttribute,
+  XPathError,
+  XPathNamespace,
+  XmlElement,
+  XmlParser,
+} from '../lib/index.js';
+import test from 'ava';
+
+const doc = XmlParser.parseDocument(`<!DOCTYPE r [
+  <!ATTLIST item key ID #IMPLIED>
+]>
+<r xmlns:p="urn:p" xml:lang="en-US"><!--c--><item key="a" n="1">one<![CDATA[ two]]></item><item key="b" n="2" p:x="y"><sub xml:lang="fr">three</sub></item><?pi data?><p:item n="3">four</p:item></r>`);
+
+/**
+ * Evaluate, and describe the result.
+ *
+ * @param {string} expression
+ * @param {import('../lib/xpath.js').XPathNode} [context]
+ * @param {import('../lib/xpath.js').XPathOptions} [opts]
+ * @returns {unknown}
+ */
+function x(expression, context = doc, opts = undefined) {
+  const res = XPath.evaluate(expression, context, opts);
+  if (!Array.isArray(res)) {
+    return res;
+  }
+  return res.map(n => {
+    if (n instanceof XmlElement) {
+      return n.name;
+    }
+    if (n instanceof XPathAttribute) {
+      return `@${n.name}`;
+    }
+    if (n instanceof XPathNamespace) {
+      return `xmlns:${n.prefix}`;
+    }
+    return n.type;
+  });
+}
+
+test('location paths', t => {
+  t.deepEqual(x('/r/item'), ['item', 'item']);
+  t.deepEqual(x('*'), ['r']);
+  t.deepEqual(x('/'), ['document']);
+  t.is(XPath.select('/', doc)[0], doc);
+  t.deepEqual(x('//item[2]/sub/..'), ['item']);
+  t.deepEqual(x('//sub/self::sub'), ['sub']);
+  t.deepEqual(x('//item/@*'), ['@key', '@n', '@key', '@n', '@p:x']);
+  t.deepEqual(x('//p:item'), ['p:item']);
+  t.deepEqual(x('//p:*'), ['p:item']);
+  t.deepEqual(x('//@p:*'), ['@p:x']);
+  t.deepEqual(x('/r/node()'), [
+    'comment', 'item', 'item', 'processingInstruction', 'p:item',
+  ]);
+  t.deepEqual(x('//text()'), ['text', 'text', 'text']);
+  t.deepEqual(x('string(//item[1]/text())'), 'one two');
+  t.deepEqual(x('//comment() | //processing-instruction("pi")'), [
+    'comment', 'processingInstruction',
+  ]);
+  t.deepEqual(x('//processing-instruction("other")'), []);
+  t.deepEqual(x('(//item | //p:item | //item)[2]/@n'), ['@n']);
+  t.is(x('string((//item | //p:item)[last()])'), 'four');
+  t.deepEqual(x('//div'), []);
+  t.deepEqual(x('div'), []);
+});
+
+test('axes', t => {
+  t.deepEqual(x('//sub/ancestor::*'), ['r', 'item']);
+  t.deepEqual(x('//sub/ancestor::*[1]'), ['item']);
+  t.deepEqual(x('//sub/ancestor-or-self::*[1]'), ['sub']);
+  t.deepEqual(x('/r/descendant::*'), ['item', 'item', 'sub', 'p:item']);
+  t.deepEqual(x('/r/descendant-or-self::*[1]'), ['r']);
+  t.deepEqual(x('//sub/preceding::node()'), ['comment', 'item', 'text']);
+  t.deepEqual(x('//sub/preceding::*[1]'), ['item']);
+  t.deepEqual(x('//item[1]/following::*'), ['item', 'sub', 'p:item']);
+  t.deepEqual(x('//item[2]/@n/following::*'), ['sub', 'p:item']);
+  t.deepEqual(x('//item[2]/@n/preceding::*'), ['item']);
+  t.deepEqual(x('//item[2]/@n/parent::*'), ['item']);
+  t.deepEqual(x('//item[2]/@n/ancestor::*'), ['r', 'item']);
+  t.deepEqual(x('//p:item/preceding-sibling::*'), ['item', 'item']);
+  t.deepEqual(x('//p:item/preceding-sibling::*[1]/@key'), ['@key']);
+  t.is(x('string(//item[1]/following-sibling::node()[2])'), 'data');
+  t.deepEqual(x('//item[1]/@n/following-sibling::node()'), []);
+  t.deepEqual(x('//item[2]/namespace::*'), ['xmlns:p', 'xmlns:xml']);
+  t.is(x('count(//namespace::*)'), 10);
+  t.deepEqual(x('//item[2]/namespace::p/parent::*/@key'), ['@key']);
+  t.deepEqual(x('//*[self::item or self::sub]'), ['item', 'item', 'sub']);
+});
+
+test('predicates', t => {
+  t.deepEqual(x('//item[last()]/@key'), ['@key']);
+  t.is(x('string(//item[last()]/@key)'), 'b');
+  t.is(x('string(//item[position() = 1]/@key)'), 'a');
+  t.deepEqual(x('//item[@n > 1]/@key'), ['@key']);
+  t.deepEqual(x('//*[@n >= 2][2]'), ['p:item']);
+  t.deepEqual(x('(//*[@n])[3]'), ['p:item']);
+  t.deepEqual(x('//item[sub]/@n'), ['@n']);
+  t.deepEqual(x('//item[not(sub)]/@key'), ['@key']);
+  t.deepEqual(x('//item[lang("en")]'), ['item', 'item']);
+  t.deepEqual(x('//*[lang("fr")]'), ['sub']);
+  t.is(x('lang("en")'), false);
+  t.is(x('lang("en")', /** @type {XmlElement} */ (doc.root)), true);
+});
+
+test('expressions', t => {
+  t.is(x('1 + 2 * 3 - 4 div 2'), 5);
+  t.is(x('7 mod 3'), 1);
+  t.is(x('-7 mod 3'), -1);
+  t.is(x('- - 2'), 2);
+  t.is(x('1 div 0'), Infinity);
+  t.true(Number.isNaN(x('0 div 0')));
+  t.is(x('1 < 2 and 2 <= 2 and 3 > 2 and 3 >= 4'), false);
+  t.is(x('1 = 2 or "a" = "a"'), true);
+  t.is(x('//item = "one two"'), true);
+  t.is(x('//item != "one two"'), true);
+  t.is(x('//@n = 3'), true);
+  t.is(x('//@n < //@n'), true);
+  t.is(x('//@n > 3'), false);
+  t.is(x('//nope = //nope'), false);
+  t.is(x('//nope = false()'), true);
+  t.is(x('true() = 1'), true);
+  t.is(x('"1" = 1.0'), true);
+  t.is(x('"abc" < 1'), false);
+  t.is(x('.5 + 1.'), 1.5);
+  t.is(x('($a + $b) * 2', doc, {variables: {a: 1, b: 2}}), 6);
+  t.deepEqual(x('$nodes[1]', doc, {
+    variables: {nodes: XPath.select('//item', doc)},
+  }), ['item']);
+  t.deepEqual(x('$nodes/sub', doc, {
+    variables: {nodes: XPath.select('//item', doc)},
+  }), ['sub']);
+});
+
+test('functions', t => {
+  const tests = {
+    'count(//item)': 2,
+    'string(//item[2]/@n)': '2',
+    'string(1 div 0)': 'Infinity',
+    'string(-1 div 0)': '-Infinity',
+    'string(0 div 0)': 'NaN',
+    'string(-0)': '0',
+    'string(12345678901234567890123)': '12345678901234568000000',
+    'string(0.0000001)': '0.0000001',
+    'string(1.5)': '1.5',
+    'string(true())': 'true',
+    'string()': 'one twothreefour',
+    'concat("a", 1, false())': 'a1false',
+    'starts-with("abc", "ab")': true,
+    'contains("abc", "d")': false,
+    'substring-before("1999/04/01", "/")': '1999',
+    'substring-after("1999/04/01", "/")': '04/01',
+    'substring-after("1999/04/01", "x")': '',
+    'substring("12345", 2, 3)': '234',
+    'substring("12345", 2)': '2345',
+    'substring("12345", 1.5, 2.6)': '234',
+    'substring("12345", 0, 3)': '12',
+    'substring("12345", 0 div 0, 3)': '',
+    'substring("12345", 1, 0 div 0)': '',
+    'substring("12345", -42, 1 div 0)': '12345',
+    'substring("12345", -1 div 0, 1 div 0)': '',
+    'substring("a😀b", 2, 1)': '😀',
+    'string-length("é😀")': 2,
+    'string-length()': 16,
+    'normalize-space("  a \t\n b ")': 'a b',
+    'normalize-space(//item[1])': 'one two',
+    'translate("bar", "abc", "ABC")': 'BAr',
+    'translate("--aaa--", "abc-", "ABC")': 'AAA',
+    'boolean(//nope)': false,
+    'boolean("0")': true,
+    'boolean(0)': false,
+    'not(0 div 0)': true,
+    'number(" 12 ")': 12,
+    'number("-1.5")': -1.5,
+    'number(true())': 1,
+    'sum(//@n)': 6,
+    'floor(-1.5)': -2,
+    'ceiling(-1.5)': -1,
+    'round(2.5)': 3,
+    'round(-2.5)': -2,
+    'name(//p:*)': 'p:item',
+    'local-name(//p:item)': 'item',
+    'namespace-uri(//p:item)': 'urn:p',
+    'namespace-uri(//item)': '',
+    'name(//@p:x)': 'p:x',
+    'local-name(//@p:x)': 'x',
+    'namespace-uri(//@p:x)': 'urn:p',
+    'name(//processing-instruction())': 'pi',
+    'name(//namespace::p)': 'p',
+    'name(//nope)': '',
+    'name()': '',
+    'count(id("b")/sub)': 1,
+    'count(id("a b nope"))': 2,
+    'count(id(//@key))': 2,
+  };
+  for (const [expr, expected] of Object.entries(tests)) {
+    t.is(XPath.evaluate(expr, doc), expected, expr);
+  }
+  t.true(Number.isNaN(XPath.evaluate('number("1e2")', doc)));
+  t.is(XPath.evaluate('name()', /** @type {XmlElement} */ (doc.root)), 'r');
+  t.is(XPath.evaluate('twice(count(//item))', doc, {
+    functions: {twice: (_ctx, n) => Number(n) * 2},
+  }), 4);
+});
+
+test('namespaces', t => {
+  const ns = XmlParser.parseDocument(`<a xmlns="urn:a" xmlns:q="urn:q1">
+  <q:b xmlns:q="urn:q2" xmlns:r="urn:r"><r:c/></q:b>
+</a>`);
+  const b = /** @type {XmlElement} */ (ns.root?.elements[0]);
+
+  // Unprefixed names are never in the default namespace.
+  t.deepEqual(x('/a', ns), []);
+  t.deepEqual(x('/d:a', ns, {namespaces: {d: 'urn:a'}}), ['a']);
+
+  // From the context node.
+  t.deepEqual(x('//q:b', ns), []);
+  t.deepEqual(x('//q:b', b), ['q:b']);
+
+  // From anywhere in the document.
+  t.deepEqual(x('//r:c', ns), ['r:c']);
+  t.deepEqual(x('//q:b', ns, {namespaces: {q: 'urn:q2'}}), ['q:b']);
+  t.deepEqual(x('/*/@xml:lang', ns), []);
+  t.deepEqual(ns.namespaces, {'': 'urn:a', 'q': 'urn:q1', 'r': 'urn:r'});
+
+  // Namespace declarations are not attributes.
+  t.is(x('count(//@*)', ns), 0);
+  t.deepEqual(x('//r:c/namespace::*', ns), [
+    'xmlns:', 'xmlns:q', 'xmlns:r', 'xmlns:xml',
+  ]);
+});
+
+test('XPath', t => {
+  const xp = new XPath('//item[@n = $n]', {variables: {n: 2}});
+  t.is(xp.expression, '//item[@n = $n]');
+  t.is(xp.select(doc).length, 1);
+  t.throws(() => new XPath('count(//item)').select(doc), {
+    instanceOf: XPathError,
+    message: /not a node-set/,
+  });
+
+  const item = /** @type {XmlElement} */ (doc.root?.elements[0]);
+  const [text] = item.children;
+  t.is(XPath.evaluate('string(.)', item.children[1]), 'one two');
+  t.deepEqual(XPath.select('.', item.children[1]), [text]);
+  t.deepEqual(x('../@key', item.children[1]), ['@key']);
+});
+
+test('deep', t => {
+  const depth = 100000;
+  const deep = XmlParser.parseDocument(
+    `${'<a>'.repeat(depth)}text${'</a>'.repeat(depth)}`
+  );
+  t.is(XPath.evaluate('count(//a)', deep), depth);
+  t.deepEqual(x('//text()/ancestor::a[last()]', deep), ['a']);
+  t.is(XPath.evaluate('string(//text()/preceding::a[1])', deep), '');
+  t.is(XPath.evaluate('string(/)', deep), 'text');
+});
+
+test('errors', t => {
+  const errors = {
+    '': /Expected name at 0/,
+    '/r/': /Expected name at 3/,
+    '//item[': /Expected name at 7/,
+    '//item[1': /Expected "\]" at 8/,
+    'foo()': /Unknown function foo\(\) at 0/,
+    'count()': /Wrong number of arguments for count\(\)/,
+    'concat("a")': /Wrong number of arguments/,
+    '$x': /Unknown variable "\$x" at 0/,
+    'bogus::x': /Unknown axis, got "bogus" at 0/,
+    '1 2': /Unexpected token, got "2" at 2/,
+    '#': /Invalid character at 0/,
+    '"a': /Invalid character at 0/,
+    '1e3': /Unexpected token, got "e3" at 1/,
+  };
+  for (const [expr, message] of Object.entries(errors)) {
+    t.throws(() => new XPath(expr), {instanceOf: XPathError, message}, expr);
+  }
+  t.throws(() => XPath.evaluate('//z:a', doc), {
+    message: /Unknown namespace prefix "z" in "\/\/z:a"/,
+  });
+  t.throws(() => XPath.evaluate('count(1)', doc), {
+    message: /count\(\) requires a node-set/,
+  });
+  t.throws(() => XPath.evaluate('1 | //item', doc), {
+    message: /Union requires a node-set/,
+  });
+  t.throws(() => XPath.evaluate('"a"[1]', doc), {
+    message: /Filter requires a node-set/,
+  });
+  t.throws(() => XPath.evaluate('name(1)', doc), {
+    message: /name\(\) requires a node-set/,
+  });
+});
@@ -1,7 +1,12 @@
 'use strict';
 
 module.exports = {
-  entryPoints: 'lib/index.js',
+  entryPoints: [
+    'lib/catalog.js',
+    'lib/index.js',
+    'lib/resolver.js',
+    'lib/stream.js',
+  ],
   out: 'docs',
   cleanOutputDir: true,
   sidebarLinks: {